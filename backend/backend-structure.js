@@ -1,110 +0,0 @@
-// server.js
-const express = require('express');
-const mongoose = require('mongoose');
-const cors = require('cors');
-const bookRoutes = require('./routes/books');
-const reviewRoutes = require('./routes/reviews');
-const userRoutes = require('./routes/users');
-
-const app = express();
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-
-// Routes
-app.use('/api/books', bookRoutes);
-app.use('/api/reviews', reviewRoutes);
-app.use('/api/users', userRoutes);
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ error: 'Something went wrong!' });
-});
-
-// MongoDB Schema definitions
-const bookSchema = new mongoose.Schema({
-  title: { type: String, required: true },
-  author: { type: String, required: true },
-  description: { type: String, required: true },
-  genre: { type: String, required: true },
-  publishedDate: Date,
-  coverImage: String,
-  rating: { type: Number, default: 0 },
-  reviewCount: { type: Number, default: 0 },
-  createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now }
-});
-
-const reviewSchema = new mongoose.Schema({
-  bookId: { type: mongoose.Schema.Types.ObjectId, ref: 'Book', required: true },
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  rating: { type: Number, required: true, min: 1, max: 5 },
-  content: { type: String, required: true },
-  createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now }
-});
-
-const userSchema = new mongoose.Schema({
-  username: { type: String, required: true, unique: true },
-  email: { type: String, required: true, unique: true },
-  password: { type: String, required: true },
-  profilePicture: String,
-  bio: String,
-  createdAt: { type: Date, default: Date.now }
-});
-
-// Route implementations
-const bookRoutes = express.Router();
-
-bookRoutes.get('/', async (req, res) => {
-  try {
-    const { page = 1, search = '', genre = '' } = req.query;
-    const limit = 9;
-    const skip = (page - 1) * limit;
-
-    let query = {};
-    if (search) {
-      query.$or = [
-        { title: new RegExp(search, 'i') },
-        { author: new RegExp(search, 'i') }
-      ];
-    }
-    if (genre && genre !== 'All') {
-      query.genre = genre;
-    }
-
-    const [books, total] = await Promise.all([
-      Book.find(query)
-        .skip(skip)
-        .limit(limit)
-        .sort({ createdAt: -1 }),
-      Book.countDocuments(query)
-    ]);
-
-    res.json({
-      books,
-      totalPages: Math.ceil(total / limit),
-      currentPage: parseInt(page)
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-bookRoutes.get('/:id', async (req, res) => {
-  try {
-    const book = await Book.findById(req.params.id);
-    if (!book) {
-      return res.status(404).json({ error: 'Book not found' });
-    }
-    res.json(book);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Similar implementations for review and user routes...
-
-module.exports = app;
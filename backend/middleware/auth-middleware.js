@@ -1,19 +1,36 @@
-// middleware/auth.js
+// middleware/auth-middleware.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
-const { body, validationResult } = require('express-validator');
-const bcrypt = require('bcryptjs');
+const { body, query, param, validationResult } = require('express-validator');
+const { sanitizeMarkdown } = require('../utils/markdown');
+const { isValidIsbn10, isValidIsbn13 } = require('../utils/isbn');
+const { getStorage } = require('../services/storage');
+const {
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  RateLimitedError
+} = require('../utils/errors');
+
+const RefreshToken = mongoose.model('RefreshToken');
+const UserToken = mongoose.model('UserToken');
+
+// Rate limiting configuration; limited requests go through the error handler
+const rateLimitHandler = (req, res, next, options) => next(new RateLimitedError(options.message));
 
-// Rate limiting configuration
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 5, // 5 requests per window
-  message: 'Too many login attempts, please try again later'
+  message: 'Too many login attempts, please try again later',
+  handler: rateLimitHandler
 });
 
 const apiLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
-  max: 100 // 100 requests per minute
+  max: 100, // 100 requests per minute
+  handler: rateLimitHandler
 });
 
 // Authentication middleware
@@ -21,16 +38,109 @@ const authenticate = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authentication required' });
+      throw new UnauthorizedError();
     }
 
     const token = authHeader.split(' ')[1];
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens die with their refresh token family (logout or reuse detection)
+    const sessionActive = await RefreshToken.exists({
+      family: decoded.family,
+      revokedAt: null
+    });
+    if (!sessionActive) {
+      throw new UnauthorizedError('Token has been revoked', 'token_revoked');
+    }
+
     req.user = decoded;
     next();
   } catch (error) {
-    res.status(401).json({ error: 'Invalid token' });
+    if (error instanceof UnauthorizedError) return next(error);
+    // Expired tokens get their own code so clients know to refresh
+    next(error.name === 'TokenExpiredError'
+      ? new UnauthorizedError('Token has expired', 'token_expired')
+      : new UnauthorizedError('Invalid token', 'invalid_token'));
+  }
+};
+
+// Token helpers
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+
+// Only a hash of each refresh token is stored server-side
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue an access token plus a refresh token belonging to the given family.
+// A new family is started on login; rotation keeps the existing one.
+const issueTokens = async (user, family = crypto.randomUUID()) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  await RefreshToken.create({
+    userId: user._id,
+    family,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  const token = jwt.sign(
+    { id: user._id, username: user.username, role: user.role, family },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+  return { token, refreshToken };
+};
+
+// Revoke every refresh token in a family, which also invalidates its access tokens
+const revokeTokenFamily = (family) => RefreshToken.updateMany(
+  { family, revokedAt: null },
+  { revokedAt: Date.now() }
+);
+
+// Single-use tokens for email verification and password resets.
+// Issuing a new token invalidates any outstanding one of the same type.
+const createUserToken = async (userId, type, ttlMs) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await UserToken.deleteMany({ userId, type });
+  await UserToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  return token;
+};
+
+// Atomically mark a token as used; returns null if unknown, expired or already used
+const consumeUserToken = (token, type) => UserToken.findOneAndUpdate(
+  {
+    tokenHash: hashToken(token),
+    type,
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  },
+  { usedAt: Date.now() }
+);
+
+// Bans with no end date are permanent; timed bans lapse on their own
+const isBanned = (user) => Boolean(user.banned)
+  && (!user.bannedUntil || user.bannedUntil > Date.now());
+
+const banError = (user) => new ForbiddenError(
+  'Your account has been suspended',
+  'account_suspended',
+  { bannedUntil: user.bannedUntil || null }
+);
+
+// Role-based authorization, must run after authenticate
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return next(new ForbiddenError());
   }
+  next();
 };
 
 // Validation schemas
@@ -38,13 +148,248 @@ const reviewValidation = [
   body('rating')
     .isInt({ min: 1, max: 5 })
     .withMessage('Rating must be between 1 and 5'),
+  // Reduced to the supported Markdown subset before the length check
   body('content')
     .isString()
-    .trim()
+    .customSanitizer(sanitizeMarkdown)
     .isLength({ min: 10, max: 1000 })
-    .withMessage('Review must be between 10 and 1000 characters')
+    .withMessage('Review must be between 10 and 1000 characters'),
+  body('containsSpoilers')
+    .optional()
+    .isBoolean()
+    .withMessage('containsSpoilers must be true or false')
+    .toBoolean()
+];
+
+const commentValidation = [
+  body('content')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Comment must be between 1 and 1000 characters')
+];
+
+const newCommentValidation = [
+  body('reviewId')
+    .isMongoId()
+    .withMessage('Invalid review id'),
+  body('parentId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parent comment id'),
+  ...commentValidation
 ];
 
+// Book fields are all required on create/replace and optional on PATCH
+const bookFieldRules = (partial) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+  return [
+    field('title')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Title must be between 1 and 200 characters'),
+    // Either a free-text author or an `authors` list of names or author ids
+    (partial ? body('author').optional() : body('author').if(body('authors').not().exists()))
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Author must be between 1 and 200 characters'),
+    body('authors')
+      .optional()
+      .isArray({ min: 1, max: 10 })
+      .withMessage('Authors must be a list of 1 to 10 names or ids'),
+    body('authors.*')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Each author must be between 1 and 100 characters'),
+    field('description')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 5000 })
+      .withMessage('Description must be between 1 and 5000 characters'),
+    field('genre')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Genre must be between 1 and 50 characters'),
+    body('publishedDate')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Published date must be a valid date')
+      .toDate(),
+    body('coverImage')
+      .optional({ values: 'null' })
+      .isString()
+      .trim()
+      .withMessage('Cover image must be a string'),
+    body('series')
+      .optional({ values: 'null' })
+      .isObject()
+      .withMessage('Series must be an object with seriesId and position'),
+    body('series.seriesId')
+      .if(body('series').exists({ values: 'null' }))
+      .isMongoId()
+      .withMessage('Invalid series id'),
+    body('series.position')
+      .if(body('series').exists({ values: 'null' }))
+      .isFloat({ min: 0 })
+      .withMessage('Series position must be zero or more')
+      .toFloat()
+  ];
+};
+
+const seriesFieldRules = (partial) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+  return [
+    field('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Series name must be between 1 and 200 characters'),
+    body('description')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 5000 })
+      .withMessage('Description must be at most 5000 characters'),
+    body('volumeCount')
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: 1000 })
+      .withMessage('Volume count must be between 1 and 1000')
+      .toInt()
+  ];
+};
+
+const isbnRule = (name, isValid, label) => body(name)
+  .optional({ values: 'null' })
+  .isString()
+  .custom(isValid)
+  .withMessage(`${label} is not valid`);
+
+// `prefix` checks an edition nested in another body, e.g. 'edition.'
+const editionFieldRules = (prefix = '') => [
+  isbnRule(`${prefix}isbn10`, isValidIsbn10, 'ISBN-10'),
+  isbnRule(`${prefix}isbn13`, isValidIsbn13, 'ISBN-13'),
+  body(`${prefix}format`)
+    .optional()
+    .isIn(['hardcover', 'paperback', 'ebook', 'audiobook', 'other'])
+    .withMessage('Format must be hardcover, paperback, ebook, audiobook or other'),
+  body([`${prefix}title`, `${prefix}publisher`])
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Title and publisher must be at most 200 characters'),
+  body(`${prefix}publishedDate`)
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Published date must be a valid date')
+    .toDate(),
+  body(`${prefix}pageCount`)
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 100000 })
+    .withMessage('Page count must be a positive number')
+    .toInt(),
+  body(`${prefix}language`)
+    .optional({ values: 'null' })
+    .isISO6391()
+    .withMessage('Language must be a two-letter ISO 639-1 code'),
+  body(`${prefix}coverImage`)
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .withMessage('Cover image must be a string')
+];
+
+const authorValidation = (partial) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+  return [
+    field('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    body('aliases')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('Aliases must be a list of at most 20 names'),
+    body('aliases.*')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Each alias must be between 1 and 100 characters'),
+    body('bio')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 5000 })
+      .withMessage('Bio must be at most 5000 characters'),
+    body('photo')
+      .optional({ values: 'null' })
+      .isURL()
+      .withMessage('Photo must be a valid URL'),
+    body(['birthYear', 'deathYear'])
+      .optional({ values: 'null' })
+      .isInt({ min: -3000, max: new Date().getFullYear() })
+      .withMessage('Years must be valid')
+      .toInt()
+  ];
+};
+
+const bookValidation = bookFieldRules(false);
+const bookUpdateValidation = bookFieldRules(true);
+// A new book may bring its first edition, which needs an ISBN
+const newBookValidation = [
+  ...bookValidation,
+  body('edition')
+    .optional()
+    .isObject()
+    .withMessage('Edition must be an object')
+    .bail()
+    .custom(edition => Boolean(edition.isbn13 || edition.isbn10))
+    .withMessage('Edition needs an ISBN-10 or ISBN-13'),
+  ...editionFieldRules('edition.')
+];
+const seriesValidation = seriesFieldRules(false);
+const seriesUpdateValidation = seriesFieldRules(true);
+const editionValidation = editionFieldRules();
+const newAuthorValidation = authorValidation(false);
+const authorUpdateValidation = authorValidation(true);
+
+// Multipart fields sent alongside a catalog import file
+const importValidation = [
+  body('format')
+    .isIn(['csv', 'jsonl', 'goodreads'])
+    .withMessage('Format must be csv, jsonl or goodreads'),
+  body(['genre', 'description'])
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Defaults must be at most 2000 characters')
+];
+
+const isbnLookupValidation = [
+  param('isbn')
+    .custom(value => isValidIsbn10(value) || isValidIsbn13(value))
+    .withMessage('ISBN is not valid')
+];
+
+const exportValidation = [
+  query('format')
+    .optional()
+    .isIn(['csv', 'jsonl'])
+    .withMessage('Format must be csv or jsonl')
+];
+
+const passwordRule = (field) => body(field)
+  .isString()
+  .isLength({ min: 8 })
+  .matches(/^(?=.*[A-Za-z])(?=.*\d)/)
+  .withMessage('Password must be at least 8 characters and contain both letters and numbers');
+
 const userValidation = [
   body('username')
     .isString()
@@ -55,291 +400,182 @@ const userValidation = [
     .isEmail()
     .normalizeEmail()
     .withMessage('Invalid email address'),
-  body('password')
+  passwordRule('password')
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  passwordRule('password')
+];
+
+const profileValidation = [
+  body('username')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Username must be between 3 and 30 characters'),
+  body('bio')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Bio must be at most 500 characters'),
+  // Uploaded avatars keep their storage URL, which is relative with the
+  // local driver (/uploads/...)
+  body('profilePicture')
+    .optional({ values: 'falsy' })
+    .isString()
+    .withMessage('Avatar must be a valid URL')
+    .bail()
+    .if((value) => !getStorage().keyFromUrl(value))
+    .isURL()
+    .withMessage('Avatar must be a valid URL'),
+  body('shelvesPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('shelvesPublic must be true or false')
+    .toBoolean()
+];
+
+const shelfValidation = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Shelf name must be between 1 and 50 characters')
+];
+
+const shelfEntryValidation = [
+  body('status')
+    .isIn(['want-to-read', 'reading', 'read'])
+    .withMessage('Status must be want-to-read, reading or read'),
+  body('shelves')
+    .optional()
+    .isArray()
+    .withMessage('Shelves must be an array of shelf ids'),
+  body('shelves.*')
+    .isMongoId()
+    .withMessage('Invalid shelf id'),
+  body('progress')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Progress must be between 0 and 100')
+    .toInt(),
+  body(['startedAt', 'finishedAt'])
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Dates must be valid')
+    .toDate()
+];
+
+const changePasswordValidation = [
+  body('currentPassword')
+    .isString()
+    .notEmpty()
+    .withMessage('Current password is required'),
+  passwordRule('newPassword')
+];
+
+const reportValidation = [
+  body('targetType')
+    .isIn(['review', 'comment'])
+    .withMessage('You can report a review or a comment'),
+  body('targetId')
+    .isMongoId()
+    .withMessage('Invalid target id'),
+  body('reason')
+    .isIn(['spam', 'abuse', 'spoiler', 'off-topic', 'other'])
+    .withMessage('Reason must be spam, abuse, spoiler, off-topic or other'),
+  body('details')
+    .optional()
     .isString()
-    .isLength({ min: 8 })
-    .matches(/^(?=.*[A-Za-z])(?=.*\d)/)
-    .withMessage('Password must be at least 8 characters and contain both letters and numbers')
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Details must be at most 1000 characters')
+];
+
+// Moderator actions; the reason is recorded in the audit log
+const moderationValidation = [
+  body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters')
+];
+
+const banValidation = [
+  ...moderationValidation,
+  body('days')
+    .optional()
+    .isInt({ min: 1, max: 3650 })
+    .withMessage('Ban length must be between 1 and 3650 days')
+    .toInt()
 ];
 
-// Validation middleware
+// Validation middleware. Submitted values are left out of the errors since
+// they may be passwords.
 const validate = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
+    return next(new ValidationError(errors.array().map(error => ({
+      field: error.path,
+      location: error.location,
+      message: error.msg
+    }))));
+  }
+  next();
+};
+
+// For router.param: ids that can't be ObjectIds fail validation instead of
+// reaching Mongoose as a CastError
+const validateObjectId = (req, res, next, value, name) => {
+  if (!mongoose.isValidObjectId(value)) {
+    return next(new ValidationError([{ field: name, location: 'params', message: `Invalid ${name}` }]));
   }
   next();
 };
 
 module.exports = {
   authenticate,
+  requireRole,
   authLimiter,
   apiLimiter,
   reviewValidation,
+  commentValidation,
+  newCommentValidation,
+  bookValidation,
+  bookUpdateValidation,
+  newBookValidation,
+  newAuthorValidation,
+  authorUpdateValidation,
+  seriesValidation,
+  seriesUpdateValidation,
+  editionValidation,
+  importValidation,
+  exportValidation,
+  isbnLookupValidation,
   userValidation,
-  validate
-};
-
-// routes/reviews.js
-const express = require('express');
-const router = express.Router();
-
-// Get reviews for a book
-router.get('/', async (req, res) => {
-  try {
-    const { bookId, page = 1, limit = 10 } = req.query;
-    const skip = (page - 1) * limit;
-
-    const reviews = await Review.find({ bookId })
-      .populate('userId', 'username')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    const total = await Review.countDocuments({ bookId });
-
-    res.json({
-      reviews,
-      totalPages: Math.ceil(total / limit),
-      currentPage: parseInt(page)
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Create a new review
-router.post('/', 
-  authenticate, 
-  reviewValidation,
+  resetPasswordValidation,
+  profileValidation,
+  changePasswordValidation,
+  reportValidation,
+  moderationValidation,
+  banValidation,
+  shelfValidation,
+  shelfEntryValidation,
+  passwordRule,
   validate,
-  async (req, res) => {
-    try {
-      const { bookId, rating, content } = req.body;
-
-      // Check if user has already reviewed this book
-      const existingReview = await Review.findOne({
-        bookId,
-        userId: req.user.id
-      });
-
-      if (existingReview) {
-        return res.status(400).json({ 
-          error: 'You have already reviewed this book' 
-        });
-      }
-
-      const review = new Review({
-        bookId,
-        userId: req.user.id,
-        rating,
-        content
-      });
-
-      await review.save();
-
-      // Update book rating and review count
-      const bookReviews = await Review.find({ bookId });
-      const averageRating = bookReviews.reduce((acc, review) => acc + review.rating, 0) / bookReviews.length;
-
-      await Book.findByIdAndUpdate(bookId, {
-        rating: averageRating,
-        reviewCount: bookReviews.length
-      });
-
-      // Populate user data before sending response
-      await review.populate('userId', 'username');
-      res.status(201).json(review);
-    } catch (error) {
-      res.status(500).json({ error: error.message });
-    }
-});
-
-// Update a review
-router.put('/:id',
-  authenticate,
-  reviewValidation,
-  validate,
-  async (req, res) => {
-    try {
-      const review = await Review.findOne({
-        _id: req.params.id,
-        userId: req.user.id
-      });
-
-      if (!review) {
-        return res.status(404).json({ error: 'Review not found' });
-      }
-
-      const { rating, content } = req.body;
-      review.rating = rating;
-      review.content = content;
-      review.updatedAt = Date.now();
-
-      await review.save();
-
-      // Update book rating
-      const bookReviews = await Review.find({ bookId: review.bookId });
-      const averageRating = bookReviews.reduce((acc, review) => acc + review.rating, 0) / bookReviews.length;
-
-      await Book.findByIdAndUpdate(review.bookId, {
-        rating: averageRating
-      });
-
-      await review.populate('userId', 'username');
-      res.json(review);
-    } catch (error) {
-      res.status(500).json({ error: error.message });
-    }
-});
-
-// Delete a review
-router.delete('/:id',
-  authenticate,
-  async (req, res) => {
-    try {
-      const review = await Review.findOne({
-        _id: req.params.id,
-        userId: req.user.id
-      });
-
-      if (!review) {
-        return res.status(404).json({ error: 'Review not found' });
-      }
-
-      await review.remove();
-
-      // Update book rating and review count
-      const bookReviews = await Review.find({ bookId: review.bookId });
-      const averageRating = bookReviews.length > 0
-        ? bookReviews.reduce((acc, review) => acc + review.rating, 0) / bookReviews.length
-        : 0;
-
-      await Book.findByIdAndUpdate(review.bookId, {
-        rating: averageRating,
-        reviewCount: bookReviews.length
-      });
-
-      res.json({ message: 'Review deleted successfully' });
-    } catch (error) {
-      res.status(500).json({ error: error.message });
-    }
-});
-
-module.exports = router;
-
-// routes/auth.js
-const express = require('express');
-const router = express.Router();
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-
-// Register new user
-router.post('/register',
-  userValidation,
-  validate,
-  async (req, res) => {
-    try {
-      const { username, email, password } = req.body;
-
-      // Check if user already exists
-      const existingUser = await User.findOne({
-        $or: [{ email }, { username }]
-      });
-
-      if (existingUser) {
-        return res.status(400).json({
-          error: 'User with this email or username already exists'
-        });
-      }
-
-      // Hash password
-      const salt = await bcrypt.genSalt(10);
-      const hashedPassword = await bcrypt.hash(password, salt);
-
-      // Create new user
-      const user = new User({
-        username,
-        email,
-        password: hashedPassword
-      });
-
-      await user.save();
-
-      // Generate JWT
-      const token = jwt.sign(
-        { id: user._id, username: user.username },
-        process.env.JWT_SECRET,
-        { expiresIn: '24h' }
-      );
-
-      res.status(201).json({
-        token,
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email
-        }
-      });
-    } catch (error) {
-      res.status(500).json({ error: error.message });
-    }
-});
-
-// Login user
-router.post('/login',
-  authLimiter,
-  [
-    body('email').isEmail().normalizeEmail(),
-    body('password').isString()
-  ],
-  validate,
-  async (req, res) => {
-    try {
-      const { email, password } = req.body;
-
-      // Find user
-      const user = await User.findOne({ email });
-      if (!user) {
-        return res.status(401).json({ error: 'Invalid credentials' });
-      }
-
-      // Check password
-      const isMatch = await bcrypt.compare(password, user.password);
-      if (!isMatch) {
-        return res.status(401).json({ error: 'Invalid credentials' });
-      }
-
-      // Generate JWT
-      const token = jwt.sign(
-        { id: user._id, username: user.username },
-        process.env.JWT_SECRET,
-        { expiresIn: '24h' }
-      );
-
-      res.json({
-        token,
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email
-        }
-      });
-    } catch (error) {
-      res.status(500).json({ error: error.message });
-    }
-});
-
-// Get current user
-router.get('/me',
-  authenticate,
-  async (req, res) => {
-    try {
-      const user = await User.findById(req.user.id).select('-password');
-      res.json(user);
-    } catch (error) {
-      res.status(500).json({ error: error.message });
-    }
-});
-
-module.exports = router;
+  validateObjectId,
+  hashToken,
+  issueTokens,
+  revokeTokenFamily,
+  isBanned,
+  banError,
+  createUserToken,
+  consumeUserToken
+};
@@ -0,0 +1,38 @@
+// middleware/content-check.js
+const { getContentPipeline } = require('../services/content-checks');
+const { ValidationError } = require('../utils/errors');
+
+// Run the content pipeline on req.body.content, after validation.
+// Rejections fail validation on the content field, like validate does;
+// anything else continues with the outcome on req.contentCheck so the
+// route can queue flagged content for moderation once it is saved.
+const checkContent = (kind) => async (req, res, next) => {
+  try {
+    const outcome = await getContentPipeline()({
+      kind,
+      content: req.body.content,
+      userId: req.user.id,
+      excludeId: req.params.id
+    });
+
+    if (outcome.action === 'reject') {
+      return next(new ValidationError(outcome.results
+        .filter(result => result.action === 'reject')
+        .map(result => ({
+          field: 'content',
+          location: 'body',
+          message: result.message,
+          check: result.check
+        }))));
+    }
+
+    req.contentCheck = outcome;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  checkContent
+};
@@ -0,0 +1,48 @@
+// middleware/openapi.js
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const OpenApiValidator = require('express-openapi-validator');
+const swaggerUi = require('swagger-ui-express');
+
+// The API description, also the source of the frontend's generated client
+// (npm run generate:api in frontend/)
+const SPEC_PATH = path.join(__dirname, '..', 'openapi.yaml');
+const spec = YAML.parse(fs.readFileSync(SPEC_PATH, 'utf8'));
+
+// Swagger UI for the spec, mounted at /api/docs
+const apiDocs = [swaggerUi.serve, swaggerUi.setup(spec)];
+
+// Responses are checked in their JSON form, as clients receive them;
+// Mongoose documents, ObjectIds and Dates would not match the schemas
+const sendAsJson = (req, res, next) => {
+  const json = res.json;
+  res.json = function (body) {
+    return json.call(this, body === undefined ? body : JSON.parse(JSON.stringify(body)));
+  };
+  next();
+};
+
+// Checks requests and responses of the documented endpoints against the
+// spec. Mismatches reach the error handler (see toApiError), so a test
+// sees a 400 for a request the spec doesn't allow and a 500
+// response_mismatch for a response that drifted from it. Routes keep their
+// own validation and authentication; this is only enabled under test.
+const validateAgainstSpec = [
+  ...OpenApiValidator.middleware({
+    apiSpec: SPEC_PATH,
+    validateRequests: true,
+    validateResponses: true,
+    validateSecurity: false,
+    ignoreUndocumented: true,
+    // Uploads are parsed by the routes' own multer middleware
+    fileUploader: false
+  }),
+  sendAsJson
+];
+
+module.exports = {
+  spec,
+  apiDocs,
+  validateAgainstSpec
+};
@@ -0,0 +1,71 @@
+// middleware/upload.js
+const path = require('path');
+const multer = require('multer');
+const { ValidationError } = require('../utils/errors');
+
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5 MB
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const MAX_IMPORT_SIZE = 10 * 1024 * 1024; // 10 MB
+// Browsers disagree on CSV mime types, so import files go by extension
+const IMPORT_EXTENSIONS = ['.csv', '.jsonl', '.ndjson', '.json', '.txt'];
+
+const imageUploader = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!IMAGE_TYPES.includes(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+const importUploader = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!IMPORT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+const uploadErrors = {
+  image: {
+    LIMIT_FILE_SIZE: 'Image must be at most 5 MB',
+    LIMIT_UNEXPECTED_FILE: 'File must be a JPEG, PNG or WebP image',
+    missing: 'An image is required'
+  },
+  import: {
+    LIMIT_FILE_SIZE: 'Import file must be at most 10 MB',
+    LIMIT_UNEXPECTED_FILE: 'Import file must be a .csv, .jsonl or .json file',
+    missing: 'A file is required'
+  }
+};
+
+// Accept a single file in the given multipart field
+const singleUpload = (uploader, errors) => (field) => (req, res, next) => {
+  const fileError = (message) => new ValidationError([{ field, location: 'body', message }]);
+
+  uploader.single(field)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return next(fileError(errors[error.code] || error.message));
+    }
+    if (error) return next(error);
+
+    if (!req.file) {
+      return next(fileError(`${errors.missing} in the "${field}" field`));
+    }
+    next();
+  });
+};
+
+const imageUpload = singleUpload(imageUploader, uploadErrors.image);
+const importUpload = singleUpload(importUploader, uploadErrors.import);
+
+module.exports = {
+  imageUpload,
+  importUpload
+};
@@ -1,11 +1,93 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-import { Star, MessageCircle } from 'lucide-react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import { Star, MessageCircle, ThumbsUp, ThumbsDown } from 'lucide-react';
 import { useAuth } from '../context/auth';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
-import { Textarea } from '@/components/ui/textarea';
 import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import BookCover from './book-cover';
+import ShelfControl from './shelf-control';
+import CommentThread from './comment-thread';
+import ReportButton from './report-button';
+import ReviewContent from './review-content';
+import ReviewEditor from './review-editor';
+import ReviewHistory from './review-history';
+import { AuthorLinks } from './author-page';
+import { SeriesNavigation } from './series-page';
+import EditionsTable from './editions-table';
+import { api, unwrap } from '@/lib/api';
+
+const MODERATOR_ROLES = ['moderator', 'admin'];
+
+// Horizontal bar per star level, widest bar = share of all reviews
+const RatingDistribution = ({ distribution = {}, total }) => (
+  <div className="space-y-1 text-sm">
+    {[5, 4, 3, 2, 1].map((star) => {
+      const count = distribution[star] || 0;
+      const percent = total > 0 ? Math.round((count / total) * 100) : 0;
+      return (
+        <div key={star} className="flex items-center gap-2">
+          <span className="w-8 text-gray-500">{star} ★</span>
+          <div className="h-2 w-40 overflow-hidden rounded bg-gray-200">
+            <div className="h-full bg-yellow-400" style={{ width: `${percent}%` }} />
+          </div>
+          <span className="w-10 text-right text-gray-500">{count}</span>
+        </div>
+      );
+    })}
+  </div>
+);
+
+// Readers-also-liked books, topped up by author and genre on the server
+const SimilarBooks = ({ bookId }) => {
+  const [books, setBooks] = useState([]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchSimilar = async () => {
+      try {
+        const data = await unwrap(api.GET('/books/{id}/similar', {
+          params: { path: { id: bookId } },
+          signal: controller.signal
+        }));
+        setBooks(data.books);
+      } catch (err) {
+        // The section is optional, so failures just leave it empty
+        if (err.name !== 'AbortError') setBooks([]);
+      }
+    };
+
+    fetchSimilar();
+    return () => controller.abort();
+  }, [bookId]);
+
+  if (books.length === 0) return null;
+
+  return (
+    <div className="space-y-4">
+      <h3 className="text-xl font-semibold">Similar books</h3>
+      <div className="grid grid-cols-3 gap-4 md:grid-cols-6">
+        {books.map((similar) => (
+          <Link key={similar._id} to={`/books/${similar._id}`} className="space-y-1">
+            <BookCover book={similar} />
+            <div className="line-clamp-1 text-sm font-medium">{similar.title}</div>
+            <div className="line-clamp-1 text-xs text-gray-500">{similar.author}</div>
+          </Link>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const reviewSortOptions = [
+  { value: 'helpful', label: 'Most Helpful' },
+  { value: 'newest', label: 'Newest' },
+  { value: 'oldest', label: 'Oldest' },
+  { value: 'highest', label: 'Highest Rated' },
+  { value: 'lowest', label: 'Lowest Rated' }
+];
 
 const BookDetail = () => {
   const { id } = useParams();
@@ -16,29 +98,21 @@ const BookDetail = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [reviewContent, setReviewContent] = useState('');
+  const [containsSpoilers, setContainsSpoilers] = useState(false);
   const [rating, setRating] = useState(0);
   const [submitting, setSubmitting] = useState(false);
+  const [reviewSort, setReviewSort] = useState('helpful');
+  const [myVotes, setMyVotes] = useState({});
+  // The current user's own review; when set the form edits it
+  const [myReview, setMyReview] = useState(null);
+  const [formError, setFormError] = useState(null);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
 
   useEffect(() => {
-    const fetchBookAndReviews = async () => {
+    const fetchBook = async () => {
       try {
         setLoading(true);
-        const [bookResponse, reviewsResponse] = await Promise.all([
-          fetch(`/api/books/${id}`),
-          fetch(`/api/reviews?bookId=${id}`)
-        ]);
-
-        if (!bookResponse.ok || !reviewsResponse.ok) {
-          throw new Error('Failed to fetch book data');
-        }
-
-        const [bookData, reviewsData] = await Promise.all([
-          bookResponse.json(),
-          reviewsResponse.json()
-        ]);
-
-        setBook(bookData);
-        setReviews(reviewsData);
+        setBook(await unwrap(api.GET('/books/{id}', { params: { path: { id } } })));
       } catch (err) {
         setError(err.message);
       } finally {
@@ -46,9 +120,109 @@ const BookDetail = () => {
       }
     };
 
-    fetchBookAndReviews();
+    fetchBook();
   }, [id]);
 
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchReviews = async () => {
+      try {
+        const data = await unwrap(api.GET('/reviews', {
+          params: { query: { bookId: id, sort: reviewSort } },
+          signal: controller.signal
+        }));
+        setReviews(data.reviews);
+      } catch (err) {
+        if (err.name !== 'AbortError') setError(err.message);
+      }
+    };
+
+    fetchReviews();
+    return () => controller.abort();
+  }, [id, reviewSort]);
+
+  useEffect(() => {
+    if (!authState.token) {
+      setMyVotes({});
+      return;
+    }
+
+    const fetchVotes = async () => {
+      try {
+        setMyVotes(await unwrap(api.GET('/reviews/my-votes', {
+          params: { query: { bookId: id } }
+        })));
+      } catch {
+        // Votes only highlight the buttons, the reviews read fine without them
+      }
+    };
+
+    fetchVotes();
+  }, [id, authState.token]);
+
+  useEffect(() => {
+    if (!authState.token) {
+      setMyReview(null);
+      return;
+    }
+
+    const fetchMyReview = async () => {
+      try {
+        setMyReview(await unwrap(api.GET('/reviews/mine', {
+          params: { query: { bookId: id } }
+        })));
+      } catch {
+        // 404 just means the user hasn't reviewed this book
+        setMyReview(null);
+      }
+    };
+
+    fetchMyReview();
+  }, [id, authState.token]);
+
+  // Prefill the form whenever the user's own review loads or changes
+  useEffect(() => {
+    setRating(myReview?.rating || 0);
+    setReviewContent(myReview?.content || '');
+    setContainsSpoilers(Boolean(myReview?.containsSpoilers));
+    setConfirmingDelete(false);
+  }, [myReview]);
+
+  // Rating stats change with every review write
+  const reloadBook = async () => {
+    try {
+      setBook(await unwrap(api.GET('/books/{id}', { params: { path: { id } } })));
+    } catch {
+      // Keep showing the stats already loaded
+    }
+  };
+
+  // Clicking the active vote again withdraws it
+  const handleVote = async (review, value) => {
+    if (!authState.user) {
+      navigate('/login', { state: { redirect: `/books/${id}` } });
+      return;
+    }
+
+    const withdraw = myVotes[review._id] === value;
+    const options = { params: { path: { id: review._id } } };
+    try {
+      const data = await unwrap(withdraw
+        ? api.DELETE('/reviews/{id}/vote', options)
+        : api.PUT('/reviews/{id}/vote', { ...options, body: { value } }));
+
+      setReviews(prev => prev.map(r => (
+        r._id === review._id
+          ? { ...r, helpfulCount: data.helpfulCount, unhelpfulCount: data.unhelpfulCount }
+          : r
+      )));
+      setMyVotes(prev => ({ ...prev, [review._id]: data.vote }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   const handleSubmitReview = async (e) => {
     e.preventDefault();
     if (!authState.user) {
@@ -58,29 +232,37 @@ const BookDetail = () => {
 
     try {
       setSubmitting(true);
-      const response = await fetch('/api/reviews', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${authState.user.token}`
-        },
-        body: JSON.stringify({
-          bookId: id,
-          rating,
-          content: reviewContent
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error('Failed to submit review');
-      }
+      setFormError(null);
+      const review = { rating, content: reviewContent, containsSpoilers };
+      const saved = await unwrap(myReview
+        ? api.PUT('/reviews/{id}', { params: { path: { id: myReview._id } }, body: review })
+        : api.POST('/reviews', { body: { ...review, bookId: id } }));
 
-      const newReview = await response.json();
-      setReviews(prev => [newReview, ...prev]);
-      setReviewContent('');
-      setRating(0);
+      setReviews(prev => (myReview
+        ? prev.map(r => (r._id === saved._id ? { ...r, ...saved } : r))
+        : [saved, ...prev]));
+      setMyReview(saved);
+      reloadBook();
     } catch (err) {
-      setError(err.message);
+      setFormError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDeleteReview = async () => {
+    try {
+      setSubmitting(true);
+      setFormError(null);
+      await unwrap(api.DELETE('/reviews/{id}', {
+        params: { path: { id: myReview._id } }
+      }));
+
+      setReviews(prev => prev.filter(r => r._id !== myReview._id));
+      setMyReview(null);
+      reloadBook();
+    } catch (err) {
+      setFormError(err.message);
     } finally {
       setSubmitting(false);
     }
@@ -106,25 +288,37 @@ const BookDetail = () => {
     <div className="space-y-8">
       {/* Book Details */}
       <Card>
-        <CardHeader>
-          <CardTitle>{book.title}</CardTitle>
-          <div className="text-sm text-gray-500">by {book.author}</div>
+        <CardHeader className="flex flex-row items-start gap-6">
+          <BookCover book={book} size="full" className="w-32 shrink-0" />
+          <div>
+            <CardTitle>{book.title}</CardTitle>
+            <div className="text-sm text-gray-500">by <AuthorLinks book={book} /></div>
+            <div className="mt-2">
+              <SeriesNavigation navigation={book.seriesNavigation} />
+            </div>
+          </div>
         </CardHeader>
         <CardContent>
-          <div className="flex items-center gap-2 mb-4">
-            <div className="flex">
-              {[1, 2, 3, 4, 5].map((star) => (
-                <Star
-                  key={star}
-                  className={`h-5 w-5 ${
-                    star <= book.rating ? 'fill-yellow-400 text-yellow-400' : 'text-gray-300'
-                  }`}
-                />
-              ))}
+          <div className="flex flex-wrap items-start gap-8 mb-4">
+            <div className="flex items-center gap-2">
+              <div className="flex">
+                {[1, 2, 3, 4, 5].map((star) => (
+                  <Star
+                    key={star}
+                    className={`h-5 w-5 ${
+                      star <= book.rating ? 'fill-yellow-400 text-yellow-400' : 'text-gray-300'
+                    }`}
+                  />
+                ))}
+              </div>
+              <span className="text-sm text-gray-500">
+                {book.rating.toFixed(1)} ({book.reviewCount} reviews)
+              </span>
             </div>
-            <span className="text-sm text-gray-500">
-              ({book.reviewCount} reviews)
-            </span>
+            <RatingDistribution
+              distribution={book.ratingDistribution}
+              total={book.reviewCount}
+            />
           </div>
           <p className="text-gray-700">{book.description}</p>
           <div className="mt-4 flex flex-wrap gap-2">
@@ -135,15 +329,29 @@ const BookDetail = () => {
               {new Date(book.publishedDate).getFullYear()}
             </span>
           </div>
+          <div className="mt-4">
+            <ShelfControl bookId={id} />
+          </div>
         </CardContent>
       </Card>
 
+      <EditionsTable bookId={id} />
+
+      <SimilarBooks bookId={id} />
+
       {/* Review Form */}
       <Card>
         <CardHeader>
-          <CardTitle>Write a Review</CardTitle>
+          <CardTitle>{myReview ? 'Your Review' : 'Write a Review'}</CardTitle>
         </CardHeader>
         <CardContent>
+          {myReview?.status === 'hidden' && (
+            <Alert className="mb-4">
+              <AlertDescription>
+                Your review has been hidden by a moderator and is only visible to you.
+              </AlertDescription>
+            </Alert>
+          )}
           <form onSubmit={handleSubmitReview} className="space-y-4">
             <div className="flex gap-2">
               {[1, 2, 3, 4, 5].map((star) => (
@@ -161,23 +369,71 @@ const BookDetail = () => {
                 </button>
               ))}
             </div>
-            <Textarea
+            <ReviewEditor
               value={reviewContent}
-              onChange={(e) => setReviewContent(e.target.value)}
-              placeholder="Share your thoughts about this book..."
-              rows={4}
-              required
+              onChange={setReviewContent}
+              containsSpoilers={containsSpoilers}
+              onSpoilersChange={setContainsSpoilers}
             />
-            <Button type="submit" disabled={submitting || !rating}>
-              {submitting ? 'Submitting...' : 'Submit Review'}
-            </Button>
+            {formError && <p className="text-sm text-red-500">{formError}</p>}
+            <div className="flex flex-wrap items-center gap-2">
+              <Button type="submit" disabled={submitting || !rating}>
+                {submitting ? 'Saving...' : myReview ? 'Update Review' : 'Submit Review'}
+              </Button>
+              {myReview && !confirmingDelete && (
+                <Button
+                  type="button"
+                  variant="ghost"
+                  onClick={() => setConfirmingDelete(true)}
+                  disabled={submitting}
+                >
+                  Delete
+                </Button>
+              )}
+              {confirmingDelete && (
+                <>
+                  <span className="text-sm text-gray-600">Delete your review?</span>
+                  <Button
+                    type="button"
+                    variant="destructive"
+                    size="sm"
+                    onClick={handleDeleteReview}
+                    disabled={submitting}
+                  >
+                    Yes, delete
+                  </Button>
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setConfirmingDelete(false)}
+                  >
+                    Cancel
+                  </Button>
+                </>
+              )}
+            </div>
           </form>
         </CardContent>
       </Card>
 
       {/* Reviews List */}
       <div className="space-y-4">
-        <h3 className="text-xl font-semibold">Reviews</h3>
+        <div className="flex items-center justify-between">
+          <h3 className="text-xl font-semibold">Reviews</h3>
+          <Select value={reviewSort} onValueChange={setReviewSort}>
+            <SelectTrigger className="w-[180px]">
+              <SelectValue placeholder="Sort reviews" />
+            </SelectTrigger>
+            <SelectContent>
+              {reviewSortOptions.map(option => (
+                <SelectItem key={option.value} value={option.value}>
+                  {option.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
         {reviews.map((review) => (
           <Card key={review._id}>
             <CardContent className="pt-4">
@@ -198,8 +454,44 @@ const BookDetail = () => {
                 <span className="text-sm text-gray-500">
                   • {new Date(review.createdAt).toLocaleDateString()}
                 </span>
+                {review.editedAt && (
+                  <span
+                    className="text-sm text-gray-400"
+                    title={`Edited ${new Date(review.editedAt).toLocaleString()}`}
+                  >
+                    • edited
+                  </span>
+                )}
               </div>
-              <p className="text-gray-700">{review.content}</p>
+              <ReviewContent content={review.content} containsSpoilers={review.containsSpoilers} />
+              {authState.user?.id !== review.userId._id && (
+                <div className="mt-3 flex items-center gap-2 text-sm text-gray-500">
+                  <span>Helpful?</span>
+                  <Button
+                    variant={myVotes[review._id] === 'helpful' ? 'default' : 'ghost'}
+                    size="sm"
+                    onClick={() => handleVote(review, 'helpful')}
+                    aria-pressed={myVotes[review._id] === 'helpful'}
+                  >
+                    <ThumbsUp className="mr-1 h-4 w-4" /> {review.helpfulCount || 0}
+                  </Button>
+                  <Button
+                    variant={myVotes[review._id] === 'unhelpful' ? 'default' : 'ghost'}
+                    size="sm"
+                    onClick={() => handleVote(review, 'unhelpful')}
+                    aria-pressed={myVotes[review._id] === 'unhelpful'}
+                  >
+                    <ThumbsDown className="mr-1 h-4 w-4" /> {review.unhelpfulCount || 0}
+                  </Button>
+                  <div className="ml-auto">
+                    <ReportButton targetType="review" targetId={review._id} />
+                  </div>
+                </div>
+              )}
+              {review.editedAt && MODERATOR_ROLES.includes(authState.user?.role) && (
+                <ReviewHistory reviewId={review._id} />
+              )}
+              <CommentThread review={review} />
             </CardContent>
           </Card>
         ))}
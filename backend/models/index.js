@@ -0,0 +1,458 @@
+// models/index.js
+const mongoose = require('mongoose');
+const { normalizeAuthorName } = require('../services/authors');
+const { weightedRating } = require('../services/book-stats');
+const { TITLE_COLLATION } = require('../utils/search');
+const { toIsbn13, toIsbn10 } = require('../utils/isbn');
+
+// Schemas for every collection. Requiring this module registers the models,
+// so routes, services and scripts can look them up with mongoose.model().
+
+const authorSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  // Other spellings seen in imports and edits, e.g. "J. R. R. Tolkien"
+  aliases: [String],
+  // Comparison keys of name and aliases, see services/authors.js
+  normalizedNames: [String],
+  bio: String,
+  photo: String,
+  birthYear: Number,
+  deathYear: Number,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+authorSchema.index({ normalizedNames: 1 });
+authorSchema.index({ name: 1 });
+
+authorSchema.pre('save', function (next) {
+  this.normalizedNames = [...new Set([this.name, ...this.aliases].map(normalizeAuthorName))];
+  this.updatedAt = Date.now();
+  next();
+});
+
+// An ordered run of books; each volume stores its own position
+const seriesSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  description: String,
+  // Planned length, when more volumes are announced than catalogued
+  volumeCount: Number,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+seriesSchema.index({ name: 1 });
+
+seriesSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// A book is the work that reviews and ratings attach to
+const bookSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  authors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Author' }],
+  // Display names of `authors`, kept in sync for search, facets and sorting
+  author: { type: String, required: true },
+  description: { type: String, required: true },
+  genre: { type: String, required: true },
+  publishedDate: Date,
+  // Position may be fractional for novellas between volumes (2.5)
+  series: {
+    seriesId: { type: mongoose.Schema.Types.ObjectId, ref: 'Series' },
+    position: Number
+  },
+  coverImage: String,
+  coverThumbnail: String,
+  rating: { type: Number, default: 0 },
+  ratingSum: { type: Number, default: 0 },
+  reviewCount: { type: Number, default: 0 },
+  // Review counts per star level
+  ratingDistribution: {
+    1: { type: Number, default: 0 },
+    2: { type: Number, default: 0 },
+    3: { type: Number, default: 0 },
+    4: { type: Number, default: 0 },
+    5: { type: Number, default: 0 }
+  },
+  // Bayesian average used for "top rated" ordering, see services/book-stats.js
+  weightedRating: { type: Number, default: () => weightedRating(0, 0) },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Weighted full-text index used by the search endpoint
+bookSchema.index(
+  { title: 'text', author: 'text', genre: 'text', description: 'text' },
+  {
+    name: 'book_text_search',
+    weights: { title: 10, author: 6, genre: 3, description: 1 }
+  }
+);
+
+bookSchema.index({ weightedRating: -1, reviewCount: -1 });
+bookSchema.index({ authors: 1 });
+bookSchema.index({ 'series.seriesId': 1, 'series.position': 1 }, { sparse: true });
+// Title lookups ignoring case, accents and punctuation, used to find duplicates
+bookSchema.index({ title: 1 }, { name: 'title_loose', collation: TITLE_COLLATION });
+
+// A published edition of a book; reviews stay on the book so they aggregate
+// across editions
+const editionSchema = new mongoose.Schema({
+  bookId: { type: mongoose.Schema.Types.ObjectId, ref: 'Book', required: true },
+  // Stored normalized; each is filled in from the other when convertible
+  isbn10: String,
+  isbn13: String,
+  format: {
+    type: String,
+    enum: ['hardcover', 'paperback', 'ebook', 'audiobook', 'other'],
+    default: 'paperback'
+  },
+  // Only when it differs from the work's title, e.g. a translation
+  title: String,
+  publisher: String,
+  publishedDate: Date,
+  pageCount: Number,
+  // ISO 639-1 code
+  language: String,
+  coverImage: String,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+editionSchema.index({ bookId: 1, publishedDate: 1 });
+editionSchema.index({ isbn13: 1 }, { unique: true, partialFilterExpression: { isbn13: { $type: 'string' } } });
+editionSchema.index({ isbn10: 1 }, { partialFilterExpression: { isbn10: { $type: 'string' } } });
+
+editionSchema.pre('validate', function (next) {
+  const isbn = this.isbn13 || this.isbn10;
+  if (isbn) {
+    this.isbn13 = toIsbn13(isbn) || this.isbn13;
+    this.isbn10 = toIsbn10(isbn) || undefined;
+  }
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Keep updatedAt in sync for both document saves and query updates
+bookSchema.pre('save', function (next) {
+  if (!this.isNew) this.updatedAt = Date.now();
+  next();
+});
+
+bookSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function (next) {
+  // Pipeline updates (rating stats) set updatedAt themselves via $$NOW
+  if (!Array.isArray(this.getUpdate())) {
+    this.set({ updatedAt: Date.now() });
+  }
+  next();
+});
+
+const reviewSchema = new mongoose.Schema({
+  bookId: { type: mongoose.Schema.Types.ObjectId, ref: 'Book', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  rating: { type: Number, required: true, min: 1, max: 5 },
+  // Markdown subset, see utils/markdown.js. Empty only for ratings imported
+  // without a written review; the API requires text.
+  content: { type: String, default: '' },
+  // Whole review is collapsed behind a warning
+  containsSpoilers: { type: Boolean, default: false },
+  helpfulCount: { type: Number, default: 0 },
+  unhelpfulCount: { type: Number, default: 0 },
+  commentCount: { type: Number, default: 0 },
+  // Hidden and deleted reviews are kept for the audit trail but don't count
+  // towards the book's rating or appear in public feeds
+  status: { type: String, enum: ['visible', 'hidden', 'deleted'], default: 'visible' },
+  moderatedAt: Date,
+  moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  deletedAt: Date,
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Set when the author changes the rating or text, shown as "edited"
+  editedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// One live review per user per book, enforced by the database as well.
+// Deleted reviews are excluded so the user can review the book again.
+// $in in a partial filter needs MongoDB 6.0 or later.
+reviewSchema.index(
+  { bookId: 1, userId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['visible', 'hidden'] } } }
+);
+reviewSchema.index({ bookId: 1, helpfulCount: -1, createdAt: -1 });
+
+// Earlier versions of an edited review, kept for moderators
+const reviewRevisionSchema = new mongoose.Schema({
+  reviewId: { type: mongoose.Schema.Types.ObjectId, ref: 'Review', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  rating: { type: Number, required: true },
+  content: { type: String, required: true },
+  containsSpoilers: { type: Boolean, default: false },
+  // When this version was written and when an edit replaced it
+  writtenAt: { type: Date, required: true },
+  replacedAt: { type: Date, default: Date.now }
+});
+
+reviewRevisionSchema.index({ reviewId: 1, replacedAt: -1 });
+
+// Comments on a review; parentId makes them a thread
+const commentSchema = new mongoose.Schema({
+  reviewId: { type: mongoose.Schema.Types.ObjectId, ref: 'Review', required: true },
+  bookId: { type: mongoose.Schema.Types.ObjectId, ref: 'Book', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null },
+  depth: { type: Number, default: 0 },
+  content: { type: String, required: true },
+  // Deleted comments with replies keep their place in the thread
+  deleted: { type: Boolean, default: false },
+  // Moderation state, independent of the author deleting their own comment
+  status: { type: String, enum: ['visible', 'hidden', 'deleted'], default: 'visible' },
+  moderatedAt: Date,
+  moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  deletedAt: Date,
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+commentSchema.index({ reviewId: 1, createdAt: 1 });
+commentSchema.index({ parentId: 1 });
+
+// A user, or the content checks run on submission, flagging a review or
+// comment for moderators. System reports have no reporter.
+const reportSchema = new mongoose.Schema({
+  targetType: { type: String, enum: ['review', 'comment'], required: true },
+  targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  source: { type: String, enum: ['user', 'system'], default: 'user' },
+  reporterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function () { return this.source === 'user'; }
+  },
+  reason: {
+    type: String,
+    enum: ['spam', 'abuse', 'spoiler', 'off-topic', 'other'],
+    required: true
+  },
+  details: String,
+  status: { type: String, enum: ['open', 'resolved', 'dismissed'], default: 'open' },
+  action: String,
+  resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  resolvedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+// One report per user per target; the queue groups open reports by target
+reportSchema.index(
+  { targetType: 1, targetId: 1, reporterId: 1 },
+  { unique: true, partialFilterExpression: { reporterId: { $exists: true } } }
+);
+reportSchema.index({ status: 1, createdAt: 1 });
+
+// Audit trail of moderator actions; entries are never updated or removed
+const moderationLogSchema = new mongoose.Schema({
+  actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  action: {
+    type: String,
+    enum: ['hide', 'restore', 'delete', 'dismiss', 'warn', 'ban', 'unban'],
+    required: true
+  },
+  targetType: { type: String, enum: ['review', 'comment', 'user'], required: true },
+  targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  reason: String,
+  metadata: mongoose.Schema.Types.Mixed,
+  createdAt: { type: Date, default: Date.now }
+});
+
+moderationLogSchema.index({ createdAt: -1 });
+moderationLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// One helpful/unhelpful vote per user per review
+const reviewVoteSchema = new mongoose.Schema({
+  reviewId: { type: mongoose.Schema.Types.ObjectId, ref: 'Review', required: true },
+  bookId: { type: mongoose.Schema.Types.ObjectId, ref: 'Book', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  value: { type: String, enum: ['helpful', 'unhelpful'], required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+reviewVoteSchema.index({ reviewId: 1, userId: 1 }, { unique: true });
+reviewVoteSchema.index({ userId: 1, bookId: 1 });
+
+const userSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true },
+  email: { type: String, required: true, unique: true },
+  password: { type: String, required: true },
+  profilePicture: String,
+  profileThumbnail: String,
+  bio: String,
+  role: { type: String, enum: ['reader', 'moderator', 'editor', 'admin'], default: 'reader' },
+  emailVerified: { type: Boolean, default: false },
+  shelvesPublic: { type: Boolean, default: true },
+  warningCount: { type: Number, default: 0 },
+  // Banned users can't sign in; bannedUntil unset means permanent
+  banned: { type: Boolean, default: false },
+  bannedUntil: Date,
+  banReason: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Refresh tokens are grouped into families, one per login session
+const refreshTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  family: { type: String, required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: Date,
+  revokedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Let MongoDB purge expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Reading statuses every user has; custom shelves are user-named collections
+const SHELF_STATUSES = ['want-to-read', 'reading', 'read'];
+
+const shelfSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true, maxlength: 50 },
+  createdAt: { type: Date, default: Date.now }
+});
+
+shelfSchema.index({ userId: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+// A user's relationship with one book: its reading status plus any custom shelves
+const shelfEntrySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  bookId: { type: mongoose.Schema.Types.ObjectId, ref: 'Book', required: true },
+  status: { type: String, enum: SHELF_STATUSES, required: true },
+  shelves: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Shelf' }],
+  progress: { type: Number, min: 0, max: 100, default: 0 },
+  startedAt: Date,
+  finishedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+shelfEntrySchema.index({ userId: 1, bookId: 1 }, { unique: true });
+shelfEntrySchema.index({ userId: 1, status: 1, updatedAt: -1 });
+shelfEntrySchema.index({ userId: 1, shelves: 1, updatedAt: -1 });
+
+// Precomputed nearest neighbours per book, written by the recommendations job
+const bookSimilaritySchema = new mongoose.Schema({
+  bookId: { type: mongoose.Schema.Types.ObjectId, ref: 'Book', required: true, unique: true },
+  similar: [{
+    _id: false,
+    bookId: { type: mongoose.Schema.Types.ObjectId, ref: 'Book' },
+    score: Number,
+    coRatings: Number
+  }],
+  computedAt: { type: Date, default: Date.now }
+});
+
+// Single-use, expiring tokens sent by email (verification, password reset)
+const userTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: ['email-verification', 'password-reset'], required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+userTokenSchema.index({ userId: 1, type: 1 });
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// A bulk import run row by row, see services/imports.js. `cursor` is the
+// number of rows done, so an interrupted job resumes where it stopped.
+const importJobSchema = new mongoose.Schema({
+  type: { type: String, enum: ['catalog', 'library'], required: true },
+  format: { type: String, enum: ['csv', 'jsonl', 'goodreads'], required: true },
+  // Who uploaded the file; CLI jobs have no user
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function () { return this.origin === 'upload'; }
+  },
+  fileName: String,
+  // Uploaded jobs keep their file in `source` until they complete; CLI jobs
+  // read it from disk again when resumed
+  origin: { type: String, enum: ['upload', 'cli'], default: 'upload' },
+  source: { type: String, select: false },
+  // Catalog imports: values for required fields a row leaves empty
+  defaults: {
+    genre: String,
+    description: String
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  totalRows: { type: Number, default: 0 },
+  cursor: { type: Number, default: 0 },
+  counts: {
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  // Row numbers count data rows from 1, not including a CSV header
+  rowErrors: [{
+    _id: false,
+    row: Number,
+    messages: [String]
+  }],
+  error: String,
+  startedAt: Date,
+  finishedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+importJobSchema.index({ userId: 1, createdAt: -1 });
+
+importJobSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const Author = mongoose.model('Author', authorSchema);
+const Series = mongoose.model('Series', seriesSchema);
+const Book = mongoose.model('Book', bookSchema);
+const Edition = mongoose.model('Edition', editionSchema);
+const Review = mongoose.model('Review', reviewSchema);
+const ReviewVote = mongoose.model('ReviewVote', reviewVoteSchema);
+const ReviewRevision = mongoose.model('ReviewRevision', reviewRevisionSchema);
+const Comment = mongoose.model('Comment', commentSchema);
+const Report = mongoose.model('Report', reportSchema);
+const ModerationLog = mongoose.model('ModerationLog', moderationLogSchema);
+const User = mongoose.model('User', userSchema);
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+const UserToken = mongoose.model('UserToken', userTokenSchema);
+const Shelf = mongoose.model('Shelf', shelfSchema);
+const ShelfEntry = mongoose.model('ShelfEntry', shelfEntrySchema);
+const BookSimilarity = mongoose.model('BookSimilarity', bookSimilaritySchema);
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+module.exports = {
+  Author,
+  Series,
+  Book,
+  Edition,
+  Review,
+  ReviewVote,
+  ReviewRevision,
+  Comment,
+  Report,
+  ModerationLog,
+  User,
+  RefreshToken,
+  UserToken,
+  Shelf,
+  ShelfEntry,
+  BookSimilarity,
+  ImportJob
+};
@@ -0,0 +1,237 @@
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { api, apiFetch, unwrap } from '@/lib/api';
+
+// Fields offered for review; the first group goes on the book, the rest on
+// the edition
+const FIELDS = [
+  { name: 'title', label: 'Title' },
+  { name: 'authors', label: 'Authors' },
+  { name: 'description', label: 'Description', multiline: true },
+  { name: 'genre', label: 'Genre' },
+  { name: 'publishedDate', label: 'Published' },
+  { name: 'coverImage', label: 'Cover URL' },
+  { name: 'publisher', label: 'Publisher' },
+  { name: 'pageCount', label: 'Pages' },
+  { name: 'language', label: 'Language' }
+];
+
+const FORMATS = ['hardcover', 'paperback', 'ebook', 'audiobook', 'other'];
+
+// Authors are edited as "A; B" since names may contain commas
+const toText = (name, value) => {
+  if (value === undefined || value === null) return '';
+  return name === 'authors' ? value.join('; ') : String(value);
+};
+
+const fromText = (name, text) => {
+  if (name === 'authors') return text.split(';').map(a => a.trim()).filter(Boolean);
+  if (name === 'pageCount') return parseInt(text) || undefined;
+  return text.trim() || undefined;
+};
+
+// Each field starts on the provider that won the merge; the editor can pick
+// another provider's value or type their own
+const initialChoices = (metadata) => FIELDS.reduce((choices, { name }) => {
+  choices[name] = {
+    source: metadata.sources[name] || 'custom',
+    custom: toText(name, metadata.fields[name])
+  };
+  return choices;
+}, {});
+
+const FieldChoice = ({ field, metadata, choice, onChange }) => {
+  const options = metadata.candidates.filter(({ metadata: values }) => values[field.name] !== undefined);
+  const InputComponent = field.multiline ? Textarea : Input;
+
+  return (
+    <div className="space-y-2 border-b pb-4 last:border-0">
+      <div className="font-medium">{field.label}</div>
+      {options.map(({ provider, metadata: values }) => (
+        <label key={provider} className="flex items-start gap-2 text-sm">
+          <input
+            type="radio"
+            name={field.name}
+            checked={choice.source === provider}
+            onChange={() => onChange({ ...choice, source: provider })}
+            className="mt-1"
+          />
+          <span>
+            <span className="text-gray-500">{provider}: </span>
+            <span className={field.multiline ? 'line-clamp-3' : ''}>
+              {toText(field.name, values[field.name])}
+            </span>
+          </span>
+        </label>
+      ))}
+      <label className="flex items-start gap-2 text-sm">
+        <input
+          type="radio"
+          name={field.name}
+          checked={choice.source === 'custom'}
+          onChange={() => onChange({ ...choice, source: 'custom' })}
+          className="mt-3"
+        />
+        <InputComponent
+          value={choice.custom}
+          onChange={(e) => onChange({ source: 'custom', custom: e.target.value })}
+          placeholder={options.length > 0 ? 'Your own value' : 'Not found, enter it yourself'}
+        />
+      </label>
+    </div>
+  );
+};
+
+// Add a book by ISBN: look up its metadata, review each field, then create
+// the book with this ISBN as its first edition
+const AddBook = () => {
+  const navigate = useNavigate();
+  const [isbn, setIsbn] = useState('');
+  const [metadata, setMetadata] = useState(null);
+  const [choices, setChoices] = useState({});
+  const [format, setFormat] = useState('paperback');
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const handleLookup = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+    setMetadata(null);
+
+    try {
+      const data = await apiFetch(`/api/metadata/isbn/${encodeURIComponent(isbn.trim())}`);
+      setMetadata(data);
+      setChoices(initialChoices(data));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const valueOf = (name) => {
+    const choice = choices[name];
+    if (choice.source === 'custom') return fromText(name, choice.custom);
+    return metadata.candidates.find(c => c.provider === choice.source).metadata[name];
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      const book = await unwrap(api.POST('/books', {
+        body: {
+          title: valueOf('title'),
+          authors: valueOf('authors'),
+          description: valueOf('description'),
+          genre: valueOf('genre'),
+          publishedDate: valueOf('publishedDate'),
+          coverImage: valueOf('coverImage'),
+          edition: {
+            isbn13: metadata.isbn13,
+            format,
+            publisher: valueOf('publisher'),
+            pageCount: valueOf('pageCount'),
+            language: valueOf('language'),
+            publishedDate: valueOf('publishedDate')
+          }
+        }
+      }));
+      navigate(`/books/${book._id}`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle>Add a book by ISBN</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <form onSubmit={handleLookup} className="flex gap-2">
+            <Input
+              value={isbn}
+              onChange={(e) => setIsbn(e.target.value)}
+              placeholder="ISBN-10 or ISBN-13"
+              required
+            />
+            <Button type="submit" disabled={loading}>
+              {loading ? 'Looking up...' : 'Look up'}
+            </Button>
+          </form>
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+          {metadata?.existingBookId && (
+            <Alert>
+              <AlertDescription>
+                This edition is already in the catalog:{' '}
+                <Link to={`/books/${metadata.existingBookId}`} className="underline">view the book</Link>
+              </AlertDescription>
+            </Alert>
+          )}
+        </CardContent>
+      </Card>
+
+      {metadata && !metadata.existingBookId && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Review the details</CardTitle>
+            <div className="text-sm text-gray-500">
+              ISBN-13 {metadata.isbn13}{metadata.isbn10 && ` • ISBN-10 ${metadata.isbn10}`}
+            </div>
+            {metadata.unavailable?.length > 0 && (
+              <div className="text-sm text-amber-600">
+                Not answering right now: {metadata.unavailable.map(({ provider }) => provider).join(', ')}
+              </div>
+            )}
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {FIELDS.map(field => (
+              <FieldChoice
+                key={field.name}
+                field={field}
+                metadata={metadata}
+                choice={choices[field.name]}
+                onChange={(choice) => setChoices(prev => ({ ...prev, [field.name]: choice }))}
+              />
+            ))}
+            <div className="space-y-2">
+              <div className="font-medium">Format</div>
+              <Select value={format} onValueChange={setFormat}>
+                <SelectTrigger className="w-48">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {FORMATS.map(value => (
+                    <SelectItem key={value} value={value}>{value}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <Button onClick={handleSave} disabled={saving}>
+              {saving ? 'Saving...' : 'Create book'}
+            </Button>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default AddBook;
@@ -1,45 +1,10 @@
 import React from 'react';
 import { createBrowserRouter, RouterProvider, Outlet } from 'react-router-dom';
-import { createContext, useContext, useReducer } from 'react';
-
-// Create auth context
-const AuthContext = createContext(null);
-
-// Auth reducer
-const authReducer = (state, action) => {
-  switch (action.type) {
-    case 'LOGIN':
-      return { user: action.payload };
-    case 'LOGOUT':
-      return { user: null };
-    default:
-      return state;
-  }
-};
-
-// Auth provider component
-const AuthProvider = ({ children }) => {
-  const [state, dispatch] = useReducer(authReducer, { user: null });
-
-  return (
-    <AuthContext.Provider value={{ state, dispatch }}>
-      {children}
-    </AuthContext.Provider>
-  );
-};
-
-// Custom hook for using auth
-export const useAuth = () => {
-  const context = useContext(AuthContext);
-  if (!context) {
-    throw new Error('useAuth must be used within an AuthProvider');
-  }
-  return context;
-};
+import { AuthProvider, useAuth } from '../context/auth';
 
 // Root layout with navigation
 const RootLayout = () => {
-  const { state, dispatch } = useAuth();
+  const { state, logout } = useAuth();
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -49,11 +14,16 @@ const RootLayout = () => {
           <div className="flex gap-4">
             {state.user ? (
               <>
+                {['editor', 'admin'].includes(state.user.role) && (
+                  <Link to="/books/new" className="text-gray-600 hover:text-gray-900">
+                    Add Book
+                  </Link>
+                )}
                 <Link to="/profile" className="text-gray-600 hover:text-gray-900">
                   Profile
                 </Link>
                 <button 
-                  onClick={() => dispatch({ type: 'LOGOUT' })}
+                  onClick={logout}
                   className="text-gray-600 hover:text-gray-900"
                 >
                   Logout
@@ -81,9 +51,16 @@ const router = createBrowserRouter([
     element: <RootLayout />,
     children: [
       { path: '/', element: <BookListing /> },
+      { path: '/books/new', element: <AddBook /> },
       { path: '/books/:id', element: <BookDetail /> },
+      { path: '/authors/:id', element: <AuthorPage /> },
+      { path: '/series/:id', element: <SeriesPage /> },
       { path: '/login', element: <Login /> },
       { path: '/register', element: <Register /> },
+      { path: '/forgot-password', element: <ForgotPassword /> },
+      { path: '/reset-password', element: <ResetPassword /> },
+      { path: '/verify-email', element: <VerifyEmail /> },
+      { path: '/users/:id', element: <Profile /> },
       { 
         path: '/profile', 
         element: <Profile />,
@@ -1,8 +1,9 @@
-import React, { createContext, useContext, useReducer, useState } from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useLayoutEffect, useReducer, useState } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Input } from '@/components/ui/input';
 import { Button } from '@/components/ui/button';
 import { Alert, AlertDescription } from '@/components/ui/alert';
+import { api, setSession, unwrap } from '@/lib/api';
 
 // Auth Context
 const AuthContext = createContext(null);
@@ -11,14 +12,21 @@ const AuthContext = createContext(null);
 const authReducer = (state, action) => {
   switch (action.type) {
     case 'LOGIN':
-      // Store token in localStorage for persistence
+    case 'TOKEN_REFRESHED':
+      // Store tokens in localStorage for persistence
       localStorage.setItem('token', action.payload.token);
+      localStorage.setItem('refreshToken', action.payload.refreshToken);
       localStorage.setItem('user', JSON.stringify(action.payload.user));
-      return { user: action.payload.user, token: action.payload.token };
+      return {
+        user: action.payload.user,
+        token: action.payload.token,
+        refreshToken: action.payload.refreshToken
+      };
     case 'LOGOUT':
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       localStorage.removeItem('user');
-      return { user: null, token: null };
+      return { user: null, token: null, refreshToken: null };
     default:
       return state;
   }
@@ -27,16 +35,53 @@ const authReducer = (state, action) => {
 // Auth Provider
 export const AuthProvider = ({ children }) => {
   const storedToken = localStorage.getItem('token');
+  const storedRefreshToken = localStorage.getItem('refreshToken');
   const storedUser = localStorage.getItem('user');
   const initialState = {
     user: storedUser ? JSON.parse(storedUser) : null,
-    token: storedToken || null
+    token: storedToken || null,
+    refreshToken: storedRefreshToken || null
   };
 
   const [state, dispatch] = useReducer(authReducer, initialState);
 
+  // Exchange the refresh token for a new token pair; logs out if it was rejected
+  const refreshSession = useCallback(async () => {
+    if (!state.refreshToken) return null;
+
+    const { data, response } = await api.POST('/auth/refresh', {
+      body: { refreshToken: state.refreshToken }
+    });
+
+    if (!response.ok) {
+      dispatch({ type: 'LOGOUT' });
+      return null;
+    }
+
+    dispatch({ type: 'TOKEN_REFRESHED', payload: data });
+    return data.token;
+  }, [state.refreshToken]);
+
+  // Revoke the session server-side before clearing local state
+  const logout = useCallback(async () => {
+    try {
+      if (state.refreshToken) {
+        await api.POST('/auth/logout', { body: { refreshToken: state.refreshToken } });
+      }
+    } finally {
+      dispatch({ type: 'LOGOUT' });
+    }
+  }, [state.refreshToken]);
+
+  // API requests sign themselves with this token and renew it on expiry.
+  // Layout effects run before any component's useEffect, so data loading in
+  // the tree below already sends the current token.
+  useLayoutEffect(() => {
+    setSession(state.token, refreshSession);
+  }, [state.token, refreshSession]);
+
   return (
-    <AuthContext.Provider value={{ state, dispatch }}>
+    <AuthContext.Provider value={{ state, dispatch, refreshSession, logout }}>
       {children}
     </AuthContext.Provider>
   );
@@ -68,16 +113,7 @@ export const Login = () => {
     setLoading(true);
 
     try {
-      const response = await fetch('/api/auth/login', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(formData)
-      });
-
-      const data = await response.json();
-      if (!response.ok) {
-        throw new Error(data.error || 'Login failed');
-      }
+      const data = await unwrap(api.POST('/auth/login', { body: formData }));
 
       dispatch({ type: 'LOGIN', payload: data });
       setSuccess(true);
@@ -172,20 +208,13 @@ export const Register = () => {
     setLoading(true);
 
     try {
-      const response = await fetch('/api/auth/register', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      const data = await unwrap(api.POST('/auth/register', {
+        body: {
           username: formData.username,
           email: formData.email,
           password: formData.password
-        })
-      });
-
-      const data = await response.json();
-      if (!response.ok) {
-        throw new Error(data.error || 'Registration failed');
-      }
+        }
+      }));
 
       dispatch({ type: 'LOGIN', payload: data });
       setSuccess(true);
@@ -279,29 +308,262 @@ export const Register = () => {
   );
 };
 
+// Forgot Password Component
+export const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [success, setSuccess] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setLoading(true);
+
+    try {
+      await unwrap(api.POST('/auth/forgot-password', { body: { email } }));
+
+      setSuccess(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (success) {
+    return (
+      <div className="max-w-md mx-auto">
+        <Alert className="mb-4">
+          <AlertDescription>
+            If that email is registered, a reset link is on its way.
+          </AlertDescription>
+        </Alert>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-md mx-auto">
+      <Card>
+        <CardHeader>
+          <CardTitle>Forgot Password</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {error && (
+            <Alert variant="destructive" className="mb-4">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <Input
+                type="email"
+                placeholder="Email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+              />
+            </div>
+            <Button type="submit" className="w-full" disabled={loading}>
+              {loading ? 'Sending...' : 'Send Reset Link'}
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+// Reset Password Component, token comes from the emailed link
+export const ResetPassword = ({
+  token = new URLSearchParams(window.location.search).get('token')
+}) => {
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [success, setSuccess] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await unwrap(api.POST('/auth/reset-password', {
+        body: {
+          token,
+          password: formData.password
+        }
+      }));
+
+      setSuccess(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="max-w-md mx-auto">
+        <Alert variant="destructive" className="mb-4">
+          <AlertDescription>This reset link is invalid.</AlertDescription>
+        </Alert>
+      </div>
+    );
+  }
+
+  if (success) {
+    return (
+      <div className="max-w-md mx-auto">
+        <Alert className="mb-4">
+          <AlertDescription>
+            Your password has been reset. You can now log in with your new password.
+          </AlertDescription>
+        </Alert>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-md mx-auto">
+      <Card>
+        <CardHeader>
+          <CardTitle>Reset Password</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {error && (
+            <Alert variant="destructive" className="mb-4">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <Input
+                type="password"
+                placeholder="New Password"
+                value={formData.password}
+                onChange={(e) => setFormData(prev => ({
+                  ...prev,
+                  password: e.target.value
+                }))}
+                required
+              />
+            </div>
+            <div>
+              <Input
+                type="password"
+                placeholder="Confirm New Password"
+                value={formData.confirmPassword}
+                onChange={(e) => setFormData(prev => ({
+                  ...prev,
+                  confirmPassword: e.target.value
+                }))}
+                required
+              />
+            </div>
+            <Button type="submit" className="w-full" disabled={loading}>
+              {loading ? 'Resetting...' : 'Reset Password'}
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+// Verify Email Component, confirms the token from the emailed link on mount
+export const VerifyEmail = ({
+  token = new URLSearchParams(window.location.search).get('token')
+}) => {
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [error, setError] = useState(token ? null : 'This verification link is invalid.');
+
+  useEffect(() => {
+    if (!token) return;
+
+    const verify = async () => {
+      try {
+        await unwrap(api.POST('/auth/verify-email', { body: { token } }));
+
+        setStatus('verified');
+      } catch (err) {
+        setError(err.message);
+        setStatus('error');
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  return (
+    <div className="max-w-md mx-auto">
+      {status === 'verifying' && (
+        <div className="flex justify-center p-8">
+          <div className="h-8 w-8 animate-spin rounded-full border-4 border-primary border-t-transparent" />
+        </div>
+      )}
+      {status === 'verified' && (
+        <Alert className="mb-4">
+          <AlertDescription>Your email has been verified.</AlertDescription>
+        </Alert>
+      )}
+      {status === 'error' && (
+        <Alert variant="destructive" className="mb-4">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+    </div>
+  );
+};
+
 // Default export for the main component
 export default function AuthComponents() {
-  const [showLogin, setShowLogin] = useState(true);
+  const [view, setView] = useState('login');
 
   return (
     <div className="container mx-auto p-4">
       <div className="flex justify-center mb-4">
         <div className="space-x-4">
           <Button 
-            variant={showLogin ? "default" : "outline"}
-            onClick={() => setShowLogin(true)}
+            variant={view === 'login' ? "default" : "outline"}
+            onClick={() => setView('login')}
           >
             Login
           </Button>
           <Button 
-            variant={!showLogin ? "default" : "outline"}
-            onClick={() => setShowLogin(false)}
+            variant={view === 'register' ? "default" : "outline"}
+            onClick={() => setView('register')}
           >
             Register
           </Button>
         </div>
       </div>
-      {showLogin ? <Login /> : <Register />}
+      {view === 'login' && <Login />}
+      {view === 'register' && <Register />}
+      {view === 'forgot' && <ForgotPassword />}
+      {view === 'login' && (
+        <div className="mt-4 text-center">
+          <button
+            type="button"
+            onClick={() => setView('forgot')}
+            className="text-sm text-gray-600 hover:text-gray-900"
+          >
+            Forgot your password?
+          </button>
+        </div>
+      )}
     </div>
   );
 }
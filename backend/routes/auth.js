@@ -0,0 +1,350 @@
+// routes/auth.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { body } = require('express-validator');
+const {
+  authenticate,
+  authLimiter,
+  userValidation,
+  resetPasswordValidation,
+  validate,
+  hashToken,
+  issueTokens,
+  revokeTokenFamily,
+  isBanned,
+  banError,
+  createUserToken,
+  consumeUserToken
+} = require('../middleware/auth-middleware');
+const { getMailer } = require('../services/mailer');
+const {
+  BadRequestError,
+  UnauthorizedError,
+  NotFoundError,
+  ConflictError
+} = require('../utils/errors');
+
+const User = mongoose.model('User');
+const RefreshToken = mongoose.model('RefreshToken');
+
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+
+const sendVerificationEmail = async (user) => {
+  const token = await createUserToken(user._id, 'email-verification', EMAIL_VERIFICATION_TTL);
+  const link = `${APP_URL}/verify-email?token=${token}`;
+
+  await getMailer().send({
+    to: user.email,
+    subject: 'Verify your BookReview email',
+    text: `Hi ${user.username},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await createUserToken(user._id, 'password-reset', PASSWORD_RESET_TTL);
+  const link = `${APP_URL}/reset-password?token=${token}`;
+
+  await getMailer().send({
+    to: user.email,
+    subject: 'Reset your BookReview password',
+    text: `Hi ${user.username},\n\nReset your password by opening this link:\n${link}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`
+  });
+};
+
+// Register new user
+router.post('/register',
+  userValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const { username, email, password } = req.body;
+
+      // Check if user already exists
+      const existingUser = await User.findOne({
+        $or: [{ email }, { username }]
+      });
+
+      if (existingUser) {
+        throw new ConflictError('User with this email or username already exists');
+      }
+
+      // Hash password
+      const salt = await bcrypt.genSalt(10);
+      const hashedPassword = await bcrypt.hash(password, salt);
+
+      // Create new user
+      const user = new User({
+        username,
+        email,
+        password: hashedPassword
+      });
+
+      await user.save();
+
+      // Registration succeeds even if the mail server is unavailable;
+      // the user can ask for a new link later
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error('Failed to send verification email:', mailError);
+      }
+
+      // Generate access and refresh tokens
+      const { token, refreshToken } = await issueTokens(user);
+
+      res.status(201).json({
+        token,
+        refreshToken,
+        user: {
+          id: user._id,
+          username: user.username,
+          email: user.email,
+          role: user.role,
+          emailVerified: user.emailVerified
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Login user
+router.post('/login',
+  authLimiter,
+  [
+    body('email').isEmail().normalizeEmail(),
+    body('password').isString()
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const { email, password } = req.body;
+
+      // Find user
+      const user = await User.findOne({ email });
+      if (!user) {
+        throw new UnauthorizedError('Invalid credentials', 'invalid_credentials');
+      }
+
+      // Check password
+      const isMatch = await bcrypt.compare(password, user.password);
+      if (!isMatch) {
+        throw new UnauthorizedError('Invalid credentials', 'invalid_credentials');
+      }
+
+      if (isBanned(user)) {
+        throw banError(user);
+      }
+
+      // Generate access and refresh tokens
+      const { token, refreshToken } = await issueTokens(user);
+
+      res.json({
+        token,
+        refreshToken,
+        user: {
+          id: user._id,
+          username: user.username,
+          email: user.email,
+          role: user.role,
+          emailVerified: user.emailVerified
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Rotate a refresh token
+router.post('/refresh',
+  [body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')],
+  validate,
+  async (req, res, next) => {
+    try {
+      const stored = await RefreshToken.findOne({
+        tokenHash: hashToken(req.body.refreshToken)
+      });
+
+      if (!stored || stored.expiresAt < Date.now()) {
+        throw new UnauthorizedError('Invalid refresh token', 'invalid_refresh_token');
+      }
+
+      // A token that was already rotated or revoked is being replayed,
+      // so the whole family is considered compromised
+      if (stored.usedAt || stored.revokedAt) {
+        await revokeTokenFamily(stored.family);
+        throw new UnauthorizedError('Refresh token reuse detected', 'refresh_token_reused');
+      }
+
+      // Mark as used atomically so concurrent refreshes can't both succeed
+      const claimed = await RefreshToken.findOneAndUpdate(
+        { _id: stored._id, usedAt: null, revokedAt: null },
+        { usedAt: Date.now() }
+      );
+      if (!claimed) {
+        await revokeTokenFamily(stored.family);
+        throw new UnauthorizedError('Refresh token reuse detected', 'refresh_token_reused');
+      }
+
+      const user = await User.findById(stored.userId);
+      if (!user) {
+        await revokeTokenFamily(stored.family);
+        throw new UnauthorizedError('Invalid refresh token', 'invalid_refresh_token');
+      }
+      if (isBanned(user)) {
+        await revokeTokenFamily(stored.family);
+        throw banError(user);
+      }
+
+      const { token, refreshToken } = await issueTokens(user, stored.family);
+
+      res.json({
+        token,
+        refreshToken,
+        user: {
+          id: user._id,
+          username: user.username,
+          email: user.email,
+          role: user.role,
+          emailVerified: user.emailVerified
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Logout, revoking the session's token family. Takes the refresh token
+// rather than the access token so it still works once the latter expired.
+router.post('/logout',
+  [body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')],
+  validate,
+  async (req, res, next) => {
+    try {
+      const stored = await RefreshToken.findOne({
+        tokenHash: hashToken(req.body.refreshToken)
+      });
+
+      if (stored) {
+        await revokeTokenFamily(stored.family);
+      }
+      res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Request a password reset link
+router.post('/forgot-password',
+  authLimiter,
+  [body('email').isEmail().normalizeEmail().withMessage('Invalid email address')],
+  validate,
+  async (req, res, next) => {
+    try {
+      const user = await User.findOne({ email: req.body.email });
+
+      // Same response either way so accounts can't be enumerated. It goes out
+      // before the token and mail work, so neither a mail failure nor the
+      // time spent sending tells registered addresses apart.
+      res.json({ message: 'If that email is registered, a reset link has been sent' });
+
+      if (user) {
+        sendPasswordResetEmail(user).catch((mailError) => {
+          console.error('Failed to send password reset email:', mailError);
+        });
+      }
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Set a new password using a reset token
+router.post('/reset-password',
+  authLimiter,
+  resetPasswordValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const resetToken = await consumeUserToken(req.body.token, 'password-reset');
+      if (!resetToken) {
+        throw new BadRequestError('Invalid or expired reset token', 'invalid_token');
+      }
+
+      const salt = await bcrypt.genSalt(10);
+      const hashedPassword = await bcrypt.hash(req.body.password, salt);
+
+      const user = await User.findByIdAndUpdate(resetToken.userId, {
+        password: hashedPassword
+      });
+      if (!user) {
+        throw new BadRequestError('Invalid or expired reset token', 'invalid_token');
+      }
+
+      // Sign out every existing session after a password change
+      await RefreshToken.updateMany(
+        { userId: user._id, revokedAt: null },
+        { revokedAt: Date.now() }
+      );
+
+      res.json({ message: 'Password has been reset' });
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Confirm ownership of an email address
+router.post('/verify-email',
+  [body('token').isString().notEmpty().withMessage('Verification token is required')],
+  validate,
+  async (req, res, next) => {
+    try {
+      const verificationToken = await consumeUserToken(req.body.token, 'email-verification');
+      if (!verificationToken) {
+        throw new BadRequestError('Invalid or expired verification token', 'invalid_token');
+      }
+
+      await User.findByIdAndUpdate(verificationToken.userId, { emailVerified: true });
+      res.json({ message: 'Email verified successfully' });
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Send a fresh verification link to the current user
+router.post('/resend-verification',
+  authenticate,
+  authLimiter,
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user.id);
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+      if (user.emailVerified) {
+        throw new ConflictError('Email is already verified', 'already_verified');
+      }
+
+      await sendVerificationEmail(user);
+      res.json({ message: 'Verification email sent' });
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Get current user
+router.get('/me',
+  authenticate,
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user.id).select('-password');
+      res.json(user);
+    } catch (error) {
+      next(error);
+    }
+});
+
+module.exports = router;
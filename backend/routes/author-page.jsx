@@ -0,0 +1,124 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { Star, User } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import BookCover from './book-cover';
+
+// "A, B" with each author linking to their page; falls back to the free-text
+// author for books not yet linked to author records
+export const AuthorLinks = ({ book }) => {
+  if (!book.authors?.length || typeof book.authors[0] !== 'object') {
+    return book.author;
+  }
+
+  return book.authors.map((author, i) => (
+    <React.Fragment key={author._id}>
+      {i > 0 && ', '}
+      <Link to={`/authors/${author._id}`} className="hover:underline">
+        {author.name}
+      </Link>
+    </React.Fragment>
+  ));
+};
+
+const lifespan = ({ birthYear, deathYear }) => {
+  if (!birthYear && !deathYear) return null;
+  return `${birthYear ?? '?'}–${deathYear ?? ''}`;
+};
+
+// Author page: bio, their books and the rating across all of them
+const AuthorPage = () => {
+  const { id } = useParams();
+  const [author, setAuthor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchAuthor = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await fetch(`/api/authors/${id}`);
+        if (!response.ok) {
+          throw new Error(response.status === 404 ? 'Author not found' : 'Failed to fetch author');
+        }
+        setAuthor(await response.json());
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAuthor();
+  }, [id]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center p-8">
+        <div className="h-8 w-8 animate-spin rounded-full border-4 border-primary border-t-transparent" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <Alert variant="destructive">
+        <AlertDescription>{error}</AlertDescription>
+      </Alert>
+    );
+  }
+
+  const { stats } = author;
+
+  return (
+    <div className="space-y-8">
+      <Card>
+        <CardHeader className="flex flex-row items-start gap-6">
+          <div className="flex h-32 w-32 shrink-0 items-center justify-center overflow-hidden rounded-full bg-gray-100">
+            {author.photo
+              ? <img src={author.photo} alt={author.name} className="h-full w-full object-cover" />
+              : <User className="h-12 w-12 text-gray-400" />}
+          </div>
+          <div className="space-y-2">
+            <CardTitle>{author.name}</CardTitle>
+            {lifespan(author) && <div className="text-sm text-gray-500">{lifespan(author)}</div>}
+            {author.aliases?.length > 0 && (
+              <div className="text-sm text-gray-500">Also known as {author.aliases.join(', ')}</div>
+            )}
+            <div className="flex items-center gap-2 text-sm text-gray-500">
+              <Star className="h-4 w-4 fill-yellow-400 text-yellow-400" />
+              {stats.rating.toFixed(1)} average from {stats.reviewCount} reviews
+              across {stats.bookCount} {stats.bookCount === 1 ? 'book' : 'books'}
+            </div>
+          </div>
+        </CardHeader>
+        {author.bio && (
+          <CardContent>
+            <p className="whitespace-pre-line text-gray-700">{author.bio}</p>
+          </CardContent>
+        )}
+      </Card>
+
+      <div className="space-y-4">
+        <h3 className="text-xl font-semibold">Books</h3>
+        <div className="grid grid-cols-2 gap-4 md:grid-cols-4 lg:grid-cols-6">
+          {author.books.map(book => (
+            <Link key={book._id} to={`/books/${book._id}`} className="space-y-1">
+              <BookCover book={book} />
+              <div className="line-clamp-2 text-sm font-medium">{book.title}</div>
+              <div className="flex items-center gap-1 text-xs text-gray-500">
+                <Star className="h-3 w-3 fill-yellow-400 text-yellow-400" />
+                {(book.rating || 0).toFixed(1)} ({book.reviewCount || 0})
+                {book.publishedDate && ` • ${new Date(book.publishedDate).getFullYear()}`}
+              </div>
+            </Link>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuthorPage;
@@ -0,0 +1,174 @@
+// routes/authors.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body } = require('express-validator');
+const {
+  authenticate,
+  requireRole,
+  newAuthorValidation,
+  authorUpdateValidation,
+  validate,
+  validateObjectId
+} = require('../middleware/auth-middleware');
+const { escapeRegExp, normalizeSearchQuery } = require('../utils/search');
+const { refreshBookAuthorNames, mergeAuthors } = require('../services/authors');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+
+const Author = mongoose.model('Author');
+const Book = mongoose.model('Book');
+
+router.param('id', validateObjectId);
+
+const AUTHOR_FIELDS = ['name', 'aliases', 'bio', 'photo', 'birthYear', 'deathYear'];
+const BOOK_CARD_FIELDS = 'title author authors genre publishedDate coverImage coverThumbnail rating reviewCount';
+const MAX_AUTHOR_BOOKS = 200;
+
+const pickAuthorFields = (source) => AUTHOR_FIELDS.reduce((fields, field) => {
+  if (source[field] !== undefined) fields[field] = source[field];
+  return fields;
+}, {});
+
+// List authors, optionally filtered by a name or alias prefix
+router.get('/', async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+    const q = normalizeSearchQuery(req.query.q);
+
+    const prefix = new RegExp(`(?:^|\\s)${escapeRegExp(q)}`, 'i');
+    const query = q ? { $or: [{ name: prefix }, { aliases: prefix }] } : {};
+
+    const [authors, total] = await Promise.all([
+      Author.find(query)
+        .select('name photo birthYear deathYear')
+        .sort({ name: 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Author.countDocuments(query)
+    ]);
+
+    res.json({
+      authors,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// An author with their books and the rating across all of them
+router.get('/:id', async (req, res, next) => {
+  try {
+    const author = await Author.findById(req.params.id).select('-normalizedNames').lean();
+    if (!author) {
+      throw new NotFoundError('Author not found');
+    }
+
+    const [books, [totals]] = await Promise.all([
+      Book.find({ authors: author._id })
+        .select(BOOK_CARD_FIELDS)
+        .populate('authors', 'name')
+        .sort({ publishedDate: 1, title: 1 })
+        .limit(MAX_AUTHOR_BOOKS)
+        .lean(),
+      Book.aggregate([
+        { $match: { authors: author._id } },
+        {
+          $group: {
+            _id: null,
+            bookCount: { $sum: 1 },
+            ratingSum: { $sum: '$ratingSum' },
+            reviewCount: { $sum: '$reviewCount' }
+          }
+        }
+      ])
+    ]);
+
+    const { bookCount = 0, ratingSum = 0, reviewCount = 0 } = totals || {};
+    res.json({
+      ...author,
+      books,
+      stats: {
+        bookCount,
+        reviewCount,
+        // Mean over every review of every book, not a mean of book means
+        rating: reviewCount > 0 ? ratingSum / reviewCount : 0
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create an author
+router.post('/',
+  authenticate,
+  requireRole('editor', 'admin'),
+  newAuthorValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const author = await Author.create(pickAuthorFields(req.body));
+      res.status(201).json(author);
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Update an author; a rename keeps the old name as an alias
+router.patch('/:id',
+  authenticate,
+  requireRole('editor', 'admin'),
+  authorUpdateValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const author = await Author.findById(req.params.id);
+      if (!author) {
+        throw new NotFoundError('Author not found');
+      }
+
+      const fields = pickAuthorFields(req.body);
+      const previousName = author.name;
+      author.set(fields);
+      if (fields.name && fields.name !== previousName) {
+        author.aliases = [...new Set([...author.aliases, previousName])]
+          .filter(alias => alias !== author.name);
+      }
+      await author.save();
+
+      if (author.name !== previousName) {
+        await refreshBookAuthorNames(author._id);
+      }
+      res.json(author);
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Merge a duplicate author into this one
+router.post('/:id/merge',
+  authenticate,
+  requireRole('admin'),
+  [body('authorId').isMongoId().withMessage('Invalid author id')],
+  validate,
+  async (req, res, next) => {
+    try {
+      if (req.params.id === req.body.authorId) {
+        throw new BadRequestError('An author cannot be merged into itself');
+      }
+
+      const author = await mergeAuthors(req.params.id, req.body.authorId);
+      if (!author) {
+        throw new NotFoundError('Author not found');
+      }
+      res.json(author);
+    } catch (error) {
+      next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+import React, { useState } from 'react';
+import { BookOpen } from 'lucide-react';
+
+// Lazy-loaded book cover with a placeholder while loading, when missing or broken
+const BookCover = ({ book, size = 'thumbnail', className = '' }) => {
+  const src = size === 'thumbnail'
+    ? book.coverThumbnail || book.coverImage
+    : book.coverImage || book.coverThumbnail;
+  const [loaded, setLoaded] = useState(false);
+  const [failed, setFailed] = useState(false);
+
+  const showImage = src && !failed;
+
+  return (
+    <div className={`relative aspect-[2/3] overflow-hidden rounded bg-gray-100 ${className}`}>
+      {(!showImage || !loaded) && (
+        <div className="absolute inset-0 flex items-center justify-center text-gray-400">
+          <BookOpen className="h-1/3 w-1/3" />
+        </div>
+      )}
+      {showImage && (
+        <img
+          src={src}
+          alt={`Cover of ${book.title}`}
+          loading="lazy"
+          decoding="async"
+          onLoad={() => setLoaded(true)}
+          onError={() => setFailed(true)}
+          className={`h-full w-full object-cover transition-opacity ${
+            loaded ? 'opacity-100' : 'opacity-0'
+          }`}
+        />
+      )}
+    </div>
+  );
+};
+
+export default BookCover;
@@ -1,67 +1,359 @@
-import React, { useState, useEffect } from 'react';
-import { useSearchParams } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { Search, Filter, ChevronLeft, ChevronRight } from 'lucide-react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Input } from '@/components/ui/input';
 import { Button } from '@/components/ui/button';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { api, unwrap } from '@/lib/api';
+import BookCover from './book-cover';
+
+const sortOptions = [
+  { value: 'relevance', label: 'Relevance' },
+  { value: 'rating', label: 'Top Rated' },
+  { value: 'newest', label: 'Newest' },
+  { value: 'reviews', label: 'Most Reviewed' }
+];
+
+// Renders server-provided highlight segments, falling back to plain text
+const Highlighted = ({ segments, fallback }) => {
+  if (!segments) return fallback;
+  return segments.map((segment, index) => (
+    segment.match
+      ? <mark key={index} className="bg-yellow-100 rounded-sm">{segment.text}</mark>
+      : <span key={index}>{segment.text}</span>
+  ));
+};
+
+const SUGGEST_DEBOUNCE_MS = 250;
+// Typed filter numbers wait a little longer; a year is four keystrokes
+const FILTER_DEBOUNCE_MS = 500;
+
+// "pages" or "scroll", remembered between visits
+const LISTING_MODE_KEY = 'bookListingMode';
+// Start loading the next batch this far before the end of the list
+const SCROLL_MARGIN = '400px';
+
+// Facet params mirrored between the URL and the API request
+const FILTER_PARAMS = ['minRating', 'yearFrom', 'yearTo', 'minReviews'];
+// The ones typed into number inputs rather than picked
+const NUMBER_FILTERS = ['yearFrom', 'yearTo', 'minReviews'];
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+const numberFiltersFrom = (params) => Object.fromEntries(
+  NUMBER_FILTERS.map(key => [key, params.get(key) || ''])
+);
+
+// Returns value once it has stopped changing for delay ms
+const useDebouncedValue = (value, delay) => {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debounced;
+};
 
 const BookListing = () => {
+  const navigate = useNavigate();
   const [books, setBooks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [searchParams, setSearchParams] = useSearchParams();
   const [page, setPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
+  const [mode, setMode] = useState(() => localStorage.getItem(LISTING_MODE_KEY) || 'pages');
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const loadMoreController = useRef(null);
+  const sentinelRef = useRef(null);
+  const [facets, setFacets] = useState(null);
+  const [searchInput, setSearchInput] = useState(searchParams.get('search') || '');
+  const [suggestions, setSuggestions] = useState([]);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [activeSuggestion, setActiveSuggestion] = useState(-1);
+  const suggestionsRef = useRef(null);
+  const debouncedSearch = useDebouncedValue(searchInput, SUGGEST_DEBOUNCE_MS);
+  const [numberInputs, setNumberInputs] = useState(() => numberFiltersFrom(searchParams));
+  const debouncedNumbers = useDebouncedValue(numberInputs, FILTER_DEBOUNCE_MS);
 
-  const genres = ['All', 'Fiction', 'Non-Fiction', 'Science Fiction', 'Mystery', 'Romance'];
+  const selectedGenres = searchParams.getAll('genre');
+  const urlNumbers = numberFiltersFrom(searchParams);
 
   useEffect(() => {
-    fetchBooks();
-  }, [page, searchParams]);
+    // Abort the previous listing request so responses can't land out of order
+    const controller = new AbortController();
+    fetchBooks(controller.signal);
+    return () => {
+      controller.abort();
+      loadMoreController.current?.abort();
+    };
+  }, [page, searchParams, mode]);
 
-  const fetchBooks = async () => {
+  // Fetch the next batch once the end of the list scrolls into view
+  useEffect(() => {
+    if (mode !== 'scroll' || !nextCursor || loadingMore || !sentinelRef.current) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) loadMore();
+      },
+      { rootMargin: SCROLL_MARGIN }
+    );
+    observer.observe(sentinelRef.current);
+    return () => observer.disconnect();
+  }, [mode, nextCursor, loadingMore, loading]);
+
+  // Commit the typed search to the URL once typing pauses
+  useEffect(() => {
+    const current = searchParams.get('search') || '';
+    if (debouncedSearch.trim() === current) return;
+
+    setSearchParams(prev => {
+      if (debouncedSearch.trim()) prev.set('search', debouncedSearch.trim());
+      else prev.delete('search');
+      return prev;
+    });
+    setPage(1);
+  }, [debouncedSearch]);
+
+  // Commit typed filter numbers to the URL once typing pauses
+  useEffect(() => {
+    const changed = NUMBER_FILTERS.filter(key => debouncedNumbers[key] !== urlNumbers[key]);
+    if (changed.length === 0) return;
+
+    setSearchParams(prev => {
+      changed.forEach(key => {
+        if (debouncedNumbers[key]) prev.set(key, debouncedNumbers[key]);
+        else prev.delete(key);
+      });
+      return prev;
+    });
+    setPage(1);
+  }, [debouncedNumbers]);
+
+  // Decades, Clear and back/forward change them in the URL directly
+  useEffect(() => {
+    setNumberInputs(urlNumbers);
+  }, [urlNumbers.yearFrom, urlNumbers.yearTo, urlNumbers.minReviews]);
+
+  useEffect(() => {
+    const q = debouncedSearch.trim();
+    if (q.length < 2) {
+      setSuggestions([]);
+      return;
+    }
+
+    const controller = new AbortController();
+
+    const fetchSuggestions = async () => {
+      try {
+        const data = await unwrap(api.GET('/books/suggest', {
+          params: { query: { q } },
+          signal: controller.signal
+        }));
+        setSuggestions(data.suggestions);
+        setActiveSuggestion(-1);
+      } catch (err) {
+        // Aborted or failed suggestion requests are not worth surfacing
+        if (err.name !== 'AbortError') setSuggestions([]);
+      }
+    };
+
+    fetchSuggestions();
+    return () => controller.abort();
+  }, [debouncedSearch]);
+
+  const listingQuery = () => {
+    const query = {
+      search: searchParams.get('search') || '',
+      genre: searchParams.getAll('genre')
+    };
+    ['sort', ...FILTER_PARAMS].forEach(key => {
+      if (searchParams.get(key)) query[key] = searchParams.get(key);
+    });
+    return query;
+  };
+
+  const fetchBooks = async (signal) => {
     try {
       setLoading(true);
-      const search = searchParams.get('search') || '';
-      const genre = searchParams.get('genre') || 'All';
-      
-      // In a real app, this would be an API call
-      const response = await fetch(
-        `/api/books?page=${page}&search=${search}&genre=${genre}`
-      );
-      
-      if (!response.ok) throw new Error('Failed to fetch books');
-      
-      const data = await response.json();
+      const query = listingQuery();
+      // Infinite scroll reads by cursor; an empty cursor is the first batch
+      if (mode === 'scroll') query.cursor = '';
+      else query.page = page;
+
+      const data = await unwrap(api.GET('/books', { params: { query }, signal }));
       setBooks(data.books);
       setTotalPages(data.totalPages);
+      setNextCursor(data.nextCursor || null);
+      setFacets(data.facets);
+      setLoading(false);
     } catch (err) {
+      if (err.name === 'AbortError') return;
       setError(err.message);
-    } finally {
       setLoading(false);
     }
   };
 
+  const loadMore = async () => {
+    const controller = new AbortController();
+    loadMoreController.current = controller;
+    setLoadingMore(true);
+
+    try {
+      const data = await unwrap(api.GET('/books', {
+        params: { query: { ...listingQuery(), cursor: nextCursor } },
+        signal: controller.signal
+      }));
+      setBooks(prev => [...prev, ...data.books]);
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      if (err.name !== 'AbortError') setError(err.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const changeMode = (value) => {
+    localStorage.setItem(LISTING_MODE_KEY, value);
+    setMode(value);
+    setPage(1);
+  };
+
   const handleSearch = (e) => {
-    const search = e.target.value;
+    setSearchInput(e.target.value);
+    setShowSuggestions(true);
+  };
+
+  const selectSuggestion = (suggestion) => {
+    setShowSuggestions(false);
+    setSuggestions([]);
+
+    if (suggestion.type === 'title') {
+      navigate(`/books/${suggestion.bookId}`);
+    } else if (suggestion.type === 'genre') {
+      setSearchInput('');
+      if (!selectedGenres.includes(suggestion.value)) {
+        toggleGenre(suggestion.value);
+      }
+    } else {
+      setSearchInput(suggestion.value);
+    }
+  };
+
+  const handleSearchKeyDown = (e) => {
+    if (!showSuggestions || suggestions.length === 0) return;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        setActiveSuggestion(i => (i + 1) % suggestions.length);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        setActiveSuggestion(i => (i <= 0 ? suggestions.length - 1 : i - 1));
+        break;
+      case 'Enter':
+        if (activeSuggestion >= 0) {
+          e.preventDefault();
+          selectSuggestion(suggestions[activeSuggestion]);
+        }
+        break;
+      case 'Escape':
+        setShowSuggestions(false);
+        setActiveSuggestion(-1);
+        break;
+      default:
+        break;
+    }
+  };
+
+  // Keep the highlighted suggestion visible while arrowing through a long list
+  useEffect(() => {
+    if (activeSuggestion < 0 || !suggestionsRef.current) return;
+    suggestionsRef.current.children[activeSuggestion]?.scrollIntoView({ block: 'nearest' });
+  }, [activeSuggestion]);
+
+  const toggleGenre = (genre) => {
     setSearchParams(prev => {
-      if (search) prev.set('search', search);
-      else prev.delete('search');
+      const current = prev.getAll('genre');
+      const next = current.includes(genre)
+        ? current.filter(g => g !== genre)
+        : [...current, genre];
+      prev.delete('genre');
+      next.forEach(g => prev.append('genre', g));
+      return prev;
+    });
+    setPage(1);
+  };
+
+  const updateFilter = (key, value) => {
+    setSearchParams(prev => {
+      if (value !== '' && value !== null && value !== undefined) prev.set(key, value);
+      else prev.delete(key);
+      return prev;
+    });
+    setPage(1);
+  };
+
+  const selectDecade = (decade) => {
+    setSearchParams(prev => {
+      prev.set('yearFrom', decade);
+      prev.set('yearTo', decade + 9);
+      return prev;
+    });
+    setPage(1);
+  };
+
+  const clearFilters = () => {
+    setSearchParams(prev => {
+      prev.delete('genre');
+      FILTER_PARAMS.forEach(key => prev.delete(key));
       return prev;
     });
     setPage(1);
   };
 
-  const handleGenreFilter = (genre) => {
+  const updateNumberFilter = (key, value) => {
+    setNumberInputs(prev => ({ ...prev, [key]: value }));
+  };
+
+  const hasFilters = selectedGenres.length > 0
+    || FILTER_PARAMS.some(key => searchParams.get(key));
+
+  // A selected genre can drop out of the facet counts once other filters
+  // narrow the results; keep it listed so it can still be unchecked
+  const genreFacets = facets?.genres || [];
+  const genreOptions = [
+    ...genreFacets,
+    ...selectedGenres
+      .filter(genre => !genreFacets.some(({ value }) => value === genre))
+      .map(genre => ({ value: genre, count: 0 }))
+  ];
+
+  // Rating facet buckets are disjoint, so "N stars & up" sums the buckets above N
+  const booksWithRatingAtLeast = (threshold) => (facets?.ratings || [])
+    .filter(bucket => bucket.min >= threshold)
+    .reduce((sum, bucket) => sum + bucket.count, 0);
+
+  const handleSort = (sort) => {
     setSearchParams(prev => {
-      if (genre !== 'All') prev.set('genre', genre);
-      else prev.delete('genre');
+      prev.set('sort', sort);
       return prev;
     });
     setPage(1);
   };
 
+  // Relevance only makes sense while searching
+  const availableSorts = searchParams.get('search')
+    ? sortOptions
+    : sortOptions.filter(option => option.value !== 'relevance');
+  const currentSort = searchParams.get('sort')
+    || (searchParams.get('search') ? 'relevance' : 'newest');
+
   if (error) {
     return (
       <div className="p-4 text-red-500">
@@ -80,72 +372,237 @@ const BookListing = () => {
             placeholder="Search books..."
             className="pl-8"
             onChange={handleSearch}
-            value={searchParams.get('search') || ''}
+            onKeyDown={handleSearchKeyDown}
+            onFocus={() => setShowSuggestions(true)}
+            onBlur={() => setShowSuggestions(false)}
+            value={searchInput}
+            role="combobox"
+            aria-expanded={showSuggestions && suggestions.length > 0}
+            aria-controls="book-suggestions"
+            aria-autocomplete="list"
+            aria-activedescendant={
+              activeSuggestion >= 0 ? `book-suggestion-${activeSuggestion}` : undefined
+            }
           />
+          {showSuggestions && suggestions.length > 0 && (
+            <ul
+              id="book-suggestions"
+              role="listbox"
+              ref={suggestionsRef}
+              className="absolute z-10 mt-1 max-h-72 w-full overflow-auto rounded-md border bg-white shadow-md"
+            >
+              {suggestions.map((suggestion, index) => (
+                <li
+                  key={`${suggestion.type}-${suggestion.value}-${suggestion.bookId || ''}`}
+                  id={`book-suggestion-${index}`}
+                  role="option"
+                  aria-selected={index === activeSuggestion}
+                  // mousedown fires before the input blurs and hides the list
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    selectSuggestion(suggestion);
+                  }}
+                  onMouseEnter={() => setActiveSuggestion(index)}
+                  className={`flex cursor-pointer items-center justify-between px-3 py-2 text-sm ${
+                    index === activeSuggestion ? 'bg-gray-100' : ''
+                  }`}
+                >
+                  <span className="line-clamp-1">{suggestion.value}</span>
+                  <span className="ml-2 text-xs capitalize text-gray-400">{suggestion.type}</span>
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
         <Select
-          value={searchParams.get('genre') || 'All'}
-          onValueChange={handleGenreFilter}
+          value={currentSort}
+          onValueChange={handleSort}
         >
           <SelectTrigger className="w-[180px]">
-            <SelectValue placeholder="Select Genre" />
+            <SelectValue placeholder="Sort by" />
           </SelectTrigger>
           <SelectContent>
-            {genres.map(genre => (
-              <SelectItem key={genre} value={genre}>
-                {genre}
+            {availableSorts.map(option => (
+              <SelectItem key={option.value} value={option.value}>
+                {option.label}
               </SelectItem>
             ))}
           </SelectContent>
         </Select>
+        <Select value={mode} onValueChange={changeMode}>
+          <SelectTrigger className="w-[160px]">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="pages">Pages</SelectItem>
+            <SelectItem value="scroll">Infinite scroll</SelectItem>
+          </SelectContent>
+        </Select>
       </div>
 
-      {loading ? (
-        <div className="flex justify-center p-8">
-          <div className="h-8 w-8 animate-spin rounded-full border-4 border-primary border-t-transparent" />
-        </div>
-      ) : (
-        <>
-          <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
-            {books.map(book => (
-              <Card key={book.id} className="flex flex-col">
-                <CardHeader>
-                  <CardTitle className="line-clamp-1">{book.title}</CardTitle>
-                </CardHeader>
-                <CardContent className="flex-1">
-                  <p className="text-sm text-gray-500">by {book.author}</p>
-                  <p className="mt-2 line-clamp-2">{book.description}</p>
-                  <div className="mt-4 flex items-center gap-2">
-                    <span className="text-yellow-500">★</span>
-                    <span>{book.rating.toFixed(1)}</span>
-                    <span className="text-gray-500">({book.reviewCount} reviews)</span>
-                  </div>
-                </CardContent>
-              </Card>
-            ))}
+      <div className="grid gap-6 md:grid-cols-[220px_1fr]">
+        <aside className="space-y-6 text-sm">
+          <div className="flex items-center justify-between">
+            <span className="flex items-center gap-2 font-semibold">
+              <Filter className="h-4 w-4" /> Filters
+            </span>
+            {hasFilters && (
+              <button type="button" onClick={clearFilters} className="text-gray-500 hover:text-gray-900">
+                Clear
+              </button>
+            )}
           </div>
 
-          <div className="mt-6 flex justify-center gap-2">
-            <Button
-              variant="outline"
-              onClick={() => setPage(p => Math.max(1, p - 1))}
-              disabled={page === 1}
-            >
-              <ChevronLeft className="h-4 w-4" />
-            </Button>
-            <span className="flex items-center px-4">
-              Page {page} of {totalPages}
-            </span>
-            <Button
-              variant="outline"
-              onClick={() => setPage(p => Math.min(totalPages, p + 1))}
-              disabled={page === totalPages}
-            >
-              <ChevronRight className="h-4 w-4" />
-            </Button>
+          <div>
+            <h4 className="mb-2 font-medium">Genre</h4>
+            <div className="space-y-1">
+              {genreOptions.map(({ value, count }) => (
+                <label key={value} className="flex cursor-pointer items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={selectedGenres.includes(value)}
+                    onChange={() => toggleGenre(value)}
+                  />
+                  <span>{value} ({count})</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <h4 className="mb-2 font-medium">Rating</h4>
+            <div className="space-y-1">
+              {RATING_THRESHOLDS.map(threshold => (
+                <label key={threshold} className="flex cursor-pointer items-center gap-2">
+                  <input
+                    type="radio"
+                    name="minRating"
+                    checked={searchParams.get('minRating') === String(threshold)}
+                    onChange={() => updateFilter('minRating', threshold)}
+                  />
+                  <span>{threshold}★ & up ({booksWithRatingAtLeast(threshold)})</span>
+                </label>
+              ))}
+              <label className="flex cursor-pointer items-center gap-2">
+                <input
+                  type="radio"
+                  name="minRating"
+                  checked={!searchParams.get('minRating')}
+                  onChange={() => updateFilter('minRating', null)}
+                />
+                <span>Any rating</span>
+              </label>
+            </div>
+          </div>
+
+          <div>
+            <h4 className="mb-2 font-medium">Published</h4>
+            <div className="flex items-center gap-2">
+              <Input
+                type="number"
+                placeholder="From"
+                value={numberInputs.yearFrom}
+                onChange={(e) => updateNumberFilter('yearFrom', e.target.value)}
+              />
+              <span>–</span>
+              <Input
+                type="number"
+                placeholder="To"
+                value={numberInputs.yearTo}
+                onChange={(e) => updateNumberFilter('yearTo', e.target.value)}
+              />
+            </div>
+            <div className="mt-2 flex flex-wrap gap-1">
+              {(facets?.decades || []).map(({ decade, count }) => (
+                <button
+                  key={decade}
+                  type="button"
+                  onClick={() => selectDecade(decade)}
+                  className="rounded bg-gray-100 px-2 py-1 hover:bg-gray-200"
+                >
+                  {decade}s ({count})
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <h4 className="mb-2 font-medium">Minimum reviews</h4>
+            <Input
+              type="number"
+              min="0"
+              placeholder="Any"
+              value={numberInputs.minReviews}
+              onChange={(e) => updateNumberFilter('minReviews', e.target.value)}
+            />
           </div>
-        </>
-      )}
+        </aside>
+
+        <div>
+          {loading ? (
+            <div className="flex justify-center p-8">
+              <div className="h-8 w-8 animate-spin rounded-full border-4 border-primary border-t-transparent" />
+            </div>
+          ) : (
+            <>
+              <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
+                {books.map(book => (
+                  <Card key={book._id} className="flex flex-col">
+                    <BookCover book={book} className="mx-6 mt-6 w-24" />
+                    <CardHeader>
+                      <CardTitle className="line-clamp-1">
+                        <Highlighted segments={book.highlights?.title} fallback={book.title} />
+                      </CardTitle>
+                    </CardHeader>
+                    <CardContent className="flex-1">
+                      <p className="text-sm text-gray-500">
+                        by <Highlighted segments={book.highlights?.author} fallback={book.author} />
+                      </p>
+                      <p className="mt-2 line-clamp-2">
+                        <Highlighted segments={book.highlights?.description} fallback={book.description} />
+                      </p>
+                      <div className="mt-4 flex items-center gap-2">
+                        <span className="text-yellow-500">★</span>
+                        <span>{book.rating.toFixed(1)}</span>
+                        <span className="text-gray-500">({book.reviewCount} reviews)</span>
+                      </div>
+                    </CardContent>
+                  </Card>
+                ))}
+              </div>
+
+              {mode === 'scroll' ? (
+                <div ref={sentinelRef} className="mt-6 flex justify-center text-sm text-gray-500">
+                  {loadingMore && (
+                    <div className="h-6 w-6 animate-spin rounded-full border-4 border-primary border-t-transparent" />
+                  )}
+                  {!nextCursor && books.length > 0 && 'No more books'}
+                </div>
+              ) : (
+                <div className="mt-6 flex justify-center gap-2">
+                  <Button
+                    variant="outline"
+                    onClick={() => setPage(p => Math.max(1, p - 1))}
+                    disabled={page === 1}
+                  >
+                    <ChevronLeft className="h-4 w-4" />
+                  </Button>
+                  <span className="flex items-center px-4">
+                    Page {page} of {totalPages}
+                  </span>
+                  <Button
+                    variant="outline"
+                    onClick={() => setPage(p => Math.min(totalPages, p + 1))}
+                    disabled={page === totalPages}
+                  >
+                    <ChevronRight className="h-4 w-4" />
+                  </Button>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
     </div>
   );
 };
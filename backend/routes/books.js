@@ -0,0 +1,501 @@
+// routes/books.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const {
+  authenticate,
+  requireRole,
+  bookValidation,
+  bookUpdateValidation,
+  newBookValidation,
+  editionValidation,
+  validate,
+  validateObjectId
+} = require('../middleware/auth-middleware');
+const { escapeRegExp, normalizeSearchQuery, buildHighlights } = require('../utils/search');
+const {
+  parseBookFilters,
+  mergeConditions,
+  buildFacetPipeline,
+  formatFacets
+} = require('../utils/book-filters');
+const { reconcileBookStats, withTransaction } = require('../services/book-stats');
+const { imageUpload } = require('../middleware/upload');
+const { saveImageVariants, removeImages } = require('../services/images');
+const { similarBooks } = require('../services/recommendations');
+const { bookAuthorFields } = require('../services/authors');
+const { seriesNavigation } = require('../services/series');
+const { paginateByCursor } = require('../utils/pagination');
+const {
+  BadRequestError,
+  ValidationError,
+  NotFoundError,
+  ConflictError
+} = require('../utils/errors');
+
+const Series = mongoose.model('Series');
+const Book = mongoose.model('Book');
+const Edition = mongoose.model('Edition');
+const Review = mongoose.model('Review');
+const ReviewVote = mongoose.model('ReviewVote');
+const ReviewRevision = mongoose.model('ReviewRevision');
+const Comment = mongoose.model('Comment');
+const Report = mongoose.model('Report');
+const ShelfEntry = mongoose.model('ShelfEntry');
+const BookSimilarity = mongoose.model('BookSimilarity');
+
+router.param('id', validateObjectId);
+router.param('editionId', validateObjectId);
+
+// Sort orders for the listing; relevance only applies to text searches
+const BOOK_SORTS = {
+  relevance: { score: { $meta: 'textScore' }, _id: -1 },
+  rating: { weightedRating: -1, reviewCount: -1, _id: -1 },
+  newest: { createdAt: -1, _id: -1 },
+  reviews: { reviewCount: -1, rating: -1, _id: -1 }
+};
+
+// Page numbers by default; passing `cursor` (empty for the first page)
+// switches to cursor pagination, which skips the count and only returns
+// facets with the first page
+router.get('/', async (req, res, next) => {
+  try {
+    const { page = 1 } = req.query;
+    const search = normalizeSearchQuery(req.query.search);
+    const limit = 9;
+    const skip = (page - 1) * limit;
+    const withHighlights = (books) => (search
+      ? books.map(book => ({ ...book, highlights: buildHighlights(book, search) }))
+      : books);
+
+    let sort = req.query.sort || (search ? 'relevance' : 'newest');
+    if (!BOOK_SORTS[sort] || (sort === 'relevance' && !search)) {
+      sort = 'newest';
+    }
+
+    const baseQuery = search ? { $text: { $search: search } } : {};
+    const { conditions, applied } = parseBookFilters(req.query);
+    const query = { ...baseQuery, ...mergeConditions(conditions) };
+
+    const projection = search ? { score: { $meta: 'textScore' } } : {};
+
+    if (req.query.cursor !== undefined) {
+      const [{ items, nextCursor, prevCursor }, facets] = await Promise.all([
+        paginateByCursor(filter => Book.find(filter, projection).lean(), query, {
+          sortName: sort,
+          sort: BOOK_SORTS[sort],
+          cursor: req.query.cursor,
+          limit: req.query.limit || limit
+        }),
+        req.query.cursor
+          ? null
+          : Book.aggregate(buildFacetPipeline(baseQuery, conditions)).then(formatFacets)
+      ]);
+
+      return res.json({
+        books: withHighlights(items),
+        nextCursor,
+        prevCursor,
+        sort,
+        filters: applied,
+        ...(facets && { facets })
+      });
+    }
+
+    const [books, total, facets] = await Promise.all([
+      Book.find(query, projection)
+        .skip(skip)
+        .limit(limit)
+        .sort(BOOK_SORTS[sort])
+        .lean(),
+      Book.countDocuments(query),
+      Book.aggregate(buildFacetPipeline(baseQuery, conditions)).then(formatFacets)
+    ]);
+
+    res.json({
+      books: withHighlights(books),
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      sort,
+      filters: applied,
+      facets
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Autocomplete suggestions by title, author and genre prefix
+router.get('/suggest', async (req, res, next) => {
+  try {
+    const q = normalizeSearchQuery(req.query.q).slice(0, 50);
+    if (q.length < 2) {
+      return res.json({ suggestions: [] });
+    }
+
+    // Match the start of any word, so "hob" finds "The Hobbit"
+    const prefix = new RegExp(`(?:^|\\s)${escapeRegExp(q)}`, 'i');
+
+    const groupBy = (field, limit) => Book.aggregate([
+      { $match: { [field]: prefix } },
+      { $group: { _id: `$${field}`, books: { $sum: 1 } } },
+      { $sort: { books: -1, _id: 1 } },
+      { $limit: limit }
+    ]);
+
+    const [titles, authors, genres] = await Promise.all([
+      Book.find({ title: prefix })
+        .select('title')
+        .sort({ reviewCount: -1 })
+        .limit(5)
+        .lean(),
+      groupBy('author', 3),
+      groupBy('genre', 2)
+    ]);
+
+    res.json({
+      suggestions: [
+        ...titles.map(book => ({ type: 'title', value: book.title, bookId: book._id })),
+        ...authors.map(author => ({ type: 'author', value: author._id, count: author.books })),
+        ...genres.map(genre => ({ type: 'genre', value: genre._id, count: genre.books }))
+      ]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id', async (req, res, next) => {
+  try {
+    const book = await Book.findById(req.params.id).populate('authors', 'name photo');
+    if (!book) {
+      throw new NotFoundError('Book not found');
+    }
+    res.json({ ...book.toObject(), seriesNavigation: await seriesNavigation(book) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Books similar to this one, for the "Similar books" section
+router.get('/:id/similar', async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 6, 20);
+    const books = await similarBooks(req.params.id, limit);
+    if (!books) {
+      throw new NotFoundError('Book not found');
+    }
+    res.json({ books });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Recompute rating stats from reviews and report drift; pass ?fix=true to repair
+router.post('/stats/reconcile',
+  authenticate,
+  requireRole('admin'),
+  async (req, res, next) => {
+    try {
+      const report = await reconcileBookStats({ fix: req.query.fix === 'true' });
+      res.json(report);
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Fields editors are allowed to set; rating stats are derived from reviews
+// and authors are resolved separately
+const BOOK_FIELDS = ['title', 'description', 'genre', 'publishedDate', 'coverImage', 'series'];
+
+const pickBookFields = (source) => BOOK_FIELDS.reduce((fields, field) => {
+  if (source[field] !== undefined) fields[field] = source[field];
+  return fields;
+}, {});
+
+// Editable fields plus `authors` and `author` resolved from either the
+// `authors` list (names or ids) or the free-text `author`. New authors are
+// created in `session` when one is given.
+const bookFieldsFrom = async (source, session) => {
+  if (source.series && !await Series.exists({ _id: source.series.seriesId }).session(session)) {
+    throw new ValidationError([{ field: 'series.seriesId', location: 'body', message: 'Series not found' }]);
+  }
+
+  return {
+    ...pickBookFields(source),
+    ...await bookAuthorFields(source, session)
+  };
+};
+
+const EDITION_FIELDS = [
+  'isbn10', 'isbn13', 'format', 'title', 'publisher',
+  'publishedDate', 'pageCount', 'language', 'coverImage'
+];
+
+const pickEditionFields = (source) => EDITION_FIELDS.reduce((fields, field) => {
+  if (source[field] !== undefined) fields[field] = source[field];
+  return fields;
+}, {});
+
+// Whether an update sets a different cover. The uploaded thumbnail belongs
+// to the current cover, so it is only cleared, and the uploaded files only
+// removed, when the cover changes.
+const replacesCover = (book, coverImage) => (coverImage || '') !== (book.coverImage || '');
+
+// Create a book. An `edition` in the body is created with it in one
+// transaction, so a taken ISBN leaves neither the book nor its new authors
+// behind.
+router.post('/',
+  authenticate,
+  requireRole('editor', 'admin'),
+  newBookValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const book = await withTransaction(async (session) => {
+        const created = new Book(await bookFieldsFrom(req.body, session));
+        await created.save({ session });
+        if (req.body.edition) {
+          await Edition.create([{ ...pickEditionFields(req.body.edition), bookId: created._id }], { session });
+        }
+        return created;
+      });
+      res.status(201).json(book);
+    } catch (error) {
+      if (error.code === 11000) {
+        return next(new ConflictError('An edition with this ISBN already exists'));
+      }
+      next(error);
+    }
+});
+
+// Replace a book
+router.put('/:id',
+  authenticate,
+  requireRole('editor', 'admin'),
+  bookValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const current = await Book.findById(req.params.id).select('coverImage coverThumbnail');
+      if (!current) {
+        throw new NotFoundError('Book not found');
+      }
+
+      const fields = await bookFieldsFrom(req.body);
+      const coverReplaced = replacesCover(current, fields.coverImage);
+
+      // Optional fields missing from a full replacement are cleared
+      const cleared = BOOK_FIELDS.filter(field => fields[field] === undefined);
+      if (coverReplaced) cleared.push('coverThumbnail');
+      const update = {
+        $set: fields,
+        $unset: cleared.reduce((acc, field) => ({ ...acc, [field]: '' }), {})
+      };
+
+      const book = await Book.findByIdAndUpdate(
+        req.params.id,
+        update,
+        { new: true, runValidators: true }
+      );
+      if (!book) {
+        throw new NotFoundError('Book not found');
+      }
+      if (coverReplaced) {
+        await removeImages('cover', book._id, current.coverImage, current.coverThumbnail);
+      }
+      res.json(book);
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Partially update a book
+router.patch('/:id',
+  authenticate,
+  requireRole('editor', 'admin'),
+  bookUpdateValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const fields = await bookFieldsFrom(req.body);
+      if (Object.keys(fields).length === 0) {
+        throw new BadRequestError('No updatable fields provided');
+      }
+
+      const current = await Book.findById(req.params.id).select('coverImage coverThumbnail');
+      if (!current) {
+        throw new NotFoundError('Book not found');
+      }
+
+      const coverReplaced = fields.coverImage !== undefined
+        && replacesCover(current, fields.coverImage);
+      const update = { $set: fields };
+      if (coverReplaced) {
+        update.$unset = { coverThumbnail: '' };
+      }
+
+      const book = await Book.findByIdAndUpdate(
+        req.params.id,
+        update,
+        { new: true, runValidators: true }
+      );
+      if (!book) {
+        throw new NotFoundError('Book not found');
+      }
+      if (coverReplaced) {
+        await removeImages('cover', book._id, current.coverImage, current.coverThumbnail);
+      }
+      res.json(book);
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Upload a cover image, stored as thumbnail and full size
+router.post('/:id/cover',
+  authenticate,
+  requireRole('editor', 'admin'),
+  imageUpload('cover'),
+  async (req, res, next) => {
+    try {
+      const book = await Book.findById(req.params.id);
+      if (!book) {
+        throw new NotFoundError('Book not found');
+      }
+
+      const previous = [book.coverImage, book.coverThumbnail];
+      const { full, thumbnail } = await saveImageVariants(req.file.buffer, 'cover', book._id);
+
+      book.coverImage = full;
+      book.coverThumbnail = thumbnail;
+      await book.save();
+      await removeImages('cover', book._id, ...previous);
+
+      res.json(book);
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Editions of a book, oldest first
+router.get('/:id/editions', async (req, res, next) => {
+  try {
+    const editions = await Edition.find({ bookId: req.params.id })
+      .sort({ publishedDate: 1, createdAt: 1 })
+      .lean();
+    res.json({ editions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add an edition to a book
+router.post('/:id/editions',
+  authenticate,
+  requireRole('editor', 'admin'),
+  editionValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const book = await Book.exists({ _id: req.params.id });
+      if (!book) {
+        throw new NotFoundError('Book not found');
+      }
+
+      const edition = await Edition.create({ ...pickEditionFields(req.body), bookId: req.params.id });
+      res.status(201).json(edition);
+    } catch (error) {
+      if (error.code === 11000) {
+        return next(new ConflictError('An edition with this ISBN already exists'));
+      }
+      next(error);
+    }
+});
+
+// Update an edition
+router.patch('/:id/editions/:editionId',
+  authenticate,
+  requireRole('editor', 'admin'),
+  editionValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const edition = await Edition.findOne({
+        _id: req.params.editionId,
+        bookId: req.params.id
+      });
+      if (!edition) {
+        throw new NotFoundError('Edition not found');
+      }
+
+      // Changing one ISBN recomputes the other from it
+      const fields = pickEditionFields(req.body);
+      if (fields.isbn10 !== undefined && fields.isbn13 === undefined) edition.isbn13 = undefined;
+      if (fields.isbn13 !== undefined && fields.isbn10 === undefined) edition.isbn10 = undefined;
+      edition.set(fields);
+      await edition.save();
+      res.json(edition);
+    } catch (error) {
+      if (error.code === 11000) {
+        return next(new ConflictError('An edition with this ISBN already exists'));
+      }
+      next(error);
+    }
+});
+
+// Remove an edition
+router.delete('/:id/editions/:editionId',
+  authenticate,
+  requireRole('editor', 'admin'),
+  async (req, res, next) => {
+    try {
+      const edition = await Edition.findOneAndDelete({
+        _id: req.params.editionId,
+        bookId: req.params.id
+      });
+      if (!edition) {
+        throw new NotFoundError('Edition not found');
+      }
+      res.json({ message: 'Edition deleted successfully' });
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Delete a book along with its reviews
+router.delete('/:id',
+  authenticate,
+  requireRole('admin'),
+  async (req, res, next) => {
+    try {
+      const book = await Book.findById(req.params.id);
+      if (!book) {
+        throw new NotFoundError('Book not found');
+      }
+
+      const [reviewIds, commentIds] = await Promise.all([
+        Review.distinct('_id', { bookId: book._id }),
+        Comment.distinct('_id', { bookId: book._id })
+      ]);
+      const { deletedCount } = await Review.deleteMany({ bookId: book._id });
+      await ReviewVote.deleteMany({ bookId: book._id });
+      await ReviewRevision.deleteMany({ reviewId: { $in: reviewIds } });
+      await Edition.deleteMany({ bookId: book._id });
+      await Comment.deleteMany({ bookId: book._id });
+      await Report.deleteMany({ targetId: { $in: reviewIds.concat(commentIds) } });
+      await ShelfEntry.deleteMany({ bookId: book._id });
+      await BookSimilarity.deleteOne({ bookId: book._id });
+      await book.deleteOne();
+      await removeImages('cover', book._id, book.coverImage, book.coverThumbnail);
+
+      res.json({
+        message: 'Book deleted successfully',
+        deletedReviews: deletedCount
+      });
+    } catch (error) {
+      next(error);
+    }
+});
+
+module.exports = router;
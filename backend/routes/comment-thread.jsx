@@ -0,0 +1,271 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { MessageCircle, ChevronDown, ChevronRight } from 'lucide-react';
+import { useAuth } from '../context/auth';
+import { Button } from '@/components/ui/button';
+import { Textarea } from '@/components/ui/textarea';
+import ReportButton from './report-button';
+import { apiFetch } from '@/lib/api';
+
+// Nest the flat comment list by parentId
+const buildTree = (comments) => {
+  const byParent = new Map();
+  comments.forEach(comment => {
+    const key = comment.parentId || 'root';
+    if (!byParent.has(key)) byParent.set(key, []);
+    byParent.get(key).push(comment);
+  });
+
+  const attach = (parentKey) => (byParent.get(parentKey) || []).map(comment => ({
+    ...comment,
+    replies: attach(comment._id)
+  }));
+  return attach('root');
+};
+
+const CommentForm = ({ onSubmit, onCancel, initialContent = '', submitLabel = 'Comment' }) => {
+  const [content, setContent] = useState(initialContent);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    const ok = await onSubmit(content);
+    setSubmitting(false);
+    if (ok) setContent('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <Textarea
+        value={content}
+        onChange={(e) => setContent(e.target.value)}
+        placeholder="Write a comment..."
+        rows={2}
+        required
+      />
+      <div className="flex gap-2">
+        <Button type="submit" size="sm" disabled={submitting || !content.trim()}>
+          {submitting ? 'Posting...' : submitLabel}
+        </Button>
+        {onCancel && (
+          <Button type="button" size="sm" variant="ghost" onClick={onCancel}>
+            Cancel
+          </Button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+const CommentNode = ({ comment, onReply, onEdit, onDelete }) => {
+  const { state: authState } = useAuth();
+  const [collapsed, setCollapsed] = useState(false);
+  const [mode, setMode] = useState(null); // 'reply' | 'edit'
+  const isOwn = comment.userId && authState.user?.id === comment.userId._id;
+  // Removed by the author or by a moderator
+  const isGone = comment.deleted || comment.removed;
+
+  return (
+    <div className="border-l-2 border-gray-100 pl-3">
+      <div className="flex items-center gap-2 text-sm text-gray-500">
+        {comment.replies.length > 0 && (
+          <button
+            type="button"
+            onClick={() => setCollapsed(c => !c)}
+            aria-label={collapsed ? 'Expand replies' : 'Collapse replies'}
+          >
+            {collapsed ? <ChevronRight className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+          </button>
+        )}
+        <span className="font-medium text-gray-700">
+          {isGone ? '[deleted]' : comment.userId.username}
+        </span>
+        <span>• {new Date(comment.createdAt).toLocaleDateString()}</span>
+      </div>
+
+      {mode === 'edit' ? (
+        <CommentForm
+          initialContent={comment.content}
+          submitLabel="Save"
+          onCancel={() => setMode(null)}
+          onSubmit={async (content) => {
+            const ok = await onEdit(comment, content);
+            if (ok) setMode(null);
+            return ok;
+          }}
+        />
+      ) : (
+        <p className={`text-sm ${isGone ? 'italic text-gray-400' : 'text-gray-700'}`}>
+          {comment.deleted && 'This comment was deleted.'}
+          {comment.removed && 'This comment was removed by a moderator.'}
+          {!isGone && comment.content}
+        </p>
+      )}
+
+      {!isGone && mode === null && (
+        <div className="flex gap-3 text-xs text-gray-500">
+          <button type="button" onClick={() => setMode('reply')} className="hover:text-gray-900">
+            Reply
+          </button>
+          {isOwn && (
+            <>
+              <button type="button" onClick={() => setMode('edit')} className="hover:text-gray-900">
+                Edit
+              </button>
+              <button type="button" onClick={() => onDelete(comment)} className="hover:text-gray-900">
+                Delete
+              </button>
+            </>
+          )}
+          {!isOwn && <ReportButton targetType="comment" targetId={comment._id} />}
+        </div>
+      )}
+
+      {mode === 'reply' && (
+        <div className="mt-2">
+          <CommentForm
+            submitLabel="Reply"
+            onCancel={() => setMode(null)}
+            onSubmit={async (content) => {
+              const ok = await onReply(comment, content);
+              if (ok) setMode(null);
+              return ok;
+            }}
+          />
+        </div>
+      )}
+
+      {collapsed ? (
+        <button
+          type="button"
+          onClick={() => setCollapsed(false)}
+          className="mt-1 text-xs text-gray-500 hover:text-gray-900"
+        >
+          Show {comment.replies.length} {comment.replies.length === 1 ? 'reply' : 'replies'}
+        </button>
+      ) : (
+        <div className="mt-2 space-y-3">
+          {comment.replies.map(reply => (
+            <CommentNode
+              key={reply._id}
+              comment={reply}
+              onReply={onReply}
+              onEdit={onEdit}
+              onDelete={onDelete}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Collapsible comment thread under a review card
+const CommentThread = ({ review }) => {
+  const navigate = useNavigate();
+  const { state: authState } = useAuth();
+  const [open, setOpen] = useState(false);
+  const [comments, setComments] = useState(null);
+  const [count, setCount] = useState(review.commentCount || 0);
+  const [error, setError] = useState(null);
+
+  const jsonHeaders = { 'Content-Type': 'application/json' };
+
+  const toggle = async () => {
+    setOpen(o => !o);
+    if (comments !== null) return;
+
+    try {
+      const response = await fetch(`/api/comments?reviewId=${review._id}`);
+      if (!response.ok) throw new Error('Failed to load comments');
+      const data = await response.json();
+      setComments(data.comments);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Shared request wrapper; returns true on success so forms can reset
+  const send = async (url, options, apply) => {
+    if (!authState.user) {
+      navigate('/login', { state: { redirect: `/books/${review.bookId}` } });
+      return false;
+    }
+
+    try {
+      setError(null);
+      const data = await apiFetch(url, { headers: jsonHeaders, ...options });
+      apply(data);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const addComment = (parent, content) => send(
+    '/api/comments',
+    {
+      method: 'POST',
+      body: JSON.stringify({ reviewId: review._id, parentId: parent?._id, content })
+    },
+    (comment) => {
+      setComments(prev => [...prev, comment]);
+      setCount(c => c + 1);
+    }
+  );
+
+  const editComment = (comment, content) => send(
+    `/api/comments/${comment._id}`,
+    { method: 'PUT', body: JSON.stringify({ content }) },
+    (updated) => setComments(prev => prev.map(c => (c._id === updated._id ? updated : c)))
+  );
+
+  const deleteComment = (comment) => send(
+    `/api/comments/${comment._id}`,
+    { method: 'DELETE' },
+    ({ placeholder }) => {
+      setComments(prev => (placeholder
+        ? prev.map(c => (c._id === comment._id ? { ...c, deleted: true, content: '', userId: null } : c))
+        : prev.filter(c => c._id !== comment._id)));
+      setCount(c => c - 1);
+    }
+  );
+
+  return (
+    <div className="mt-3">
+      <button
+        type="button"
+        onClick={toggle}
+        className="flex items-center gap-1 text-sm text-gray-500 hover:text-gray-900"
+        aria-expanded={open}
+      >
+        <MessageCircle className="h-4 w-4" />
+        {count} {count === 1 ? 'comment' : 'comments'}
+      </button>
+
+      {open && (
+        <div className="mt-3 space-y-3">
+          {error && <p className="text-sm text-red-500">{error}</p>}
+          {comments === null ? (
+            <div className="h-5 w-5 animate-spin rounded-full border-2 border-primary border-t-transparent" />
+          ) : (
+            buildTree(comments).map(comment => (
+              <CommentNode
+                key={comment._id}
+                comment={comment}
+                onReply={addComment}
+                onEdit={editComment}
+                onDelete={deleteComment}
+              />
+            ))
+          )}
+          <CommentForm onSubmit={(content) => addComment(null, content)} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CommentThread;
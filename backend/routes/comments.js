@@ -0,0 +1,174 @@
+// routes/comments.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { query } = require('express-validator');
+const {
+  authenticate,
+  commentValidation,
+  newCommentValidation,
+  validate,
+  validateObjectId
+} = require('../middleware/auth-middleware');
+const { checkContent } = require('../middleware/content-check');
+const { withTransaction } = require('../services/book-stats');
+const { VISIBLE, isVisible, flagForModeration } = require('../services/moderation');
+const { NotFoundError } = require('../utils/errors');
+
+const Review = mongoose.model('Review');
+const Comment = mongoose.model('Comment');
+
+router.param('id', validateObjectId);
+
+// Replies nest at most this deep; deeper replies attach to the deepest ancestor
+const MAX_DEPTH = 5;
+const MAX_COMMENTS_PER_REVIEW = 500;
+
+// Get all comments on a review, oldest first; clients thread them by parentId
+router.get('/',
+  [query('reviewId').isMongoId().withMessage('Invalid review id')],
+  validate,
+  async (req, res, next) => {
+    try {
+      const comments = await Comment.find({ reviewId: req.query.reviewId })
+        .populate('userId', 'username profileThumbnail')
+        .sort({ createdAt: 1 })
+        .limit(MAX_COMMENTS_PER_REVIEW)
+        .lean();
+
+      // Deleted and moderated comments keep their position as placeholders,
+      // without their content or author
+      res.json({
+        comments: comments.map(comment => {
+          if (comment.deleted) return { ...comment, content: '', userId: null };
+          if (!isVisible(comment)) return { ...comment, content: '', userId: null, removed: true };
+          return comment;
+        })
+      });
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Comment on a review or reply to a comment
+router.post('/',
+  authenticate,
+  newCommentValidation,
+  validate,
+  checkContent('comment'),
+  async (req, res, next) => {
+    try {
+      const { reviewId, parentId, content } = req.body;
+
+      const review = await Review.findOne({ _id: reviewId, ...VISIBLE }).select('bookId');
+      if (!review) {
+        throw new NotFoundError('Review not found');
+      }
+
+      let parent = null;
+      if (parentId) {
+        parent = await Comment.findOne({ _id: parentId, reviewId, ...VISIBLE });
+        if (!parent) {
+          throw new NotFoundError('Parent comment not found');
+        }
+        if (parent.depth >= MAX_DEPTH) {
+          parent = await Comment.findById(parent.parentId) || parent;
+        }
+      }
+
+      const comment = new Comment({
+        reviewId,
+        bookId: review.bookId,
+        userId: req.user.id,
+        parentId: parent ? parent._id : null,
+        depth: parent ? parent.depth + 1 : 0,
+        content
+      });
+
+      // Save the comment, count it on the review and queue it for moderators
+      // if the content checks flagged it, all together
+      await withTransaction(async (session) => {
+        await comment.save({ session });
+        await Review.updateOne({ _id: reviewId }, { $inc: { commentCount: 1 } }, { session });
+        await flagForModeration('comment', comment._id, req.contentCheck, session);
+      });
+
+      await comment.populate('userId', 'username profileThumbnail');
+      res.status(201).json(comment);
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Edit own comment
+router.put('/:id',
+  authenticate,
+  commentValidation,
+  validate,
+  checkContent('comment'),
+  async (req, res, next) => {
+    try {
+      // Save the edit and flag it for moderators together
+      const comment = await withTransaction(async (session) => {
+        const edited = await Comment.findOneAndUpdate(
+          { _id: req.params.id, userId: req.user.id, deleted: false, ...VISIBLE },
+          { content: req.body.content, updatedAt: Date.now() },
+          { new: true, session }
+        );
+        if (!edited) return null;
+
+        await flagForModeration('comment', edited._id, req.contentCheck, session);
+        return edited;
+      });
+
+      if (!comment) {
+        throw new NotFoundError('Comment not found');
+      }
+
+      await comment.populate('userId', 'username profileThumbnail');
+      res.json(comment);
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Delete own comment. Comments with replies become placeholders so the
+// thread stays intact; leaf comments are removed outright.
+router.delete('/:id',
+  authenticate,
+  async (req, res, next) => {
+    try {
+      // Remove the comment and its count on the review together
+      const hasReplies = await withTransaction(async (session) => {
+        const comment = await Comment.findOne({
+          _id: req.params.id,
+          userId: req.user.id,
+          deleted: false,
+          ...VISIBLE
+        }).session(session);
+        if (!comment) return null;
+
+        const replied = Boolean(await Comment.exists({ parentId: comment._id }).session(session));
+        if (replied) {
+          comment.deleted = true;
+          comment.content = '[deleted]';
+          comment.updatedAt = Date.now();
+          await comment.save({ session });
+        } else {
+          await comment.deleteOne({ session });
+        }
+        await Review.updateOne({ _id: comment.reviewId }, { $inc: { commentCount: -1 } }, { session });
+        return replied;
+      });
+
+      if (hasReplies === null) {
+        throw new NotFoundError('Comment not found');
+      }
+
+      res.json({ message: 'Comment deleted successfully', placeholder: hasReplies });
+    } catch (error) {
+      next(error);
+    }
+});
+
+module.exports = router;
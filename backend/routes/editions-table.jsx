@@ -0,0 +1,80 @@
+import React, { useState, useEffect } from 'react';
+import { api, unwrap } from '@/lib/api';
+
+const formatLabels = {
+  hardcover: 'Hardcover',
+  paperback: 'Paperback',
+  ebook: 'E-book',
+  audiobook: 'Audiobook',
+  other: 'Other'
+};
+
+// Editions of a book. Reviews belong to the book, so every edition shares
+// the rating shown above; the table only lists publication details.
+const EditionsTable = ({ bookId }) => {
+  const [editions, setEditions] = useState([]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchEditions = async () => {
+      try {
+        const data = await unwrap(api.GET('/books/{id}/editions', {
+          params: { path: { id: bookId } },
+          signal: controller.signal
+        }));
+        setEditions(data.editions);
+      } catch (err) {
+        if (err.name !== 'AbortError') setEditions([]);
+      }
+    };
+
+    fetchEditions();
+    return () => controller.abort();
+  }, [bookId]);
+
+  if (editions.length === 0) return null;
+
+  return (
+    <div className="space-y-4">
+      <h3 className="text-xl font-semibold">Editions</h3>
+      <div className="overflow-x-auto">
+        <table className="w-full text-left text-sm">
+          <thead className="border-b text-gray-500">
+            <tr>
+              <th className="py-2 pr-4 font-medium">Format</th>
+              <th className="py-2 pr-4 font-medium">Publisher</th>
+              <th className="py-2 pr-4 font-medium">Published</th>
+              <th className="py-2 pr-4 font-medium">Pages</th>
+              <th className="py-2 pr-4 font-medium">Language</th>
+              <th className="py-2 font-medium">ISBN</th>
+            </tr>
+          </thead>
+          <tbody>
+            {editions.map(edition => (
+              <tr key={edition._id} className="border-b last:border-0">
+                <td className="py-2 pr-4">
+                  {formatLabels[edition.format] || edition.format}
+                  {edition.title && <div className="text-xs text-gray-500">{edition.title}</div>}
+                </td>
+                <td className="py-2 pr-4">{edition.publisher || '—'}</td>
+                <td className="py-2 pr-4">
+                  {edition.publishedDate ? new Date(edition.publishedDate).getFullYear() : '—'}
+                </td>
+                <td className="py-2 pr-4">{edition.pageCount || '—'}</td>
+                <td className="py-2 pr-4">{edition.language || '—'}</td>
+                <td className="py-2 font-mono text-xs">
+                  {edition.isbn13 && <div>{edition.isbn13}</div>}
+                  {edition.isbn10 && <div className="text-gray-500">{edition.isbn10}</div>}
+                  {!edition.isbn13 && !edition.isbn10 && '—'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default EditionsTable;
@@ -0,0 +1,53 @@
+// routes/exports.js
+const express = require('express');
+const router = express.Router();
+const {
+  authenticate,
+  requireRole,
+  exportValidation,
+  validate
+} = require('../middleware/auth-middleware');
+const { exportBooks, exportReviews } = require('../services/exports');
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  jsonl: 'application/x-ndjson; charset=utf-8'
+};
+
+// Stream an export as a download named like books-2025-01-31.csv
+const streamExport = (name, exporter) => async (req, res, next) => {
+  const format = req.query.format || 'csv';
+  try {
+    const date = new Date().toISOString().slice(0, 10);
+    res.set({
+      'Content-Type': CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="${name}-${date}.${format}"`
+    });
+    await exporter(format, res);
+    res.end();
+  } catch (error) {
+    // Once streaming has started the status can't change, so cut the
+    // download short rather than let it look complete
+    if (res.headersSent) return res.destroy(error);
+    res.removeHeader('Content-Disposition');
+    next(error);
+  }
+};
+
+router.get('/books',
+  authenticate,
+  requireRole('admin'),
+  exportValidation,
+  validate,
+  streamExport('books', exportBooks)
+);
+
+router.get('/reviews',
+  authenticate,
+  requireRole('admin'),
+  exportValidation,
+  validate,
+  streamExport('reviews', exportReviews)
+);
+
+module.exports = router;
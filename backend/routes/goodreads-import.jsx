@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/auth';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { apiFetch } from '@/lib/api';
+
+const POLL_INTERVAL = 2000;
+const SHOWN_ROW_ERRORS = 20;
+
+const isActive = (job) => job && ['queued', 'running'].includes(job.status);
+
+// Upload a Goodreads library export; ratings become reviews and shelves
+// become shelf entries for books the catalog already has
+const GoodreadsImport = () => {
+  const { state: authState } = useAuth();
+  const [file, setFile] = useState(null);
+  const [job, setJob] = useState(null);
+  const [error, setError] = useState(null);
+  const [uploading, setUploading] = useState(false);
+
+  // Pick up an import still running, or stopped, from an earlier visit
+  useEffect(() => {
+    const fetchLatest = async () => {
+      try {
+        const data = await apiFetch('/api/imports');
+        const latest = data.jobs.find(j => j.type === 'library');
+        if (isActive(latest) || latest?.status === 'failed') setJob(latest);
+      } catch (err) {
+        // Nothing to resume; the form still works
+      }
+    };
+
+    fetchLatest();
+  }, [authState.token]);
+
+  useEffect(() => {
+    if (!isActive(job)) return;
+
+    const timer = setTimeout(async () => {
+      try {
+        setJob(await apiFetch(`/api/imports/${job._id}`));
+      } catch (err) {
+        // Try again on the next tick
+        setJob(prev => ({ ...prev }));
+      }
+    }, POLL_INTERVAL);
+
+    return () => clearTimeout(timer);
+  }, [job]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!file) return;
+
+    setUploading(true);
+    setError(null);
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+
+      const data = await apiFetch('/api/imports/library', {
+        method: 'POST',
+        body: formData
+      });
+      setJob(data);
+      setFile(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleResume = async () => {
+    setError(null);
+    try {
+      const data = await apiFetch(`/api/imports/${job._id}/resume`, { method: 'POST' });
+      setJob(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Import from Goodreads</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-gray-500">
+          Export your library from Goodreads (My Books → Import and export) and upload the CSV.
+          Books that aren't in our catalog yet are listed below and skipped.
+        </p>
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+        <form onSubmit={handleSubmit} className="flex items-center gap-2">
+          <Input
+            type="file"
+            accept=".csv"
+            onChange={(e) => setFile(e.target.files[0] || null)}
+            disabled={uploading || isActive(job)}
+          />
+          <Button type="submit" disabled={!file || uploading || isActive(job)}>
+            {uploading ? 'Uploading...' : 'Import'}
+          </Button>
+        </form>
+
+        {job && (
+          <div className="space-y-2 text-sm">
+            <div>
+              {isActive(job) && `Importing… ${job.cursor} of ${job.totalRows || '?'} books`}
+              {job.status === 'completed' && `Import finished: ${job.counts.created} added, ` +
+                `${job.counts.updated} updated, ${job.counts.skipped} already on your shelves`}
+              {job.status === 'failed' && `Import stopped: ${job.error}`}
+            </div>
+            {job.status === 'failed' && (
+              <Button variant="outline" size="sm" onClick={handleResume}>
+                Resume
+              </Button>
+            )}
+            {job.rowErrors?.length > 0 && (
+              <div>
+                <div className="font-medium">Rows with problems</div>
+                <ul className="list-disc pl-5 text-gray-500">
+                  {job.rowErrors.slice(0, SHOWN_ROW_ERRORS).map(({ row, messages }) => (
+                    <li key={row}>Row {row}: {messages.join('; ')}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default GoodreadsImport;
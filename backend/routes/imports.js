@@ -0,0 +1,128 @@
+// routes/imports.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const {
+  authenticate,
+  requireRole,
+  importValidation,
+  validate,
+  validateObjectId
+} = require('../middleware/auth-middleware');
+const { importUpload } = require('../middleware/upload');
+const { createImportJob, startImportJob } = require('../services/imports');
+const { BadRequestError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const ImportJob = mongoose.model('ImportJob');
+
+router.param('id', validateObjectId);
+
+const ACTIVE = { status: { $in: ['queued', 'running'] } };
+
+// A job is visible to whoever started it and to admins
+const findJob = async (req) => {
+  const job = await ImportJob.findById(req.params.id);
+  if (!job) return null;
+  return req.user.role === 'admin' || job.userId.equals(req.user.id) ? job : null;
+};
+
+// The current user's import jobs, newest first
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const jobs = await ImportJob.find({ userId: req.user.id })
+      .select('-rowErrors')
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .lean();
+    res.json({ jobs });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Import books into the catalog from CSV, JSON Lines or a Goodreads export.
+// The job runs in the background; poll GET /api/imports/:id for progress.
+router.post('/',
+  authenticate,
+  requireRole('admin'),
+  importUpload('file'),
+  importValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const job = await createImportJob({
+        type: 'catalog',
+        format: req.body.format,
+        userId: req.user.id,
+        fileName: req.file.originalname,
+        source: req.file.buffer.toString('utf8'),
+        defaults: { genre: req.body.genre, description: req.body.description }
+      });
+
+      await startImportJob(job._id);
+      // Re-read so the stored file isn't echoed back
+      res.status(202).json(await ImportJob.findById(job._id));
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Import the current user's Goodreads library: ratings become reviews and
+// shelves become shelf entries for books already in the catalog
+router.post('/library',
+  authenticate,
+  importUpload('file'),
+  async (req, res, next) => {
+    try {
+      if (await ImportJob.exists({ userId: req.user.id, type: 'library', ...ACTIVE })) {
+        throw new ConflictError('A library import is already in progress', 'import_running');
+      }
+
+      const job = await createImportJob({
+        type: 'library',
+        format: 'goodreads',
+        userId: req.user.id,
+        fileName: req.file.originalname,
+        source: req.file.buffer.toString('utf8')
+      });
+
+      await startImportJob(job._id);
+      // Re-read so the stored file isn't echoed back
+      res.status(202).json(await ImportJob.findById(job._id));
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Progress and the per-row error report
+router.get('/:id', authenticate, async (req, res, next) => {
+  try {
+    const job = await findJob(req);
+    if (!job) {
+      throw new NotFoundError('Import job not found');
+    }
+    res.json(job);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Continue a failed or interrupted upload from its last checkpoint
+router.post('/:id/resume', authenticate, async (req, res, next) => {
+  try {
+    const job = await findJob(req);
+    if (!job) {
+      throw new NotFoundError('Import job not found');
+    }
+    if (job.origin === 'cli') {
+      throw new BadRequestError('This job was started from the command line; resume it there with --resume');
+    }
+
+    await startImportJob(job._id);
+    res.status(202).json(await ImportJob.findById(job._id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+// routes/metadata.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const {
+  authenticate,
+  requireRole,
+  isbnLookupValidation,
+  validate
+} = require('../middleware/auth-middleware');
+const { getMetadataLookup } = require('../services/metadata');
+const { NotFoundError } = require('../utils/errors');
+
+const Edition = mongoose.model('Edition');
+
+// Metadata for an ISBN from the configured providers: the merged fields,
+// which provider each came from and every provider's own answer, so the
+// editor can accept or override each field before creating the book, plus
+// the providers that failed to answer.
+// `existingBookId` is set when the catalog already has this edition.
+router.get('/isbn/:isbn',
+  authenticate,
+  requireRole('editor', 'admin'),
+  isbnLookupValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const metadata = await getMetadataLookup()(req.params.isbn);
+      if (!metadata) {
+        throw new NotFoundError('No metadata found for this ISBN');
+      }
+
+      const edition = await Edition.findOne({ isbn13: metadata.isbn13 }).select('bookId').lean();
+      res.json({ ...metadata, existingBookId: edition ? edition.bookId : null });
+    } catch (error) {
+      next(error);
+    }
+});
+
+module.exports = router;
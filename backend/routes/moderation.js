@@ -0,0 +1,418 @@
+// routes/moderation.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { query } = require('express-validator');
+const {
+  authenticate,
+  requireRole,
+  reportValidation,
+  moderationValidation,
+  banValidation,
+  validate,
+  validateObjectId
+} = require('../middleware/auth-middleware');
+const { withTransaction } = require('../services/book-stats');
+const {
+  VISIBLE,
+  setReviewStatus,
+  setCommentStatus,
+  logAction,
+  resolveReports
+} = require('../services/moderation');
+const { getMailer } = require('../services/mailer');
+const { ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const User = mongoose.model('User');
+const Review = mongoose.model('Review');
+const Comment = mongoose.model('Comment');
+const Report = mongoose.model('Report');
+const ModerationLog = mongoose.model('ModerationLog');
+const RefreshToken = mongoose.model('RefreshToken');
+
+router.param('id', validateObjectId);
+
+const MODERATORS = ['moderator', 'admin'];
+const TARGET_MODELS = { review: Review, comment: Comment };
+const STATUS_SETTERS = { review: setReviewStatus, comment: setCommentStatus };
+// URL segment -> target type
+const TARGET_PATHS = { reviews: 'review', comments: 'comment' };
+// Content actions and the status they move the target to
+const ACTION_STATUSES = { hide: 'hidden', restore: 'visible', delete: 'deleted' };
+
+// Report a review or comment
+router.post('/reports',
+  authenticate,
+  reportValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const { targetType, targetId, reason, details } = req.body;
+
+      const target = await TARGET_MODELS[targetType]
+        .findOne({ _id: targetId, ...VISIBLE })
+        .select('userId deleted');
+      if (!target || target.deleted) {
+        throw new NotFoundError('Content not found');
+      }
+      if (String(target.userId) === String(req.user.id)) {
+        throw new ForbiddenError('You cannot report your own content');
+      }
+
+      const report = await Report.create({
+        targetType,
+        targetId,
+        reporterId: req.user.id,
+        reason,
+        details
+      });
+      res.status(201).json(report);
+    } catch (error) {
+      if (error.code === 11000) {
+        return next(new ConflictError('You have already reported this'));
+      }
+      next(error);
+    }
+});
+
+// Load the reported reviews and comments for a page of the queue
+const attachTargets = async (groups) => {
+  const idsOf = (type) => groups.filter(g => g._id.targetType === type).map(g => g._id.targetId);
+
+  const [reviews, comments] = await Promise.all([
+    Review.find({ _id: { $in: idsOf('review') } })
+      .populate('userId', 'username')
+      .populate('bookId', 'title')
+      .lean(),
+    Comment.find({ _id: { $in: idsOf('comment') } })
+      .populate('userId', 'username')
+      .lean()
+  ]);
+  const targets = new Map([...reviews, ...comments].map(t => [String(t._id), t]));
+
+  return groups.map(({ _id, ...group }) => ({
+    ...group,
+    targetType: _id.targetType,
+    targetId: _id.targetId,
+    target: targets.get(String(_id.targetId)) || null
+  }));
+};
+
+// Moderation queue: reports grouped by target, most reported first
+router.get('/reports',
+  authenticate,
+  requireRole(...MODERATORS),
+  [
+    query('status').optional().isIn(['open', 'resolved', 'dismissed']).withMessage('Invalid status'),
+    query('targetType').optional().isIn(['review', 'comment']).withMessage('Invalid target type')
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const { status = 'open', targetType, page = 1, limit = 20 } = req.query;
+      const skip = (page - 1) * limit;
+      const match = { status, ...(targetType ? { targetType } : {}) };
+
+      const [result] = await Report.aggregate([
+        { $match: match },
+        { $sort: { createdAt: 1 } },
+        {
+          $group: {
+            _id: { targetType: '$targetType', targetId: '$targetId' },
+            count: { $sum: 1 },
+            reasons: { $addToSet: '$reason' },
+            firstReportedAt: { $first: '$createdAt' },
+            lastReportedAt: { $last: '$createdAt' },
+            reports: {
+              $push: {
+                _id: '$_id',
+                source: '$source',
+                reporterId: '$reporterId',
+                reason: '$reason',
+                details: '$details',
+                createdAt: '$createdAt'
+              }
+            }
+          }
+        },
+        { $sort: { count: -1, firstReportedAt: 1 } },
+        {
+          $facet: {
+            items: [{ $skip: skip }, { $limit: parseInt(limit) }],
+            total: [{ $count: 'count' }]
+          }
+        }
+      ]);
+
+      const total = result.total[0]?.count || 0;
+      res.json({
+        items: await attachTargets(result.items),
+        totalPages: Math.ceil(total / limit),
+        currentPage: parseInt(page)
+      });
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Hide, restore or delete a review or comment, closing its open reports
+const moderateContent = (targetType, action) => async (req, res, next) => {
+  try {
+    const target = await TARGET_MODELS[targetType].findById(req.params.id).select('status');
+    if (!target) {
+      throw new NotFoundError('Content not found');
+    }
+
+    const status = ACTION_STATUSES[action];
+    const changed = await withTransaction(async (session) => {
+      const previous = await STATUS_SETTERS[targetType](target._id, status, req.user.id, session);
+      if (!previous) return false;
+
+      await resolveReports(targetType, target._id, req.user.id, action, session);
+      await logAction({
+        actorId: req.user.id,
+        action,
+        targetType,
+        targetId: target._id,
+        reason: req.body.reason,
+        metadata: { previousStatus: previous.status || 'visible' }
+      }, session);
+      return true;
+    });
+
+    if (!changed) {
+      throw new ConflictError(`Content is already ${status}`);
+    }
+    res.json({ targetType, targetId: target._id, status });
+  } catch (error) {
+    // Restoring a deleted review collides with a newer review by the same user
+    if (error.code === 11000) {
+      return next(new ConflictError('The author has since posted another review of this book'));
+    }
+    next(error);
+  }
+};
+
+// Close a target's open reports without acting on it
+const dismissReports = (targetType) => async (req, res, next) => {
+  try {
+    const dismissed = await withTransaction(async (session) => {
+      const { modifiedCount } = await resolveReports(
+        targetType,
+        req.params.id,
+        req.user.id,
+        'dismiss',
+        session
+      );
+      if (modifiedCount === 0) return 0;
+
+      await logAction({
+        actorId: req.user.id,
+        action: 'dismiss',
+        targetType,
+        targetId: req.params.id,
+        reason: req.body.reason,
+        metadata: { reports: modifiedCount }
+      }, session);
+      return modifiedCount;
+    });
+
+    if (!dismissed) {
+      throw new NotFoundError('No open reports for this content');
+    }
+    res.json({ targetType, targetId: req.params.id, dismissed });
+  } catch (error) {
+    next(error);
+  }
+};
+
+Object.entries(TARGET_PATHS).forEach(([path, targetType]) => {
+  Object.keys(ACTION_STATUSES).forEach(action => {
+    router.post(`/${path}/:id/${action}`,
+      authenticate,
+      requireRole(...MODERATORS),
+      moderationValidation,
+      validate,
+      moderateContent(targetType, action)
+    );
+  });
+
+  router.post(`/${path}/:id/dismiss`,
+    authenticate,
+    requireRole(...MODERATORS),
+    moderationValidation,
+    validate,
+    dismissReports(targetType)
+  );
+});
+
+// Load the user a moderator is acting on. Staff accounts can only be
+// moderated by admins, and nobody can moderate themselves.
+const loadModeratedUser = async (req) => {
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+  if (String(user._id) === String(req.user.id)
+    || (user.role !== 'reader' && req.user.role !== 'admin')) {
+    throw new ForbiddenError();
+  }
+  return user;
+};
+
+// Moderation notices are best effort; the action stands if mail fails
+const notifyUser = async (user, subject, text) => {
+  try {
+    await getMailer().send({ to: user.email, subject, text });
+  } catch (mailError) {
+    console.error('Failed to send moderation email:', mailError);
+  }
+};
+
+// Warn a user
+router.post('/users/:id/warn',
+  authenticate,
+  requireRole(...MODERATORS),
+  moderationValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const user = await loadModeratedUser(req);
+
+      user.warningCount += 1;
+      await user.save();
+      await logAction({
+        actorId: req.user.id,
+        action: 'warn',
+        targetType: 'user',
+        targetId: user._id,
+        reason: req.body.reason,
+        metadata: { warningCount: user.warningCount }
+      });
+
+      await notifyUser(
+        user,
+        'A warning about your BookReview activity',
+        `Hi ${user.username},\n\nA moderator has issued a warning on your account.`
+          + (req.body.reason ? `\n\nReason: ${req.body.reason}` : '')
+          + '\n\nRepeated violations may lead to a suspension.'
+      );
+
+      res.json({ userId: user._id, warningCount: user.warningCount });
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Ban a user, for a number of days or permanently, ending all their sessions
+router.post('/users/:id/ban',
+  authenticate,
+  requireRole(...MODERATORS),
+  banValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const user = await loadModeratedUser(req);
+
+      const { reason, days } = req.body;
+      user.banned = true;
+      user.bannedUntil = days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : undefined;
+      user.banReason = reason;
+      await user.save();
+
+      await RefreshToken.updateMany(
+        { userId: user._id, revokedAt: null },
+        { revokedAt: Date.now() }
+      );
+      await logAction({
+        actorId: req.user.id,
+        action: 'ban',
+        targetType: 'user',
+        targetId: user._id,
+        reason,
+        metadata: { bannedUntil: user.bannedUntil || null }
+      });
+
+      await notifyUser(
+        user,
+        'Your BookReview account has been suspended',
+        `Hi ${user.username},\n\nYour account has been suspended `
+          + (user.bannedUntil ? `until ${user.bannedUntil.toUTCString()}.` : 'indefinitely.')
+          + (reason ? `\n\nReason: ${reason}` : '')
+      );
+
+      res.json({ userId: user._id, banned: true, bannedUntil: user.bannedUntil || null });
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Lift a ban
+router.post('/users/:id/unban',
+  authenticate,
+  requireRole(...MODERATORS),
+  moderationValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const user = await loadModeratedUser(req);
+      if (!user.banned) {
+        throw new ConflictError('User is not banned');
+      }
+
+      user.banned = false;
+      user.bannedUntil = undefined;
+      user.banReason = undefined;
+      await user.save();
+      await logAction({
+        actorId: req.user.id,
+        action: 'unban',
+        targetType: 'user',
+        targetId: user._id,
+        reason: req.body.reason
+      });
+
+      res.json({ userId: user._id, banned: false });
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Audit trail, newest first; filter by target or moderator
+router.get('/log',
+  authenticate,
+  requireRole(...MODERATORS),
+  [
+    query('targetType').optional().isIn(['review', 'comment', 'user']).withMessage('Invalid target type'),
+    query(['targetId', 'actorId']).optional().isMongoId().withMessage('Invalid id')
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const { targetType, targetId, actorId, page = 1, limit = 50 } = req.query;
+      const skip = (page - 1) * limit;
+      const filter = Object.fromEntries(
+        Object.entries({ targetType, targetId, actorId }).filter(([, value]) => value)
+      );
+
+      const [entries, total] = await Promise.all([
+        ModerationLog.find(filter)
+          .populate('actorId', 'username')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit))
+          .lean(),
+        ModerationLog.countDocuments(filter)
+      ]);
+
+      res.json({
+        entries,
+        totalPages: Math.ceil(total / limit),
+        currentPage: parseInt(page)
+      });
+    } catch (error) {
+      next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,462 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { Star, ChevronLeft, ChevronRight } from 'lucide-react';
+import { useAuth } from '../context/auth';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Button } from '@/components/ui/button';
+import { Textarea } from '@/components/ui/textarea';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import BookCover from './book-cover';
+import { SHELF_STATUS_LABELS } from './shelf-control';
+import ReviewContent from './review-content';
+import GoodreadsImport from './goodreads-import';
+import { api, unwrap } from '@/lib/api';
+
+// Edit form for the signed-in user's own profile
+const EditProfile = ({ profile, onSaved }) => {
+  const { refreshSession } = useAuth();
+  const [formData, setFormData] = useState({
+    username: profile.username,
+    bio: profile.bio || '',
+    profilePicture: profile.profilePicture || '',
+    shelvesPublic: profile.shelvesPublic !== false
+  });
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSaved(false);
+    setSaving(true);
+
+    try {
+      // The avatar is only sent when edited, so saving other fields keeps an
+      // uploaded avatar and its thumbnail
+      const { profilePicture, ...fields } = formData;
+      const body = profilePicture === (profile.profilePicture || '')
+        ? fields
+        : { ...fields, profilePicture };
+      const data = await unwrap(api.PATCH('/users/me', { body }));
+
+      // The access token carries the username, so fetch a fresh one after a rename
+      if (data.username !== profile.username) {
+        await refreshSession();
+      }
+
+      onSaved(data);
+      setSaved(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Edit Profile</CardTitle>
+      </CardHeader>
+      <CardContent>
+        {error && (
+          <Alert variant="destructive" className="mb-4">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+        {saved && (
+          <Alert className="mb-4">
+            <AlertDescription>Profile updated.</AlertDescription>
+          </Alert>
+        )}
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <Input
+            type="text"
+            placeholder="Username"
+            value={formData.username}
+            onChange={(e) => setFormData(prev => ({
+              ...prev,
+              username: e.target.value
+            }))}
+            required
+          />
+          <Input
+            type="url"
+            placeholder="Avatar URL"
+            value={formData.profilePicture}
+            onChange={(e) => setFormData(prev => ({
+              ...prev,
+              profilePicture: e.target.value
+            }))}
+          />
+          <Textarea
+            placeholder="Tell other readers about yourself..."
+            value={formData.bio}
+            onChange={(e) => setFormData(prev => ({
+              ...prev,
+              bio: e.target.value
+            }))}
+            rows={3}
+          />
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={formData.shelvesPublic}
+              onChange={(e) => setFormData(prev => ({
+                ...prev,
+                shelvesPublic: e.target.checked
+              }))}
+            />
+            Show my shelves on my public profile
+          </label>
+          <Button type="submit" disabled={saving}>
+            {saving ? 'Saving...' : 'Save Profile'}
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+};
+
+// Change password form, requires the current password
+const ChangePassword = () => {
+  const [formData, setFormData] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: ''
+  });
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [success, setSuccess] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSuccess(false);
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setSaving(true);
+
+    try {
+      await unwrap(api.POST('/users/me/change-password', {
+        body: {
+          currentPassword: formData.currentPassword,
+          newPassword: formData.newPassword
+        }
+      }));
+
+      setFormData({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      setSuccess(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Change Password</CardTitle>
+      </CardHeader>
+      <CardContent>
+        {error && (
+          <Alert variant="destructive" className="mb-4">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+        {success && (
+          <Alert className="mb-4">
+            <AlertDescription>Password changed. Other sessions have been signed out.</AlertDescription>
+          </Alert>
+        )}
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {['currentPassword', 'newPassword', 'confirmPassword'].map((field) => (
+            <Input
+              key={field}
+              type="password"
+              placeholder={{
+                currentPassword: 'Current Password',
+                newPassword: 'New Password',
+                confirmPassword: 'Confirm New Password'
+              }[field]}
+              value={formData[field]}
+              onChange={(e) => setFormData(prev => ({
+                ...prev,
+                [field]: e.target.value
+              }))}
+              required
+            />
+          ))}
+          <Button type="submit" disabled={saving}>
+            {saving ? 'Saving...' : 'Change Password'}
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+};
+
+// Reading statuses and custom shelves, with the books on the selected one
+const ProfileShelves = ({ userId, isOwnProfile }) => {
+  const [summary, setSummary] = useState(null);
+  const [selected, setSelected] = useState({ status: 'reading' });
+  const [entries, setEntries] = useState([]);
+  const [hidden, setHidden] = useState(false);
+
+  // Own shelves go through /me so private ones are still visible
+  const [summaryPath, booksPath] = isOwnProfile
+    ? ['/users/me/shelves', '/users/me/shelves/books']
+    : ['/users/{id}/shelves', '/users/{id}/shelves/books'];
+  const options = isOwnProfile ? {} : { params: { path: { id: userId } } };
+
+  useEffect(() => {
+    const fetchSummary = async () => {
+      try {
+        setSummary(await unwrap(api.GET(summaryPath, options)));
+      } catch (err) {
+        if (err.status === 403) setHidden(true);
+      }
+    };
+
+    fetchSummary();
+  }, [isOwnProfile, userId]);
+
+  useEffect(() => {
+    if (hidden) return;
+
+    const fetchEntries = async () => {
+      try {
+        const data = await unwrap(api.GET(booksPath, {
+          ...options,
+          params: { ...options.params, query: selected }
+        }));
+        setEntries(data.entries);
+      } catch {
+        // Keep the books already shown
+      }
+    };
+
+    fetchEntries();
+  }, [isOwnProfile, userId, selected, hidden]);
+
+  if (hidden) {
+    return <p className="text-gray-500">This reader keeps their shelves private.</p>;
+  }
+  if (!summary) return null;
+
+  const tabs = [
+    ...summary.statuses.map(({ status, count }) => ({
+      key: status,
+      label: `${SHELF_STATUS_LABELS[status]} (${count})`,
+      query: { status }
+    })),
+    ...summary.shelves.map(shelf => ({
+      key: shelf._id,
+      label: `${shelf.name} (${shelf.count})`,
+      query: { shelf: shelf._id }
+    }))
+  ];
+  const isSelected = (query) => (query.status || query.shelf) === (selected.status || selected.shelf);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap gap-2">
+        {tabs.map(tab => (
+          <Button
+            key={tab.key}
+            size="sm"
+            variant={isSelected(tab.query) ? 'default' : 'outline'}
+            onClick={() => setSelected(tab.query)}
+          >
+            {tab.label}
+          </Button>
+        ))}
+      </div>
+      {entries.length === 0 ? (
+        <p className="text-gray-500">No books on this shelf.</p>
+      ) : (
+        <div className="grid grid-cols-3 gap-4 md:grid-cols-6">
+          {entries.map(entry => (
+            <Link key={entry._id} to={`/books/${entry.bookId._id}`} className="space-y-1">
+              <BookCover book={entry.bookId} />
+              <div className="line-clamp-1 text-sm font-medium">{entry.bookId.title}</div>
+              {entry.status === 'reading' && (
+                <div className="text-xs text-gray-500">{entry.progress}% read</div>
+              )}
+            </Link>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const Profile = () => {
+  const { id } = useParams();
+  const { state: authState } = useAuth();
+  const userId = id || authState.user?.id;
+  const isOwnProfile = Boolean(authState.user) && authState.user.id === userId;
+
+  const [profile, setProfile] = useState(null);
+  const [reviews, setReviews] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchProfile = async () => {
+      try {
+        setLoading(true);
+        setProfile(await unwrap(api.GET('/users/{id}', { params: { path: { id: userId } } })));
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (userId) fetchProfile();
+  }, [userId]);
+
+  useEffect(() => {
+    const fetchReviews = async () => {
+      try {
+        const data = await unwrap(api.GET('/users/{id}/reviews', {
+          params: { path: { id: userId }, query: { page } }
+        }));
+        setReviews(data.reviews);
+        setTotalPages(Math.max(1, data.totalPages));
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+
+    if (userId) fetchReviews();
+  }, [userId, page]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center p-8">
+        <div className="h-8 w-8 animate-spin rounded-full border-4 border-primary border-t-transparent" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <Alert variant="destructive">
+        <AlertDescription>{error}</AlertDescription>
+      </Alert>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      {/* Profile Header */}
+      <Card>
+        <CardContent className="flex items-center gap-4 pt-6">
+          {profile.profilePicture ? (
+            <img
+              src={profile.profilePicture}
+              alt={profile.username}
+              className="h-16 w-16 rounded-full object-cover"
+            />
+          ) : (
+            <div className="flex h-16 w-16 items-center justify-center rounded-full bg-gray-200 text-xl font-semibold text-gray-600">
+              {profile.username[0].toUpperCase()}
+            </div>
+          )}
+          <div>
+            <h2 className="text-xl font-semibold">{profile.username}</h2>
+            <div className="text-sm text-gray-500">
+              Joined {new Date(profile.createdAt).toLocaleDateString()} • {profile.reviewCount} reviews
+            </div>
+            {profile.bio && <p className="mt-2 text-gray-700">{profile.bio}</p>}
+          </div>
+        </CardContent>
+      </Card>
+
+      {isOwnProfile && (
+        <div className="grid gap-4 md:grid-cols-2">
+          <EditProfile
+            profile={profile}
+            onSaved={(updated) => setProfile(prev => ({ ...prev, ...updated }))}
+          />
+          <ChangePassword />
+          <GoodreadsImport />
+        </div>
+      )}
+
+      {/* Shelves */}
+      <div className="space-y-4">
+        <h3 className="text-xl font-semibold">Shelves</h3>
+        <ProfileShelves userId={userId} isOwnProfile={isOwnProfile} />
+      </div>
+
+      {/* Reviews List */}
+      <div className="space-y-4">
+        <h3 className="text-xl font-semibold">Reviews</h3>
+        {reviews.length === 0 && (
+          <p className="text-gray-500">No reviews yet.</p>
+        )}
+        {reviews.map((review) => (
+          <Card key={review._id}>
+            <CardContent className="pt-4">
+              <div className="flex items-center gap-2 mb-2">
+                <Link to={`/books/${review.bookId._id}`} className="font-medium hover:underline">
+                  {review.bookId.title}
+                </Link>
+                <div className="flex">
+                  {[1, 2, 3, 4, 5].map((star) => (
+                    <Star
+                      key={star}
+                      className={`h-4 w-4 ${
+                        star <= review.rating ? 'fill-yellow-400 text-yellow-400' : 'text-gray-300'
+                      }`}
+                    />
+                  ))}
+                </div>
+                <span className="text-sm text-gray-500">
+                  • {new Date(review.createdAt).toLocaleDateString()}
+                </span>
+              </div>
+              <ReviewContent content={review.content} containsSpoilers={review.containsSpoilers} />
+            </CardContent>
+          </Card>
+        ))}
+
+        {totalPages > 1 && (
+          <div className="flex justify-center gap-2">
+            <Button
+              variant="outline"
+              onClick={() => setPage(p => Math.max(1, p - 1))}
+              disabled={page === 1}
+            >
+              <ChevronLeft className="h-4 w-4" />
+            </Button>
+            <span className="flex items-center px-4">
+              Page {page} of {totalPages}
+            </span>
+            <Button
+              variant="outline"
+              onClick={() => setPage(p => Math.min(totalPages, p + 1))}
+              disabled={page === totalPages}
+            >
+              <ChevronRight className="h-4 w-4" />
+            </Button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Profile;
@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { Flag } from 'lucide-react';
+import { useAuth } from '../context/auth';
+import { Button } from '@/components/ui/button';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { apiFetch } from '@/lib/api';
+
+const REPORT_REASONS = {
+  spam: 'Spam',
+  abuse: 'Abusive or hateful',
+  spoiler: 'Unmarked spoilers',
+  'off-topic': 'Off-topic',
+  other: 'Something else'
+};
+
+// "Report" link that expands into a small form for flagging a review or comment
+const ReportButton = ({ targetType, targetId }) => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { state: authState } = useAuth();
+  const [open, setOpen] = useState(false);
+  const [reason, setReason] = useState('');
+  const [details, setDetails] = useState('');
+  const [status, setStatus] = useState(null); // 'sending' | 'sent'
+  const [error, setError] = useState(null);
+
+  const handleOpen = () => {
+    if (!authState.user) {
+      navigate('/login', { state: { redirect: location.pathname } });
+      return;
+    }
+    setOpen(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setStatus('sending');
+      setError(null);
+      await apiFetch('/api/moderation/reports', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ targetType, targetId, reason, details: details || undefined })
+      });
+      setStatus('sent');
+      setOpen(false);
+    } catch (err) {
+      setError(err.message);
+      setStatus(null);
+    }
+  };
+
+  if (status === 'sent') {
+    return <span className="text-xs text-gray-500">Reported. Thanks for letting us know.</span>;
+  }
+
+  if (!open) {
+    return (
+      <button
+        type="button"
+        onClick={handleOpen}
+        className="flex items-center gap-1 text-xs text-gray-500 hover:text-gray-900"
+      >
+        <Flag className="h-3 w-3" /> Report
+      </button>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-2 space-y-2">
+      <Select value={reason} onValueChange={setReason}>
+        <SelectTrigger className="w-[220px]">
+          <SelectValue placeholder="Why are you reporting this?" />
+        </SelectTrigger>
+        <SelectContent>
+          {Object.entries(REPORT_REASONS).map(([value, label]) => (
+            <SelectItem key={value} value={value}>
+              {label}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      <Textarea
+        value={details}
+        onChange={(e) => setDetails(e.target.value)}
+        placeholder="Anything moderators should know (optional)"
+        rows={2}
+        maxLength={1000}
+      />
+      {error && <p className="text-sm text-red-500">{error}</p>}
+      <div className="flex gap-2">
+        <Button type="submit" size="sm" disabled={!reason || status === 'sending'}>
+          {status === 'sending' ? 'Sending...' : 'Send report'}
+        </Button>
+        <Button type="button" size="sm" variant="ghost" onClick={() => setOpen(false)}>
+          Cancel
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default ReportButton;
@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+
+// Renders the review Markdown subset (see backend utils/markdown.js) straight
+// to elements, never through innerHTML: **bold**, *italic*, - / 1. lists,
+// > quotes and ||spoiler|| spans.
+
+const INLINE_PATTERN = /\|\|(.+?)\|\||\*\*(.+?)\*\*|__(.+?)__|\*(?!\s)(.+?)\*|(?<![\p{L}\p{N}])_(?!\s)(.+?)_(?![\p{L}\p{N}])/u;
+
+// Click (or press Enter) to reveal
+const Spoiler = ({ children }) => {
+  const [revealed, setRevealed] = useState(false);
+
+  if (revealed) {
+    return <span className="rounded bg-gray-100 px-0.5">{children}</span>;
+  }
+  return (
+    <span
+      role="button"
+      tabIndex={0}
+      title="Spoiler, click to reveal"
+      aria-label="Hidden spoiler, activate to reveal"
+      onClick={() => setRevealed(true)}
+      onKeyDown={(e) => (e.key === 'Enter' || e.key === ' ') && setRevealed(true)}
+      className="cursor-pointer select-none rounded bg-gray-200 px-0.5 blur-sm"
+    >
+      {children}
+    </span>
+  );
+};
+
+const renderInline = (text, keyPrefix = 'i') => {
+  const nodes = [];
+  let rest = text;
+  let index = 0;
+
+  while (rest) {
+    const match = rest.match(INLINE_PATTERN);
+    if (!match) {
+      nodes.push(rest);
+      break;
+    }
+
+    if (match.index > 0) nodes.push(rest.slice(0, match.index));
+    const key = `${keyPrefix}-${index++}`;
+    const [, spoiler, strong, strongAlt, em, emAlt] = match;
+
+    if (spoiler) {
+      nodes.push(<Spoiler key={key}>{renderInline(spoiler, key)}</Spoiler>);
+    } else if (strong || strongAlt) {
+      nodes.push(<strong key={key}>{renderInline(strong || strongAlt, key)}</strong>);
+    } else {
+      nodes.push(<em key={key}>{renderInline(em || emAlt, key)}</em>);
+    }
+    rest = rest.slice(match.index + match[0].length);
+  }
+
+  return nodes;
+};
+
+// Lines of a paragraph keep their breaks
+const renderLines = (lines, keyPrefix) => lines.flatMap((line, i) => [
+  ...(i > 0 ? [<br key={`${keyPrefix}-br-${i}`} />] : []),
+  ...renderInline(line, `${keyPrefix}-${i}`)
+]);
+
+const BLOCK_TYPES = [
+  { type: 'ul', pattern: /^\s*[-*+]\s+/ },
+  { type: 'ol', pattern: /^\s*\d+[.)]\s+/ },
+  { type: 'quote', pattern: /^\s*>\s?/ }
+];
+
+// Group lines into paragraphs, lists and quotes
+const parseBlocks = (text) => {
+  const blocks = [];
+  text.split('\n').forEach(line => {
+    const last = blocks[blocks.length - 1];
+    if (!line.trim()) {
+      if (last) last.closed = true;
+      return;
+    }
+
+    const { type, pattern } = BLOCK_TYPES.find(block => block.pattern.test(line))
+      || { type: 'p', pattern: null };
+    const content = pattern ? line.replace(pattern, '') : line;
+
+    if (last && !last.closed && last.type === type) {
+      last.lines.push(content);
+    } else {
+      blocks.push({ type, lines: [content], closed: false });
+    }
+  });
+  return blocks;
+};
+
+const renderBlocks = (text, keyPrefix = 'b') => parseBlocks(text).map((block, i) => {
+  const key = `${keyPrefix}-${i}`;
+  switch (block.type) {
+    case 'ul':
+    case 'ol': {
+      const List = block.type;
+      return (
+        <List key={key} className={`${block.type === 'ul' ? 'list-disc' : 'list-decimal'} pl-5`}>
+          {block.lines.map((line, j) => <li key={j}>{renderInline(line, `${key}-${j}`)}</li>)}
+        </List>
+      );
+    }
+    case 'quote':
+      return (
+        <blockquote key={key} className="border-l-4 border-gray-200 pl-3 italic text-gray-600">
+          {renderBlocks(block.lines.join('\n'), key)}
+        </blockquote>
+      );
+    default:
+      return <p key={key}>{renderLines(block.lines, key)}</p>;
+  }
+});
+
+// Review body; reviews flagged as containing spoilers start collapsed
+const ReviewContent = ({ content, containsSpoilers = false }) => {
+  const [revealed, setRevealed] = useState(!containsSpoilers);
+
+  if (!revealed) {
+    return (
+      <div className="flex items-center gap-3 rounded bg-gray-50 p-3 text-sm text-gray-500">
+        This review contains spoilers.
+        <Button type="button" variant="outline" size="sm" onClick={() => setRevealed(true)}>
+          Show review
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-2 text-gray-700">
+      {renderBlocks(content || '')}
+    </div>
+  );
+};
+
+export default ReviewContent;
@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { Textarea } from '@/components/ui/textarea';
+import ReviewContent from './review-content';
+
+const TABS = [
+  { value: 'write', label: 'Write' },
+  { value: 'preview', label: 'Preview' }
+];
+
+// Review text area with a Markdown preview tab and the whole-review spoiler flag
+const ReviewEditor = ({ value, onChange, containsSpoilers, onSpoilersChange }) => {
+  const [tab, setTab] = useState('write');
+
+  return (
+    <div className="space-y-2">
+      <div role="tablist" className="flex gap-1 border-b">
+        {TABS.map(({ value: tabValue, label }) => (
+          <button
+            key={tabValue}
+            type="button"
+            role="tab"
+            aria-selected={tab === tabValue}
+            onClick={() => setTab(tabValue)}
+            className={`-mb-px border-b-2 px-3 py-1 text-sm ${
+              tab === tabValue ? 'border-primary font-medium' : 'border-transparent text-gray-500'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {tab === 'write' ? (
+        <Textarea
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder="Share your thoughts about this book..."
+          rows={4}
+          required
+        />
+      ) : (
+        <div role="tabpanel" className="min-h-[6rem] rounded border p-3">
+          {value.trim()
+            ? <ReviewContent content={value} />
+            : <p className="text-sm text-gray-400">Nothing to preview yet.</p>}
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-gray-500">
+        <span>**bold**, *italic*, - lists, &gt; quotes, ||spoiler||</span>
+        <label className="flex cursor-pointer items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={containsSpoilers}
+            onChange={(e) => onSpoilersChange(e.target.checked)}
+          />
+          Contains spoilers
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default ReviewEditor;
@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { History } from 'lucide-react';
+import ReviewContent from './review-content';
+import { api, unwrap } from '@/lib/api';
+
+// Earlier versions of an edited review; the endpoint is moderator-only
+const ReviewHistory = ({ reviewId }) => {
+  const [open, setOpen] = useState(false);
+  const [revisions, setRevisions] = useState(null);
+  const [error, setError] = useState(null);
+
+  const toggle = async () => {
+    setOpen(o => !o);
+    if (revisions !== null) return;
+
+    try {
+      const data = await unwrap(api.GET('/reviews/{id}/revisions', {
+        params: { path: { id: reviewId } }
+      }));
+      setRevisions(data.revisions);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="mt-2">
+      <button
+        type="button"
+        onClick={toggle}
+        className="flex items-center gap-1 text-xs text-gray-500 hover:text-gray-900"
+        aria-expanded={open}
+      >
+        <History className="h-3 w-3" /> Edit history
+      </button>
+
+      {open && (
+        <div className="mt-2 space-y-3 border-l-2 border-gray-100 pl-3">
+          {error && <p className="text-sm text-red-500">{error}</p>}
+          {revisions?.length === 0 && <p className="text-sm text-gray-500">No earlier versions.</p>}
+          {revisions?.map(revision => (
+            <div key={revision._id} className="text-sm">
+              <div className="text-xs text-gray-500">
+                {revision.rating}/5 • written {new Date(revision.writtenAt).toLocaleString()}
+                {' '}• replaced {new Date(revision.replacedAt).toLocaleString()}
+                {revision.containsSpoilers && ' • marked as spoilers'}
+              </div>
+              <ReviewContent content={revision.content} />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReviewHistory;
@@ -0,0 +1,348 @@
+// routes/reviews.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, query } = require('express-validator');
+const {
+  authenticate,
+  requireRole,
+  reviewValidation,
+  validate,
+  validateObjectId
+} = require('../middleware/auth-middleware');
+const { checkContent } = require('../middleware/content-check');
+const { applyRatingChange, withTransaction } = require('../services/book-stats');
+const { VISIBLE, isVisible, deleteOwnReview, flagForModeration } = require('../services/moderation');
+const { paginateByCursor } = require('../utils/pagination');
+const { NotFoundError, ForbiddenError, ConflictError } = require('../utils/errors');
+
+const Book = mongoose.model('Book');
+const Review = mongoose.model('Review');
+const ReviewVote = mongoose.model('ReviewVote');
+const ReviewRevision = mongoose.model('ReviewRevision');
+
+router.param('id', validateObjectId);
+
+const REVIEW_SORTS = {
+  helpful: { helpfulCount: -1, unhelpfulCount: 1, createdAt: -1 },
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+// Get reviews for a book, by page number or, when `cursor` is passed
+// (empty for the first page), by cursor
+router.get('/', async (req, res, next) => {
+  try {
+    const { bookId, page = 1, limit = 10 } = req.query;
+    const skip = (page - 1) * limit;
+    const sort = REVIEW_SORTS[req.query.sort] ? req.query.sort : 'newest';
+
+    if (req.query.cursor !== undefined) {
+      const { items, nextCursor, prevCursor } = await paginateByCursor(
+        filter => Review.find(filter).populate('userId', 'username'),
+        { bookId, ...VISIBLE },
+        { sortName: sort, sort: REVIEW_SORTS[sort], cursor: req.query.cursor, limit }
+      );
+      return res.json({ reviews: items, nextCursor, prevCursor, sort });
+    }
+
+    const reviews = await Review.find({ bookId, ...VISIBLE })
+      .populate('userId', 'username')
+      .sort(REVIEW_SORTS[sort])
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Review.countDocuments({ bookId, ...VISIBLE });
+
+    res.json({
+      reviews,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      sort
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The current user's votes on a book's reviews, as { reviewId: 'helpful' | 'unhelpful' }
+router.get('/my-votes',
+  authenticate,
+  [query('bookId').isMongoId().withMessage('Invalid book id')],
+  validate,
+  async (req, res, next) => {
+    try {
+      const votes = await ReviewVote.find({
+        bookId: req.query.bookId,
+        userId: req.user.id
+      }).lean();
+
+      res.json(Object.fromEntries(votes.map(vote => [vote.reviewId, vote.value])));
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Counter field for each vote value
+const VOTE_COUNTERS = { helpful: 'helpfulCount', unhelpful: 'unhelpfulCount' };
+
+// Replace the current user's vote on a review (value = null removes it),
+// keeping the review's counters in step within one transaction
+const applyVote = (reviewId, userId, value) => withTransaction(async (session) => {
+  const previous = await ReviewVote.findOne({ reviewId, userId }).session(session);
+  const $inc = {};
+
+  if (previous) {
+    $inc[VOTE_COUNTERS[previous.value]] = -1;
+  }
+  if (value) {
+    $inc[VOTE_COUNTERS[value]] = ($inc[VOTE_COUNTERS[value]] || 0) + 1;
+  }
+
+  if (value && previous) {
+    previous.value = value;
+    await previous.save({ session });
+  } else if (value) {
+    const review = await Review.findById(reviewId).session(session);
+    await ReviewVote.create([{ reviewId, bookId: review.bookId, userId, value }], { session });
+  } else if (previous) {
+    await previous.deleteOne({ session });
+  }
+
+  return Review.findByIdAndUpdate(reviewId, { $inc }, { new: true, session })
+    .select('helpfulCount unhelpfulCount');
+});
+
+// Two votes sent at once (a double click) can both find no previous vote;
+// the second insert then fails on the unique index. Running it again finds
+// the first vote and replaces it, so repeating a vote changes nothing.
+const castVote = async (reviewId, userId, value) => {
+  try {
+    return await applyVote(reviewId, userId, value);
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return applyVote(reviewId, userId, value);
+  }
+};
+
+// Vote a review helpful or unhelpful, one vote per user
+router.put('/:id/vote',
+  authenticate,
+  [body('value').isIn(['helpful', 'unhelpful']).withMessage('Vote must be helpful or unhelpful')],
+  validate,
+  async (req, res, next) => {
+    try {
+      const review = await Review.findOne({ _id: req.params.id, ...VISIBLE });
+      if (!review) {
+        throw new NotFoundError('Review not found');
+      }
+      if (String(review.userId) === String(req.user.id)) {
+        throw new ForbiddenError('You cannot vote on your own review');
+      }
+
+      const counts = await castVote(review._id, req.user.id, req.body.value);
+      res.json({ ...counts.toObject(), vote: req.body.value });
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Withdraw a vote
+router.delete('/:id/vote',
+  authenticate,
+  async (req, res, next) => {
+    try {
+      const review = await Review.findOne({ _id: req.params.id, ...VISIBLE });
+      if (!review) {
+        throw new NotFoundError('Review not found');
+      }
+
+      const counts = await castVote(review._id, req.user.id, null);
+      res.json({ ...counts.toObject(), vote: null });
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Create a new review
+router.post('/', 
+  authenticate, 
+  reviewValidation,
+  validate,
+  checkContent('review'),
+  async (req, res, next) => {
+    try {
+      const { bookId, rating, content, containsSpoilers = false } = req.body;
+
+      // Check if user has already reviewed this book; deleted reviews don't count
+      const existingReview = await Review.findOne({
+        bookId,
+        userId: req.user.id,
+        status: { $ne: 'deleted' }
+      });
+
+      if (existingReview) {
+        throw new ConflictError('You have already reviewed this book');
+      }
+
+      const bookExists = await Book.exists({ _id: bookId });
+      if (!bookExists) {
+        throw new NotFoundError('Book not found');
+      }
+
+      const review = new Review({
+        bookId,
+        userId: req.user.id,
+        rating,
+        content,
+        containsSpoilers
+      });
+
+      // Save the review, update book stats and queue it for moderators if
+      // the content checks flagged it, all together
+      await withTransaction(async (session) => {
+        await review.save({ session });
+        await applyRatingChange(bookId, { added: review.rating }, session);
+        await flagForModeration('review', review._id, req.contentCheck, session);
+      });
+
+      // Populate user data before sending response
+      await review.populate('userId', 'username');
+      res.status(201).json(review);
+    } catch (error) {
+      // The unique (bookId, userId) index catches concurrent duplicate submissions
+      if (error.code === 11000) {
+        return next(new ConflictError('You have already reviewed this book'));
+      }
+      next(error);
+    }
+});
+
+// The current user's review of a book, including one hidden by moderators
+router.get('/mine',
+  authenticate,
+  [query('bookId').isMongoId().withMessage('Invalid book id')],
+  validate,
+  async (req, res, next) => {
+    try {
+      const review = await Review.findOne({
+        bookId: req.query.bookId,
+        userId: req.user.id,
+        status: { $ne: 'deleted' }
+      }).populate('userId', 'username');
+
+      if (!review) {
+        throw new NotFoundError('Review not found');
+      }
+      res.json(review);
+    } catch (error) {
+      next(error);
+    }
+});
+
+// A review's earlier versions, newest first, for moderators
+router.get('/:id/revisions',
+  authenticate,
+  requireRole('moderator', 'admin'),
+  async (req, res, next) => {
+    try {
+      const review = await Review.findById(req.params.id).populate('userId', 'username');
+      if (!review) {
+        throw new NotFoundError('Review not found');
+      }
+
+      const revisions = await ReviewRevision.find({ reviewId: review._id })
+        .sort({ replacedAt: -1 })
+        .lean();
+      res.json({ review, revisions });
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Update a review
+router.put('/:id',
+  authenticate,
+  reviewValidation,
+  validate,
+  checkContent('review'),
+  async (req, res, next) => {
+    try {
+      const { rating, content } = req.body;
+
+      const review = await withTransaction(async (session) => {
+        const current = await Review.findOne({
+          _id: req.params.id,
+          userId: req.user.id,
+          status: { $ne: 'deleted' }
+        }).session(session);
+        if (!current) return null;
+
+        await flagForModeration('review', current._id, req.contentCheck, session);
+
+        // Clients that don't send the flag keep the review's current one
+        const containsSpoilers = req.body.containsSpoilers ?? current.containsSpoilers;
+        const edited = current.rating !== rating
+          || current.content !== content
+          || current.containsSpoilers !== containsSpoilers;
+        if (!edited) return current;
+
+        // Keep the version being replaced for moderators
+        const previousRating = current.rating;
+        await ReviewRevision.create([{
+          reviewId: current._id,
+          userId: current.userId,
+          rating: current.rating,
+          content: current.content,
+          containsSpoilers: current.containsSpoilers,
+          writtenAt: current.editedAt || current.createdAt
+        }], { session });
+
+        current.set({ rating, content, containsSpoilers, editedAt: Date.now(), updatedAt: Date.now() });
+        await current.save({ session });
+
+        // A hidden review stays out of the stats until a moderator restores it
+        if (isVisible(current)) {
+          await applyRatingChange(
+            current.bookId,
+            { added: rating, removed: previousRating },
+            session
+          );
+        }
+        return current;
+      });
+
+      if (!review) {
+        throw new NotFoundError('Review not found');
+      }
+
+      await review.populate('userId', 'username');
+      res.json(review);
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Delete a review. Reviews are soft-deleted so moderators can still see
+// them and the reports filed against them; votes and comments are kept too.
+router.delete('/:id',
+  authenticate,
+  async (req, res, next) => {
+    try {
+      const review = await withTransaction(
+        (session) => deleteOwnReview(req.params.id, req.user.id, session)
+      );
+
+      if (!review) {
+        throw new NotFoundError('Review not found');
+      }
+
+      res.json({ message: 'Review deleted successfully' });
+    } catch (error) {
+      next(error);
+    }
+});
+
+module.exports = router;
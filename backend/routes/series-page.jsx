@@ -0,0 +1,118 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { Star, ChevronLeft, ChevronRight } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import BookCover from './book-cover';
+
+// "Book 3 of 7 in <series>" with links to the neighbouring volumes, from the
+// `seriesNavigation` returned with a book
+export const SeriesNavigation = ({ navigation }) => {
+  if (!navigation) return null;
+
+  const { previous, next } = navigation;
+
+  return (
+    <div className="flex flex-wrap items-center gap-4 text-sm">
+      {previous && (
+        <Link to={`/books/${previous._id}`} className="flex items-center gap-1 hover:underline">
+          <ChevronLeft className="h-4 w-4" />
+          {previous.title}
+        </Link>
+      )}
+      <span className="text-gray-500">
+        Book {navigation.position} of {navigation.total} in{' '}
+        <Link to={`/series/${navigation._id}`} className="font-medium text-gray-700 hover:underline">
+          {navigation.name}
+        </Link>
+      </span>
+      {next && (
+        <Link to={`/books/${next._id}`} className="flex items-center gap-1 hover:underline">
+          {next.title}
+          <ChevronRight className="h-4 w-4" />
+        </Link>
+      )}
+    </div>
+  );
+};
+
+// Series page: description and volumes in reading order
+const SeriesPage = () => {
+  const { id } = useParams();
+  const [series, setSeries] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchSeries = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await fetch(`/api/series/${id}`);
+        if (!response.ok) {
+          throw new Error(response.status === 404 ? 'Series not found' : 'Failed to fetch series');
+        }
+        setSeries(await response.json());
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSeries();
+  }, [id]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center p-8">
+        <div className="h-8 w-8 animate-spin rounded-full border-4 border-primary border-t-transparent" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <Alert variant="destructive">
+        <AlertDescription>{error}</AlertDescription>
+      </Alert>
+    );
+  }
+
+  const total = Math.max(series.volumeCount || 0, series.volumes.length);
+
+  return (
+    <div className="space-y-8">
+      <Card>
+        <CardHeader>
+          <CardTitle>{series.name}</CardTitle>
+          <div className="text-sm text-gray-500">
+            {total} {total === 1 ? 'book' : 'books'}
+            {total > series.volumes.length && ` • ${series.volumes.length} in the catalog`}
+          </div>
+        </CardHeader>
+        {series.description && (
+          <CardContent>
+            <p className="whitespace-pre-line text-gray-700">{series.description}</p>
+          </CardContent>
+        )}
+      </Card>
+
+      <div className="grid grid-cols-2 gap-4 md:grid-cols-4 lg:grid-cols-6">
+        {series.volumes.map(volume => (
+          <Link key={volume._id} to={`/books/${volume._id}`} className="space-y-1">
+            <BookCover book={volume} />
+            <div className="text-xs text-gray-500">Book {volume.series.position}</div>
+            <div className="line-clamp-2 text-sm font-medium">{volume.title}</div>
+            <div className="flex items-center gap-1 text-xs text-gray-500">
+              <Star className="h-3 w-3 fill-yellow-400 text-yellow-400" />
+              {(volume.rating || 0).toFixed(1)} ({volume.reviewCount || 0})
+            </div>
+          </Link>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SeriesPage;
@@ -0,0 +1,97 @@
+// routes/series.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const {
+  authenticate,
+  requireRole,
+  seriesValidation,
+  seriesUpdateValidation,
+  validate,
+  validateObjectId
+} = require('../middleware/auth-middleware');
+const { seriesVolumes } = require('../services/series');
+const { NotFoundError } = require('../utils/errors');
+
+const Series = mongoose.model('Series');
+const Book = mongoose.model('Book');
+
+router.param('id', validateObjectId);
+
+const SERIES_FIELDS = ['name', 'description', 'volumeCount'];
+
+const pickSeriesFields = (source) => SERIES_FIELDS.reduce((fields, field) => {
+  if (source[field] !== undefined) fields[field] = source[field];
+  return fields;
+}, {});
+
+// A series with its volumes in reading order
+router.get('/:id', async (req, res, next) => {
+  try {
+    const series = await Series.findById(req.params.id).lean();
+    if (!series) {
+      throw new NotFoundError('Series not found');
+    }
+
+    const volumes = await seriesVolumes(series._id);
+    res.json({ ...series, volumes });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a series; volumes are added by setting `series` on each book
+router.post('/',
+  authenticate,
+  requireRole('editor', 'admin'),
+  seriesValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const series = await Series.create(pickSeriesFields(req.body));
+      res.status(201).json(series);
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Update a series
+router.patch('/:id',
+  authenticate,
+  requireRole('editor', 'admin'),
+  seriesUpdateValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const series = await Series.findById(req.params.id);
+      if (!series) {
+        throw new NotFoundError('Series not found');
+      }
+
+      series.set(pickSeriesFields(req.body));
+      await series.save();
+      res.json(series);
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Delete a series; its books stay but are no longer volumes
+router.delete('/:id',
+  authenticate,
+  requireRole('editor', 'admin'),
+  async (req, res, next) => {
+    try {
+      const series = await Series.findByIdAndDelete(req.params.id);
+      if (!series) {
+        throw new NotFoundError('Series not found');
+      }
+
+      await Book.updateMany({ 'series.seriesId': series._id }, { $unset: { series: '' } });
+      res.json({ message: 'Series deleted successfully' });
+    } catch (error) {
+      next(error);
+    }
+});
+
+module.exports = router;
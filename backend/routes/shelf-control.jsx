@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { BookMarked } from 'lucide-react';
+import { useAuth } from '../context/auth';
+import { Input } from '@/components/ui/input';
+import { Button } from '@/components/ui/button';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { api, unwrap } from '@/lib/api';
+
+export const SHELF_STATUS_LABELS = {
+  'want-to-read': 'Want to Read',
+  reading: 'Reading',
+  read: 'Read'
+};
+
+// "Add to shelf" control for one book: status, custom shelves and reading progress
+const ShelfControl = ({ bookId }) => {
+  const navigate = useNavigate();
+  const { state: authState } = useAuth();
+  const [entry, setEntry] = useState(null);
+  const [shelves, setShelves] = useState([]);
+  const [newShelf, setNewShelf] = useState('');
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!authState.user) return;
+
+    const fetchShelves = async () => {
+      try {
+        const [shelved, data] = await Promise.all([
+          unwrap(api.GET('/users/me/shelves/books/{bookId}', {
+            params: { path: { bookId } }
+          })).catch(err => {
+            // 404 just means the book isn't shelved yet
+            if (err.status === 404) return null;
+            throw err;
+          }),
+          unwrap(api.GET('/users/me/shelves'))
+        ]);
+
+        setEntry(shelved);
+        setShelves(data.shelves);
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+
+    fetchShelves();
+  }, [bookId, authState.user]);
+
+  const saveEntry = async (changes) => {
+    try {
+      setSaving(true);
+      setError(null);
+      const data = await unwrap(api.PUT('/users/me/shelves/books/{bookId}', {
+        params: { path: { bookId } },
+        body: {
+          status: entry?.status || 'want-to-read',
+          shelves: entry?.shelves || [],
+          ...changes
+        }
+      }));
+      setEntry(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const removeEntry = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      await unwrap(api.DELETE('/users/me/shelves/books/{bookId}', {
+        params: { path: { bookId } }
+      }));
+      setEntry(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleShelf = (shelfId) => {
+    const current = entry?.shelves || [];
+    saveEntry({
+      shelves: current.includes(shelfId)
+        ? current.filter(id => id !== shelfId)
+        : [...current, shelfId]
+    });
+  };
+
+  const createShelf = async (e) => {
+    e.preventDefault();
+    if (!newShelf.trim()) return;
+
+    try {
+      setError(null);
+      const data = await unwrap(api.POST('/users/me/shelves', {
+        body: { name: newShelf }
+      }));
+
+      setShelves(prev => [...prev, data]);
+      setNewShelf('');
+      toggleShelf(data._id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!authState.user) {
+    return (
+      <Button
+        variant="outline"
+        onClick={() => navigate('/login', { state: { redirect: `/books/${bookId}` } })}
+      >
+        <BookMarked className="mr-2 h-4 w-4" /> Add to shelf
+      </Button>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <Select
+          value={entry?.status || ''}
+          onValueChange={(status) => saveEntry({ status })}
+          disabled={saving}
+        >
+          <SelectTrigger className="w-[180px]">
+            <SelectValue placeholder="Add to shelf" />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(SHELF_STATUS_LABELS).map(([value, label]) => (
+              <SelectItem key={value} value={value}>
+                {label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        {entry && (
+          <Button variant="ghost" size="sm" onClick={removeEntry} disabled={saving}>
+            Remove
+          </Button>
+        )}
+      </div>
+
+      {entry?.status === 'reading' && (
+        <label className="flex items-center gap-2 text-sm">
+          Progress
+          <input
+            type="range"
+            min="0"
+            max="100"
+            step="5"
+            defaultValue={entry.progress}
+            onMouseUp={(e) => saveEntry({ progress: Number(e.target.value) })}
+            onKeyUp={(e) => saveEntry({ progress: Number(e.target.value) })}
+          />
+          <span className="w-10 text-gray-500">{entry.progress}%</span>
+        </label>
+      )}
+
+      {entry && (
+        <div className="space-y-1 text-sm">
+          {shelves.map(shelf => (
+            <label key={shelf._id} className="flex cursor-pointer items-center gap-2">
+              <input
+                type="checkbox"
+                checked={entry.shelves.includes(shelf._id)}
+                onChange={() => toggleShelf(shelf._id)}
+                disabled={saving}
+              />
+              {shelf.name}
+            </label>
+          ))}
+          <form onSubmit={createShelf} className="flex gap-2 pt-1">
+            <Input
+              type="text"
+              placeholder="New shelf"
+              value={newShelf}
+              onChange={(e) => setNewShelf(e.target.value)}
+              className="h-8"
+            />
+            <Button type="submit" size="sm" variant="outline">Add</Button>
+          </form>
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-500">{error}</p>}
+    </div>
+  );
+};
+
+export default ShelfControl;
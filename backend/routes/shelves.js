@@ -0,0 +1,289 @@
+// routes/shelves.js
+// Mounted by routes/users.js, so paths are relative to /api/users
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const {
+  authenticate,
+  shelfValidation,
+  shelfEntryValidation,
+  validate,
+  validateObjectId
+} = require('../middleware/auth-middleware');
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError
+} = require('../utils/errors');
+
+const User = mongoose.model('User');
+const Book = mongoose.model('Book');
+const Shelf = mongoose.model('Shelf');
+const ShelfEntry = mongoose.model('ShelfEntry');
+
+router.param('id', validateObjectId);
+router.param('bookId', validateObjectId);
+router.param('shelfId', validateObjectId);
+
+const STATUSES = ['want-to-read', 'reading', 'read'];
+
+// Counts per reading status plus the user's custom shelves with their counts
+const shelfSummary = async (userId) => {
+  const id = new mongoose.Types.ObjectId(String(userId));
+
+  const [statusCounts, shelves, shelfCounts] = await Promise.all([
+    ShelfEntry.aggregate([
+      { $match: { userId: id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    Shelf.find({ userId: id }).sort({ name: 1 }).lean(),
+    ShelfEntry.aggregate([
+      { $match: { userId: id } },
+      { $unwind: '$shelves' },
+      { $group: { _id: '$shelves', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const countFor = (counts, key) =>
+    counts.find(count => String(count._id) === String(key))?.count || 0;
+
+  return {
+    statuses: STATUSES.map(status => ({ status, count: countFor(statusCounts, status) })),
+    shelves: shelves.map(shelf => ({ ...shelf, count: countFor(shelfCounts, shelf._id) }))
+  };
+};
+
+// Paginated books on one status or custom shelf
+const listShelfBooks = async (userId, { status, shelf, page = 1, limit = 20 }) => {
+  const query = { userId };
+  if (status) query.status = status;
+  if (shelf) query.shelves = shelf;
+
+  const skip = (page - 1) * limit;
+  const [entries, total] = await Promise.all([
+    ShelfEntry.find(query)
+      .populate('bookId', 'title author coverImage coverThumbnail rating reviewCount')
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    ShelfEntry.countDocuments(query)
+  ]);
+
+  return {
+    entries,
+    totalPages: Math.ceil(total / limit),
+    currentPage: parseInt(page)
+  };
+};
+
+const invalidShelfQuery = ({ status, shelf }) =>
+  (status && !STATUSES.includes(status)) || (shelf && !mongoose.isValidObjectId(shelf));
+
+// Current user's shelves
+router.get('/me/shelves', authenticate, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('shelvesPublic');
+    const summary = await shelfSummary(req.user.id);
+    res.json({ ...summary, shelvesPublic: user ? user.shelvesPublic : true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a custom shelf
+router.post('/me/shelves',
+  authenticate,
+  shelfValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const shelf = await Shelf.create({ userId: req.user.id, name: req.body.name });
+      res.status(201).json(shelf);
+    } catch (error) {
+      if (error.code === 11000) {
+        return next(new ConflictError('You already have a shelf with this name'));
+      }
+      next(error);
+    }
+});
+
+// List books on a status (?status=reading) or custom shelf (?shelf=<id>)
+router.get('/me/shelves/books', authenticate, async (req, res, next) => {
+  try {
+    if (invalidShelfQuery(req.query)) {
+      throw new BadRequestError('Invalid status or shelf');
+    }
+    res.json(await listShelfBooks(req.user.id, req.query));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the current user's entry for a book
+router.get('/me/shelves/books/:bookId', authenticate, async (req, res, next) => {
+  try {
+    const entry = await ShelfEntry.findOne({
+      userId: req.user.id,
+      bookId: req.params.bookId
+    });
+    if (!entry) {
+      throw new NotFoundError('Book is not on your shelves');
+    }
+    res.json(entry);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add a book to the shelves or update its status, shelves, dates and progress
+router.put('/me/shelves/books/:bookId',
+  authenticate,
+  shelfEntryValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const { bookId } = req.params;
+      const bookExists = await Book.exists({ _id: bookId });
+      if (!bookExists) {
+        throw new NotFoundError('Book not found');
+      }
+
+      const { status, shelves, progress, startedAt, finishedAt } = req.body;
+
+      // Only the user's own shelves can be referenced
+      if (shelves && shelves.length > 0) {
+        const owned = await Shelf.countDocuments({ _id: { $in: shelves }, userId: req.user.id });
+        if (owned !== new Set(shelves).size) {
+          throw new BadRequestError('Unknown shelf');
+        }
+      }
+
+      const existing = await ShelfEntry.findOne({ userId: req.user.id, bookId });
+      const entry = existing || new ShelfEntry({ userId: req.user.id, bookId });
+
+      entry.status = status;
+      if (shelves !== undefined) entry.shelves = [...new Set(shelves)];
+      if (progress !== undefined) entry.progress = progress;
+      if (startedAt !== undefined) entry.startedAt = startedAt;
+      if (finishedAt !== undefined) entry.finishedAt = finishedAt;
+
+      // Fill in the obvious dates and progress when the status moves forward
+      if (status !== 'want-to-read' && !entry.startedAt) {
+        entry.startedAt = Date.now();
+      }
+      if (status === 'read') {
+        if (!entry.finishedAt) entry.finishedAt = Date.now();
+        if (progress === undefined) entry.progress = 100;
+      }
+
+      entry.updatedAt = Date.now();
+      await entry.save();
+
+      res.status(existing ? 200 : 201).json(entry);
+    } catch (error) {
+      if (error.code === 11000) {
+        return next(new ConflictError('Book was shelved concurrently, please retry'));
+      }
+      next(error);
+    }
+});
+
+// Remove a book from all shelves
+router.delete('/me/shelves/books/:bookId', authenticate, async (req, res, next) => {
+  try {
+    const entry = await ShelfEntry.findOneAndDelete({
+      userId: req.user.id,
+      bookId: req.params.bookId
+    });
+    if (!entry) {
+      throw new NotFoundError('Book is not on your shelves');
+    }
+    res.json({ message: 'Book removed from shelves' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Rename a custom shelf
+router.patch('/me/shelves/:shelfId',
+  authenticate,
+  shelfValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const shelf = await Shelf.findOneAndUpdate(
+        { _id: req.params.shelfId, userId: req.user.id },
+        { name: req.body.name },
+        { new: true, runValidators: true }
+      );
+      if (!shelf) {
+        throw new NotFoundError('Shelf not found');
+      }
+      res.json(shelf);
+    } catch (error) {
+      if (error.code === 11000) {
+        return next(new ConflictError('You already have a shelf with this name'));
+      }
+      next(error);
+    }
+});
+
+// Delete a custom shelf; its books keep their status and other shelves
+router.delete('/me/shelves/:shelfId', authenticate, async (req, res, next) => {
+  try {
+    const shelf = await Shelf.findOneAndDelete({
+      _id: req.params.shelfId,
+      userId: req.user.id
+    });
+    if (!shelf) {
+      throw new NotFoundError('Shelf not found');
+    }
+
+    await ShelfEntry.updateMany(
+      { userId: req.user.id, shelves: shelf._id },
+      { $pull: { shelves: shelf._id } }
+    );
+    res.json({ message: 'Shelf deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Load another user for the public shelf views, honouring their privacy setting
+const findPublicShelfOwner = async (req) => {
+  const user = await User.findById(req.params.id).select('shelvesPublic');
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+  if (!user.shelvesPublic) {
+    throw new ForbiddenError('This user keeps their shelves private', 'shelves_private');
+  }
+  return user;
+};
+
+// Another user's shelves
+router.get('/:id/shelves', async (req, res, next) => {
+  try {
+    const user = await findPublicShelfOwner(req);
+
+    res.json(await shelfSummary(user._id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id/shelves/books', async (req, res, next) => {
+  try {
+    const user = await findPublicShelfOwner(req);
+
+    if (invalidShelfQuery(req.query)) {
+      throw new BadRequestError('Invalid status or shelf');
+    }
+    res.json(await listShelfBooks(user._id, req.query));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
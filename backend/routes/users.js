@@ -0,0 +1,204 @@
+// routes/users.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const {
+  authenticate,
+  profileValidation,
+  changePasswordValidation,
+  validate,
+  validateObjectId
+} = require('../middleware/auth-middleware');
+const { imageUpload } = require('../middleware/upload');
+const { saveImageVariants, removeImages } = require('../services/images');
+const shelfRoutes = require('./shelves');
+const { recommendationsForUser } = require('../services/recommendations');
+const { VISIBLE } = require('../services/moderation');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const User = mongoose.model('User');
+const Review = mongoose.model('Review');
+const RefreshToken = mongoose.model('RefreshToken');
+
+router.param('id', validateObjectId);
+
+// Fields safe to show to anyone
+const PUBLIC_PROFILE_FIELDS = 'username profilePicture profileThumbnail bio shelvesPublic createdAt';
+
+// Reading shelves: /me/shelves... and /:id/shelves...
+router.use(shelfRoutes);
+
+// Update the current user's profile
+router.patch('/me',
+  authenticate,
+  profileValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const updates = {};
+      ['username', 'bio', 'profilePicture', 'shelvesPublic'].forEach(field => {
+        if (req.body[field] !== undefined) updates[field] = req.body[field];
+      });
+
+      const current = await User.findById(req.user.id).select('profilePicture profileThumbnail');
+      if (!current) {
+        throw new NotFoundError('User not found');
+      }
+
+      // Only a different avatar URL replaces the current avatar, uploaded
+      // thumbnail included; sending the current one back changes nothing
+      if (updates.profilePicture === (current.profilePicture || '')) {
+        delete updates.profilePicture;
+      }
+      const avatarReplaced = updates.profilePicture !== undefined;
+      if (avatarReplaced) {
+        updates.$unset = { profileThumbnail: '' };
+      }
+
+      if (updates.username) {
+        const taken = await User.exists({
+          username: updates.username,
+          _id: { $ne: req.user.id }
+        });
+        if (taken) {
+          throw new ConflictError('Username is already taken');
+        }
+      }
+
+      const user = await User.findByIdAndUpdate(req.user.id, updates, {
+        new: true,
+        runValidators: true
+      }).select('-password');
+
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+      if (avatarReplaced) {
+        await removeImages('avatar', user._id, current.profilePicture, current.profileThumbnail);
+      }
+      res.json(user);
+    } catch (error) {
+      // Lost a race with another rename to the same username
+      if (error.code === 11000) {
+        return next(new ConflictError('Username is already taken'));
+      }
+      next(error);
+    }
+});
+
+// Upload an avatar, stored as thumbnail and full size
+router.post('/me/avatar',
+  authenticate,
+  imageUpload('avatar'),
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user.id).select('-password');
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+
+      const previous = [user.profilePicture, user.profileThumbnail];
+      const { full, thumbnail } = await saveImageVariants(req.file.buffer, 'avatar', user._id);
+
+      user.profilePicture = full;
+      user.profileThumbnail = thumbnail;
+      await user.save();
+      await removeImages('avatar', user._id, ...previous);
+
+      res.json(user);
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Personal book recommendations
+router.get('/me/recommendations', authenticate, async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 12, 50);
+    const books = await recommendationsForUser(req.user.id, limit);
+    res.json({ books });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change password, requires the current one
+router.post('/me/change-password',
+  authenticate,
+  changePasswordValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user.id);
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+
+      const isMatch = await bcrypt.compare(req.body.currentPassword, user.password);
+      if (!isMatch) {
+        throw new ValidationError([{
+          field: 'currentPassword',
+          location: 'body',
+          message: 'Current password is incorrect'
+        }]);
+      }
+
+      const salt = await bcrypt.genSalt(10);
+      user.password = await bcrypt.hash(req.body.newPassword, salt);
+      await user.save();
+
+      // Keep this session, sign out everywhere else
+      await RefreshToken.updateMany(
+        { userId: user._id, family: { $ne: req.user.family }, revokedAt: null },
+        { revokedAt: Date.now() }
+      );
+
+      res.json({ message: 'Password changed successfully' });
+    } catch (error) {
+      next(error);
+    }
+});
+
+// Get a public profile
+router.get('/:id', async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id).select(PUBLIC_PROFILE_FIELDS).lean();
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const reviewCount = await Review.countDocuments({ userId: user._id, ...VISIBLE });
+    res.json({ ...user, reviewCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a user's reviews, newest first
+router.get('/:id/reviews', async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const skip = (page - 1) * limit;
+    const query = { userId: req.params.id, ...VISIBLE };
+
+    const [reviews, total] = await Promise.all([
+      Review.find(query)
+        .populate('bookId', 'title author')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Review.countDocuments(query)
+    ]);
+
+    res.json({
+      reviews,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,25 @@
+// scripts/compute-recommendations.js
+// Usage: node scripts/compute-recommendations.js
+// Precomputes item-item similarities; schedule it (e.g. nightly cron)
+require('dotenv').config();
+const mongoose = require('mongoose');
+require('../models'); // registers the models
+const { computeItemSimilarities } = require('../services/recommendations');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const started = Date.now();
+  const { users, pairs, books } = await computeItemSimilarities();
+  console.log(
+    `Processed ${users} reviewers and ${pairs} co-rated pairs, ` +
+    `stored neighbours for ${books} books in ${Date.now() - started}ms`
+  );
+};
+
+run()
+  .catch(err => {
+    console.error('Computing recommendations failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,47 @@
+// scripts/export-catalog.js
+// Usage: node scripts/export-catalog.js <books|reviews> [--format csv|jsonl] [--out <file>]
+// Writes to stdout unless --out is given.
+require('dotenv').config();
+const fs = require('fs');
+const { finished } = require('stream/promises');
+const mongoose = require('mongoose');
+require('../models'); // registers the models
+const { EXPORT_FORMATS, exportBooks, exportReviews } = require('../services/exports');
+
+const exporters = {
+  books: exportBooks,
+  reviews: exportReviews
+};
+
+const option = (name) => {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > -1 ? process.argv[i + 1] : undefined;
+};
+
+const run = async () => {
+  const kind = process.argv[2];
+  const format = option('format') || 'csv';
+  if (!exporters[kind] || !EXPORT_FORMATS.includes(format)) {
+    throw new Error('Usage: node scripts/export-catalog.js <books|reviews> [--format csv|jsonl] [--out <file>]');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const out = option('out');
+  const stream = out ? fs.createWriteStream(out) : process.stdout;
+  const count = await exporters[kind](format, stream);
+
+  if (out) {
+    stream.end();
+    await finished(stream);
+  }
+  // stdout may be the export itself
+  console.error(`Exported ${count} ${kind}`);
+};
+
+run()
+  .catch(err => {
+    console.error('Export failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
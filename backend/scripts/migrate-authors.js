@@ -0,0 +1,28 @@
+// scripts/migrate-authors.js
+// Usage: node scripts/migrate-authors.js [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+require('../models'); // registers the models
+const { migrateBookAuthors } = require('../services/authors');
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  const report = await migrateBookAuthors({ dryRun });
+
+  report.merged.forEach(({ name, aliases }) => {
+    console.log(`"${name}" also written as ${aliases.map(alias => `"${alias}"`).join(', ')}`);
+  });
+  console.log(
+    `${report.books} books without linked authors, ${report.authors} distinct authors` +
+    (dryRun ? ' (dry run, nothing written)' : `, ${report.updated} books updated`)
+  );
+};
+
+run()
+  .catch(err => {
+    console.error('Author migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,31 @@
+// scripts/reconcile-book-stats.js
+// Usage: node scripts/reconcile-book-stats.js [--fix]
+require('dotenv').config();
+const mongoose = require('mongoose');
+require('../models'); // registers the models
+const { reconcileBookStats } = require('../services/book-stats');
+
+const run = async () => {
+  const fix = process.argv.includes('--fix');
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  const report = await reconcileBookStats({ fix });
+
+  report.drifted.forEach(({ bookId, title, stored, actual }) => {
+    console.log(
+      `${bookId} "${title}": stored ${stored.reviewCount} reviews / ${stored.rating}, ` +
+      `actual ${actual.reviewCount} reviews / ${actual.rating}`
+    );
+  });
+  console.log(
+    `Checked ${report.checked} books, ${report.drifted.length} drifted` +
+    (fix ? `, ${report.fixed} fixed` : ' (run with --fix to repair)')
+  );
+};
+
+run()
+  .catch(err => {
+    console.error('Reconciliation failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
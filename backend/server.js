@@ -1,12 +1,24 @@
 // backend/server.js
 require('dotenv').config();
+const path = require('path');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+// Registers the models the routes look up
+require('./models');
 const bookRoutes = require('./routes/books');
 const reviewRoutes = require('./routes/reviews');
 const userRoutes = require('./routes/users');
 const authRoutes = require('./routes/auth');
+const commentRoutes = require('./routes/comments');
+const moderationRoutes = require('./routes/moderation');
+const authorRoutes = require('./routes/authors');
+const seriesRoutes = require('./routes/series');
+const importRoutes = require('./routes/imports');
+const exportRoutes = require('./routes/exports');
+const metadataRoutes = require('./routes/metadata');
+const { apiDocs, validateAgainstSpec } = require('./middleware/openapi');
+const { NotFoundError, toApiError, toProblem } = require('./utils/errors');
 
 const app = express();
 
@@ -14,24 +26,58 @@ const app = express();
 app.use(cors());
 app.use(express.json());
 
-// Connect to MongoDB
-mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('Connected to MongoDB'))
-  .catch(err => console.error('MongoDB connection error:', err));
+// Uploaded images when using the local storage driver
+app.use('/uploads', express.static(
+  process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'),
+  { maxAge: '1y', immutable: true }
+));
+
+// API reference, generated from openapi.yaml
+app.use('/api/docs', apiDocs);
+
+// Hold requests and responses to the spec while testing
+if (process.env.NODE_ENV === 'test') {
+  app.use(validateAgainstSpec);
+}
 
 // Routes
 app.use('/api/books', bookRoutes);
 app.use('/api/reviews', reviewRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/comments', commentRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/authors', authorRoutes);
+app.use('/api/series', seriesRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/exports', exportRoutes);
+app.use('/api/metadata', metadataRoutes);
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ error: 'Something went wrong!' });
+app.use('/api', (req, res, next) => {
+  next(new NotFoundError(`No route for ${req.method} ${req.originalUrl}`, 'route_not_found'));
 });
 
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+// Error handling middleware: every error leaves as application/problem+json
+app.use((err, req, res, next) => {
+  const error = toApiError(err);
+  if (error.status >= 500) console.error(err.stack);
+
+  res.status(error.status)
+    .type('application/problem+json')
+    .json(toProblem(error, req.originalUrl));
 });
+
+// Started directly, connect and listen; the route tests require the app
+// and connect to their own database
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => console.log('Connected to MongoDB'))
+    .catch(err => console.error('MongoDB connection error:', err));
+
+  const PORT = process.env.PORT || 5000;
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+}
+
+module.exports = app;
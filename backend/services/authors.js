@@ -0,0 +1,216 @@
+// services/authors.js
+const mongoose = require('mongoose');
+const { BadRequestError } = require('../utils/errors');
+
+const Author = () => mongoose.model('Author');
+const Book = () => mongoose.model('Book');
+
+// Names in a free-text author field are separated by ";", "&" or "and",
+// e.g. "Neil Gaiman & Terry Pratchett". Commas are left alone since they
+// also invert names ("Tolkien, J.R.R.").
+const AUTHOR_SEPARATOR = /\s*(?:;|&|\band\b)\s*/i;
+
+// Split a free-text author field into names
+const splitAuthorNames = (value) => String(value)
+  .split(AUTHOR_SEPARATOR)
+  .map(name => name.trim())
+  .filter(Boolean);
+
+// Comparison key for author names: case, accents and punctuation are ignored,
+// runs of initials are joined ("J. R. R." and "J.R.R." both become "jrr") and
+// an inverted "Tolkien, J.R.R." is read as "J.R.R. Tolkien". Only a single
+// name is inverted; a value listing several keeps its order.
+const normalizeAuthorName = (name) => {
+  const parts = String(name).split(',');
+  const inverted = parts.length === 2 && splitAuthorNames(name).length === 1;
+  const ordered = inverted ? `${parts[1]} ${parts[0]}` : String(name);
+
+  const tokens = ordered
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  return tokens.reduce((merged, token, i) => {
+    const previous = tokens[i - 1];
+    if (token.length === 1 && previous && previous.length === 1) {
+      merged[merged.length - 1] += token;
+    } else {
+      merged.push(token);
+    }
+    return merged;
+  }, []).join(' ');
+};
+
+// Ids are sent as 24 hex characters; anything else is a name
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+
+// Text stored on the book for display, search and sorting
+const authorDisplayName = (authors) => authors.map(author => author.name).join('; ');
+
+// Resolve author names or Author ids to documents, creating authors for names
+// that don't match anyone. A new spelling of a known author is recorded as an
+// alias so later imports match it directly. Pass a session to create them
+// inside a transaction.
+const resolveAuthors = async (values, session) => {
+  const resolved = [];
+
+  for (const value of values) {
+    let author = null;
+    if (OBJECT_ID.test(value)) {
+      author = await Author().findById(value).session(session);
+      if (!author) {
+        throw new BadRequestError(`Author not found: ${value}`, 'author_not_found');
+      }
+    } else {
+      const name = String(value).trim();
+      author = await Author().findOne({ normalizedNames: normalizeAuthorName(name) }).session(session);
+      if (!author) {
+        [author] = await Author().create([{ name }], { session });
+      } else if (author.name !== name && !author.aliases.includes(name)) {
+        author.aliases.push(name);
+        await author.save({ session });
+      }
+    }
+
+    if (!resolved.some(existing => existing._id.equals(author._id))) {
+      resolved.push(author);
+    }
+  }
+
+  return resolved;
+};
+
+// Book fields for the given request body: `authors` (names or ids) wins over
+// the free-text `author`. Returns {} when neither was sent.
+const bookAuthorFields = async ({ authors, author }, session) => {
+  const values = Array.isArray(authors) && authors.length > 0
+    ? authors
+    : author ? splitAuthorNames(author) : [];
+  if (values.length === 0) return {};
+
+  const resolved = await resolveAuthors(values, session);
+  return {
+    authors: resolved.map(a => a._id),
+    author: authorDisplayName(resolved)
+  };
+};
+
+// Rewrite the display name on every book by an author, after a rename or merge
+const refreshBookAuthorNames = async (authorId) => {
+  const books = await Book().find({ authors: authorId }).select('authors').populate('authors', 'name');
+  if (books.length === 0) return 0;
+
+  await Book().bulkWrite(books.map(book => ({
+    updateOne: {
+      filter: { _id: book._id },
+      update: { $set: { author: authorDisplayName(book.authors) } }
+    }
+  })));
+  return books.length;
+};
+
+// Fold a duplicate author into another: books move over, the duplicate's
+// names become aliases and the duplicate is removed
+const mergeAuthors = async (targetId, sourceId) => {
+  const [target, source] = await Promise.all([
+    Author().findById(targetId),
+    Author().findById(sourceId)
+  ]);
+  if (!target || !source) return null;
+
+  // Books listing both keep a single reference
+  await Book().updateMany(
+    { authors: { $all: [source._id, target._id] } },
+    { $pull: { authors: source._id } }
+  );
+  await Book().updateMany(
+    { authors: source._id },
+    { $set: { 'authors.$': target._id } }
+  );
+
+  target.aliases = [...new Set([...target.aliases, source.name, ...source.aliases])]
+    .filter(alias => alias !== target.name);
+  ['bio', 'photo', 'birthYear', 'deathYear'].forEach(field => {
+    if (target[field] == null && source[field] != null) target[field] = source[field];
+  });
+  await target.save();
+  await source.deleteOne();
+  await refreshBookAuthorNames(target._id);
+
+  return target;
+};
+
+// One-off migration from free-text authors. Books without `authors` are split
+// into names, names are grouped by their comparison key and each group becomes
+// one author, named after its most common spelling with the rest as aliases.
+// With dryRun nothing is written and the planned groups are returned.
+const migrateBookAuthors = async ({ dryRun = false } = {}) => {
+  const pending = { $or: [{ authors: { $exists: false } }, { authors: { $size: 0 } }] };
+  const books = await Book().find(pending).select('author').lean();
+
+  // key -> Map(spelling -> count)
+  const groups = new Map();
+  books.forEach(book => splitAuthorNames(book.author || '').forEach(name => {
+    const key = normalizeAuthorName(name);
+    if (!groups.has(key)) groups.set(key, new Map());
+    const spellings = groups.get(key);
+    spellings.set(name, (spellings.get(name) || 0) + 1);
+  }));
+
+  const plan = [...groups].map(([key, spellings]) => {
+    const [name, ...aliases] = [...spellings]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([spelling]) => spelling);
+    return { key, name, aliases };
+  });
+
+  const report = { books: books.length, authors: plan.length, merged: plan.filter(p => p.aliases.length > 0) };
+  if (dryRun) return report;
+
+  const authorByKey = new Map();
+  for (const { key, name, aliases } of plan) {
+    let author = await Author().findOne({ normalizedNames: key });
+    if (!author) {
+      author = new Author({ name, aliases });
+    } else {
+      author.aliases = [...new Set([...author.aliases, name, ...aliases])]
+        .filter(alias => alias !== author.name);
+    }
+    await author.save();
+    authorByKey.set(key, author);
+  }
+
+  const operations = books.map(book => {
+    const authors = [...new Map(
+      splitAuthorNames(book.author || '')
+        .map(name => authorByKey.get(normalizeAuthorName(name)))
+        .map(author => [String(author._id), author])
+    ).values()];
+
+    return {
+      updateOne: {
+        filter: { _id: book._id },
+        update: { $set: { authors: authors.map(a => a._id), author: authorDisplayName(authors) } }
+      }
+    };
+  }).filter(op => op.updateOne.update.$set.authors.length > 0);
+
+  if (operations.length > 0) {
+    await Book().bulkWrite(operations, { ordered: false });
+  }
+  return { ...report, updated: operations.length };
+};
+
+module.exports = {
+  normalizeAuthorName,
+  splitAuthorNames,
+  authorDisplayName,
+  resolveAuthors,
+  bookAuthorFields,
+  refreshBookAuthorNames,
+  mergeAuthors,
+  migrateBookAuthors
+};
@@ -0,0 +1,165 @@
+// services/book-stats.js
+const mongoose = require('mongoose');
+
+const Book = () => mongoose.model('Book');
+const Review = () => mongoose.model('Review');
+
+const STARS = [1, 2, 3, 4, 5];
+
+// Reviews that count towards a book's stats and appear publicly. Hidden and
+// deleted ones don't; $nin keeps reviews written before moderation counting.
+const VISIBLE = { status: { $nin: ['hidden', 'deleted'] } };
+
+// Bayesian prior: every book starts as if it had PRIOR_WEIGHT reviews at PRIOR_MEAN,
+// so a single 5-star review can't outrank hundreds of 4.6 averages
+const PRIOR_MEAN = parseFloat(process.env.RATING_PRIOR_MEAN || '3');
+const PRIOR_WEIGHT = parseFloat(process.env.RATING_PRIOR_WEIGHT || '10');
+
+const weightedRating = (ratingSum, reviewCount) =>
+  (PRIOR_WEIGHT * PRIOR_MEAN + ratingSum) / (PRIOR_WEIGHT + reviewCount);
+
+// Stage that derives the mean and weighted ratings from the stored sum and count
+const deriveRatingStage = {
+  $set: {
+    rating: {
+      $cond: [
+        { $gt: ['$reviewCount', 0] },
+        { $divide: ['$ratingSum', '$reviewCount'] },
+        0
+      ]
+    },
+    weightedRating: {
+      $divide: [
+        { $add: [PRIOR_WEIGHT * PRIOR_MEAN, '$ratingSum'] },
+        { $add: [PRIOR_WEIGHT, '$reviewCount'] }
+      ]
+    },
+    updatedAt: '$$NOW'
+  }
+};
+
+// Atomically apply a review write to a book's rating stats.
+// `added` is the rating entering the aggregate, `removed` the one leaving it
+// (both for an edit), so no write ever needs to re-read the book's reviews.
+const applyRatingChange = (bookId, { added = null, removed = null }, session) => {
+  const sumDelta = (added || 0) - (removed || 0);
+  const countDelta = (added !== null ? 1 : 0) - (removed !== null ? 1 : 0);
+
+  // Per-star counts only change for the star levels involved
+  const distribution = {};
+  STARS.forEach(star => {
+    const delta = (added === star ? 1 : 0) - (removed === star ? 1 : 0);
+    if (delta !== 0) {
+      const path = `ratingDistribution.${star}`;
+      distribution[path] = { $add: [{ $ifNull: [`$${path}`, 0] }, delta] };
+    }
+  });
+
+  return Book().updateOne(
+    { _id: bookId },
+    [
+      {
+        $set: {
+          ratingSum: { $add: [{ $ifNull: ['$ratingSum', 0] }, sumDelta] },
+          reviewCount: { $add: [{ $ifNull: ['$reviewCount', 0] }, countDelta] },
+          ...distribution
+        }
+      },
+      deriveRatingStage
+    ],
+    { session }
+  );
+};
+
+// Run fn inside a transaction so the review write and the stats update
+// commit or roll back together
+const withTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+const EPSILON = 1e-9;
+
+// Recompute every book's stats from its reviews and report drift.
+// With fix: true the stored stats are overwritten with the recomputed ones.
+const reconcileBookStats = async ({ fix = false } = {}) => {
+  const actual = new Map();
+  const totals = await Review().aggregate([
+    { $match: VISIBLE },
+    {
+      $group: {
+        _id: '$bookId',
+        ratingSum: { $sum: '$rating' },
+        reviewCount: { $sum: 1 },
+        ...Object.fromEntries(STARS.map(star => [
+          `stars${star}`,
+          { $sum: { $cond: [{ $eq: ['$rating', star] }, 1, 0] } }
+        ]))
+      }
+    }
+  ]);
+  totals.forEach(total => actual.set(String(total._id), total));
+
+  const report = { checked: 0, drifted: [], fixed: 0 };
+  const cursor = Book()
+    .find({}, 'title rating weightedRating ratingSum reviewCount ratingDistribution')
+    .lean()
+    .cursor();
+
+  for await (const book of cursor) {
+    report.checked += 1;
+
+    const totalsForBook = actual.get(String(book._id)) || {};
+    const { ratingSum = 0, reviewCount = 0 } = totalsForBook;
+    const rating = reviewCount > 0 ? ratingSum / reviewCount : 0;
+    const ratingDistribution = Object.fromEntries(
+      STARS.map(star => [star, totalsForBook[`stars${star}`] || 0])
+    );
+    const storedDistribution = book.ratingDistribution || {};
+
+    const drifted = (book.ratingSum || 0) !== ratingSum
+      || (book.reviewCount || 0) !== reviewCount
+      || Math.abs((book.rating || 0) - rating) > EPSILON
+      || Math.abs((book.weightedRating || 0) - weightedRating(ratingSum, reviewCount)) > EPSILON
+      || STARS.some(star => (storedDistribution[star] || 0) !== ratingDistribution[star]);
+    if (!drifted) continue;
+
+    report.drifted.push({
+      bookId: book._id,
+      title: book.title,
+      stored: {
+        ratingSum: book.ratingSum,
+        reviewCount: book.reviewCount,
+        rating: book.rating,
+        ratingDistribution: storedDistribution
+      },
+      actual: { ratingSum, reviewCount, rating, ratingDistribution }
+    });
+
+    if (fix) {
+      await Book().updateOne(
+        { _id: book._id },
+        [{ $set: { ratingSum, reviewCount, ratingDistribution } }, deriveRatingStage]
+      );
+      report.fixed += 1;
+    }
+  }
+
+  return report;
+};
+
+module.exports = {
+  VISIBLE,
+  weightedRating,
+  applyRatingChange,
+  withTransaction,
+  reconcileBookStats
+};
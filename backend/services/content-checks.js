@@ -0,0 +1,176 @@
+// services/content-checks.js
+const mongoose = require('mongoose');
+const { escapeRegExp } = require('../utils/search');
+
+// Every check receives { kind, content, userId, excludeId } and resolves to
+// null (allow) or { action: 'reject' | 'flag', message, reportReason }.
+// CONTENT_CHECKS selects which checks run (comma separated, all by default).
+
+const MODELS = { review: 'Review', comment: 'Comment' };
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const envList = (name) => (process.env[name] || '')
+  .split(',')
+  .map(word => word.trim().toLowerCase())
+  .filter(Boolean);
+
+const envInt = (name, fallback) => parseInt(process.env[name] || String(fallback));
+
+// Lower-cased words without punctuation, for comparing texts
+const words = (text) => text.toLowerCase().normalize('NFKC').match(/[\p{L}\p{N}']+/gu) || [];
+
+const wordPattern = (list) => (list.length > 0
+  ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${list.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'iu')
+  : null);
+
+// Blocked words reject outright; flagged words let the post through for review
+const wordListCheck = () => {
+  const blocked = wordPattern(envList('CONTENT_BLOCKED_WORDS'));
+  const flagged = wordPattern(envList('CONTENT_FLAGGED_WORDS'));
+
+  return async ({ content }) => {
+    if (blocked && blocked.test(content)) {
+      return { action: 'reject', message: 'Content contains language that is not allowed', reportReason: 'abuse' };
+    }
+    if (flagged && flagged.test(content)) {
+      return { action: 'flag', message: 'Content contains language that needs review', reportReason: 'abuse' };
+    }
+    return null;
+  };
+};
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+// A link or two is fine in a review; link-heavy posts are almost always spam
+const linkCheck = () => {
+  const maxLinks = envInt('CONTENT_MAX_LINKS', 3);
+  const flagLinks = envInt('CONTENT_FLAG_LINKS', 2);
+
+  return async ({ content }) => {
+    const count = (content.match(LINK_PATTERN) || []).length;
+    if (count > maxLinks) {
+      return { action: 'reject', message: `Content may contain at most ${maxLinks} links`, reportReason: 'spam' };
+    }
+    if (count >= flagLinks) {
+      return { action: 'flag', message: 'Content contains several links', reportReason: 'spam' };
+    }
+    return null;
+  };
+};
+
+// Jaccard similarity of the two texts' three-word shingles
+const shingles = (tokens) => new Set(
+  tokens.length < 3 ? [tokens.join(' ')] : tokens.slice(2).map((_, i) => tokens.slice(i, i + 3).join(' '))
+);
+
+const similarity = (a, b) => {
+  const setA = shingles(a);
+  const setB = shingles(b);
+  const shared = [...setA].filter(shingle => setB.has(shingle)).length;
+  return shared / (setA.size + setB.size - shared);
+};
+
+// Compares a review against the author's recent reviews: a copy is rejected,
+// a near copy flagged. Comments are left alone, since short replies like
+// "Thanks!" are meant to be repeated.
+const duplicateCheck = () => {
+  const windowMs = envInt('CONTENT_DUPLICATE_WINDOW_DAYS', 30) * DAY;
+  const threshold = parseFloat(process.env.CONTENT_DUPLICATE_THRESHOLD || '0.8');
+
+  return async ({ kind, content, userId, excludeId }) => {
+    if (kind !== 'review') return null;
+
+    const recent = await mongoose.model(MODELS[kind])
+      .find({
+        userId,
+        ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+        status: { $ne: 'deleted' },
+        createdAt: { $gte: new Date(Date.now() - windowMs) }
+      })
+      .select('content')
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .lean();
+
+    const tokens = words(content);
+    let closest = 0;
+    for (const post of recent) {
+      const other = words(post.content || '');
+      if (other.join(' ') === tokens.join(' ')) {
+        return { action: 'reject', message: `You have already posted this ${kind}`, reportReason: 'spam' };
+      }
+      closest = Math.max(closest, similarity(tokens, other));
+    }
+
+    if (closest >= threshold) {
+      return { action: 'flag', message: `Content is very similar to another ${kind} you posted`, reportReason: 'spam' };
+    }
+    return null;
+  };
+};
+
+// Counts the author's new posts in the last hour; edits are not limited
+const rateLimitCheck = () => {
+  const limits = {
+    review: envInt('CONTENT_REVIEWS_PER_HOUR', 10),
+    comment: envInt('CONTENT_COMMENTS_PER_HOUR', 30)
+  };
+
+  return async ({ kind, userId, excludeId }) => {
+    if (excludeId) return null;
+
+    const count = await mongoose.model(MODELS[kind]).countDocuments({
+      userId,
+      createdAt: { $gte: new Date(Date.now() - HOUR) }
+    });
+    if (count >= limits[kind]) {
+      return { action: 'reject', message: `You can post at most ${limits[kind]} ${kind}s an hour`, reportReason: 'spam' };
+    }
+    return null;
+  };
+};
+
+const checks = {
+  'word-list': wordListCheck,
+  links: linkCheck,
+  duplicates: duplicateCheck,
+  'rate-limit': rateLimitCheck
+};
+
+// Build a pipeline from check names. It runs every check and resolves to
+// { action, results }: any reject wins, then any flag, otherwise allow.
+const createContentPipeline = (names = envList('CONTENT_CHECKS')) => {
+  const selected = names.length > 0 ? names : Object.keys(checks);
+  const pipeline = selected.map(name => {
+    if (!checks[name]) {
+      throw new Error(`Unknown content check: ${name}`);
+    }
+    return { name, run: checks[name]() };
+  });
+
+  return async (context) => {
+    const results = [];
+    for (const { name, run } of pipeline) {
+      const result = await run(context);
+      if (result) results.push({ check: name, ...result });
+    }
+
+    const action = ['reject', 'flag'].find(a => results.some(r => r.action === a)) || 'allow';
+    return { action, results };
+  };
+};
+
+let pipeline;
+
+// Shared pipeline; the word lists are compiled once, when the first review
+// or comment is checked
+const getContentPipeline = () => {
+  if (!pipeline) pipeline = createContentPipeline();
+  return pipeline;
+};
+
+module.exports = {
+  createContentPipeline,
+  getContentPipeline
+};
@@ -0,0 +1,149 @@
+// services/exports.js
+const mongoose = require('mongoose');
+const { toCsvRow } = require('../utils/csv');
+const { VISIBLE } = require('./book-stats');
+
+const Book = () => mongoose.model('Book');
+const Edition = () => mongoose.model('Edition');
+const Author = () => mongoose.model('Author');
+const Review = () => mongoose.model('Review');
+
+const EXPORT_FORMATS = ['csv', 'jsonl'];
+
+// Same names the importer reads, so an export can be imported elsewhere
+const BOOK_COLUMNS = [
+  'bookId', 'title', 'authors', 'description', 'genre', 'publishedDate',
+  'coverImage', 'isbn13', 'isbn10', 'format', 'publisher', 'pageCount',
+  'language', 'rating', 'reviewCount'
+];
+
+const REVIEW_COLUMNS = [
+  'reviewId', 'bookId', 'title', 'author', 'userId', 'username', 'rating',
+  'content', 'containsSpoilers', 'helpfulCount', 'createdAt', 'editedAt'
+];
+
+// Write to a stream, waiting whenever its buffer is full
+const writeTo = (stream) => (chunk) => (
+  stream.write(chunk) ? null : new Promise(resolve => stream.once('drain', resolve))
+);
+
+// CSV gets a header row and ";" separated author lists; JSON Lines keeps
+// lists as arrays
+const recordWriter = (format, columns, stream) => {
+  const write = writeTo(stream);
+
+  if (format === 'csv') {
+    return {
+      start: () => write(toCsvRow(columns)),
+      write: (record) => write(toCsvRow(columns.map(column => (
+        Array.isArray(record[column]) ? record[column].join('; ') : record[column]
+      ))))
+    };
+  }
+  return {
+    start: () => null,
+    write: (record) => write(`${JSON.stringify(record)}\n`)
+  };
+};
+
+// One record per edition, or one without edition fields for a book that
+// has none, so re-importing groups the editions under the same book again
+const exportBooks = async (format, stream) => {
+  const writer = recordWriter(format, BOOK_COLUMNS, stream);
+  await writer.start();
+
+  const cursor = Book().aggregate([
+    { $sort: { _id: 1 } },
+    {
+      $lookup: {
+        from: Edition().collection.name,
+        localField: '_id',
+        foreignField: 'bookId',
+        as: 'editions'
+      }
+    },
+    {
+      $lookup: {
+        from: Author().collection.name,
+        localField: 'authors',
+        foreignField: '_id',
+        as: 'authorDocs'
+      }
+    }
+  ]).cursor();
+
+  let count = 0;
+  for await (const book of cursor) {
+    // $lookup loses the order of `authors`, which is the display order
+    const names = new Map(book.authorDocs.map(author => [String(author._id), author.name]));
+    const authors = book.authors?.length
+      ? book.authors.map(id => names.get(String(id))).filter(Boolean)
+      : [book.author];
+
+    const base = {
+      bookId: book._id,
+      title: book.title,
+      authors,
+      description: book.description,
+      genre: book.genre,
+      publishedDate: book.publishedDate,
+      coverImage: book.coverImage,
+      rating: book.rating,
+      reviewCount: book.reviewCount
+    };
+
+    const editions = book.editions.length > 0 ? book.editions : [{}];
+    for (const edition of editions) {
+      await writer.write({
+        ...base,
+        isbn13: edition.isbn13,
+        isbn10: edition.isbn10,
+        format: edition.format,
+        publisher: edition.publisher,
+        pageCount: edition.pageCount,
+        language: edition.language
+      });
+    }
+    count += 1;
+  }
+  return count;
+};
+
+// Every review that counts towards a rating; hidden and deleted ones stay out
+const exportReviews = async (format, stream) => {
+  const writer = recordWriter(format, REVIEW_COLUMNS, stream);
+  await writer.start();
+
+  const cursor = Review().find(VISIBLE)
+    .sort({ _id: 1 })
+    .populate('bookId', 'title author')
+    .populate('userId', 'username')
+    .lean()
+    .cursor();
+
+  let count = 0;
+  for await (const review of cursor) {
+    await writer.write({
+      reviewId: review._id,
+      bookId: review.bookId?._id,
+      title: review.bookId?.title,
+      author: review.bookId?.author,
+      userId: review.userId?._id,
+      username: review.userId?.username,
+      rating: review.rating,
+      content: review.content,
+      containsSpoilers: review.containsSpoilers,
+      helpfulCount: review.helpfulCount,
+      createdAt: review.createdAt,
+      editedAt: review.editedAt
+    });
+    count += 1;
+  }
+  return count;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportBooks,
+  exportReviews
+};
@@ -0,0 +1,89 @@
+// services/images.js
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+const { BadRequestError } = require('../utils/errors');
+
+// Output sizes per image kind, in pixels
+const VARIANTS = {
+  cover: {
+    thumbnail: { width: 200, height: 300 },
+    full: { width: 600, height: 900 }
+  },
+  avatar: {
+    thumbnail: { width: 96, height: 96 },
+    full: { width: 400, height: 400 }
+  }
+};
+
+// Storage folder per image kind; each owner (book or user) gets its own
+// folder inside, e.g. avatars/<userId>
+const FOLDERS = {
+  cover: 'covers',
+  avatar: 'avatars'
+};
+
+const SUPPORTED_FORMATS = ['jpeg', 'png', 'webp'];
+
+// Check the decoded image rather than trusting the client's content type
+const assertSupportedImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    metadata = null;
+  }
+
+  if (!metadata || !SUPPORTED_FORMATS.includes(metadata.format)) {
+    throw new BadRequestError('File must be a JPEG, PNG or WebP image', 'unsupported_image');
+  }
+};
+
+const ownerFolder = (kind, ownerId) => `${FOLDERS[kind]}/${ownerId}`;
+
+// Resize an upload into every variant of its kind and store them as WebP in
+// the owner's folder. Returns { thumbnail, full } URLs.
+const saveImageVariants = async (buffer, kind, ownerId) => {
+  await assertSupportedImage(buffer);
+
+  const storage = getStorage();
+  const prefix = ownerFolder(kind, ownerId);
+  const id = crypto.randomBytes(8).toString('hex');
+  const urls = {};
+
+  for (const [name, { width, height }] of Object.entries(VARIANTS[kind])) {
+    const output = await sharp(buffer)
+      .rotate() // respect EXIF orientation
+      .resize(width, height, { fit: 'cover', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+
+    urls[name] = await storage.save(`${prefix}/${id}-${name}.webp`, output, 'image/webp');
+  }
+
+  return urls;
+};
+
+// Remove images previously stored for an owner. The URLs come from fields
+// editors and users can set by hand, so only keys inside the owner's folder
+// are removed; anything else, including other owners' images, is skipped.
+const removeImages = async (kind, ownerId, ...urls) => {
+  const storage = getStorage();
+  const folder = `${ownerFolder(kind, ownerId)}/`;
+
+  await Promise.all(urls.map(async (url) => {
+    const key = storage.keyFromUrl(url);
+    if (!key || key !== path.posix.normalize(key) || !key.startsWith(folder)) return;
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      console.error(`Failed to remove image ${key}:`, error);
+    }
+  }));
+};
+
+module.exports = {
+  saveImageVariants,
+  removeImages
+};
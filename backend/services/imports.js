@@ -0,0 +1,443 @@
+// services/imports.js
+const mongoose = require('mongoose');
+const { parseCsvObjects } = require('../utils/csv');
+const { isValidIsbn10, isValidIsbn13, toIsbn13 } = require('../utils/isbn');
+const { TITLE_COLLATION } = require('../utils/search');
+const { sanitizeMarkdown } = require('../utils/markdown');
+const { normalizeAuthorName, splitAuthorNames, bookAuthorFields } = require('./authors');
+const { applyRatingChange, withTransaction } = require('./book-stats');
+const { createContentPipeline } = require('./content-checks');
+const { flagForModeration } = require('./moderation');
+const { ConflictError } = require('../utils/errors');
+
+const Book = () => mongoose.model('Book');
+const Edition = () => mongoose.model('Edition');
+const Review = () => mongoose.model('Review');
+const Shelf = () => mongoose.model('Shelf');
+const ShelfEntry = () => mongoose.model('ShelfEntry');
+const ImportJob = () => mongoose.model('ImportJob');
+
+const FORMATS = ['csv', 'jsonl', 'goodreads'];
+const CHECKPOINT_EVERY = 50;
+const MAX_ROW_ERRORS = 1000;
+// A running job that hasn't checkpointed for this long is assumed dead
+const STALE_AFTER_MS = 5 * 60 * 1000;
+
+// Rows from every format share one shape: the book and edition fields
+// { title, authors, description, genre, publishedDate, coverImage, isbn,
+// publisher, pageCount, format, language }, plus the reader's own
+// { rating, review, status, shelves, dateRead, dateAdded } for Goodreads.
+
+const text = (value) => {
+  if (value === null || value === undefined) return undefined;
+  const trimmed = String(value).trim();
+  return trimmed === '' ? undefined : trimmed;
+};
+
+// CSV and JSON Lines use the field names of our own export; `authors` is a
+// list (";" separated in CSV) and `author` the free-text alternative
+const catalogRow = (record) => ({
+  title: text(record.title),
+  authors: Array.isArray(record.authors)
+    ? record.authors.map(text).filter(Boolean)
+    : splitAuthorNames(record.authors || record.author || ''),
+  description: text(record.description),
+  genre: text(record.genre),
+  publishedDate: text(record.publishedDate),
+  coverImage: text(record.coverImage),
+  isbn: text(record.isbn13) || text(record.isbn10) || text(record.isbn),
+  publisher: text(record.publisher),
+  pageCount: text(record.pageCount),
+  format: text(record.format),
+  language: text(record.language)
+});
+
+// Goodreads wraps ISBNs as ="0439023483" so spreadsheets keep leading zeros
+const goodreadsIsbn = (value) => text(String(value || '').replace(/^=/, '').replace(/"/g, ''));
+
+const GOODREADS_BINDINGS = [
+  [/audio/i, 'audiobook'],
+  [/kindle|ebook|e-book|nook/i, 'ebook'],
+  [/hardcover|hardback/i, 'hardcover'],
+  [/paperback/i, 'paperback']
+];
+
+const goodreadsFormat = (binding) => {
+  if (!binding) return undefined;
+  const match = GOODREADS_BINDINGS.find(([pattern]) => pattern.test(binding));
+  return match ? match[1] : 'other';
+};
+
+const GOODREADS_STATUSES = {
+  'to-read': 'want-to-read',
+  'currently-reading': 'reading',
+  read: 'read'
+};
+
+// A row of the Goodreads "Export Library" CSV
+const goodreadsRow = (record) => {
+  const year = text(record['Original Publication Year']) || text(record['Year Published']);
+  const exclusiveShelf = text(record['Exclusive Shelf']);
+
+  return {
+    title: text(record.Title),
+    authors: [record.Author, ...String(record['Additional Authors'] || '').split(',')]
+      .map(text)
+      .filter(Boolean),
+    publishedDate: year,
+    isbn: goodreadsIsbn(record.ISBN13) || goodreadsIsbn(record.ISBN),
+    publisher: text(record.Publisher),
+    pageCount: text(record['Number of Pages']),
+    format: goodreadsFormat(text(record.Binding)),
+    rating: Number(record['My Rating']) || 0,
+    review: text(record['My Review']),
+    // Custom exclusive shelves become ordinary shelves on want-to-read
+    status: GOODREADS_STATUSES[exclusiveShelf] || 'want-to-read',
+    shelves: [...new Set([exclusiveShelf, ...String(record.Bookshelves || '').split(',')]
+      .map(text)
+      .filter(name => name && !GOODREADS_STATUSES[name]))],
+    dateRead: text(record['Date Read']),
+    dateAdded: text(record['Date Added'])
+  };
+};
+
+const parsers = {
+  csv: (source) => parseCsvObjects(source).map(catalogRow),
+  jsonl: (source) => String(source)
+    .split(/\r?\n/)
+    .filter(line => line.trim())
+    .map(line => {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        return { parseError: 'Line is not valid JSON' };
+      }
+      return record && typeof record === 'object' && !Array.isArray(record)
+        ? catalogRow(record)
+        : { parseError: 'Line is not a JSON object' };
+    }),
+  goodreads: (source) => parseCsvObjects(source).map(goodreadsRow)
+};
+
+// The same file always parses to the same rows, which is what lets a job
+// resume by position
+const parseRows = (format, source) => {
+  const parse = parsers[format];
+  if (!parse) {
+    throw new Error(`Unknown import format: ${format}`);
+  }
+  return parse(source);
+};
+
+const bookFields = (row, defaults = {}) => ({
+  title: row.title,
+  author: row.authors.join('; '),
+  description: row.description || defaults.description,
+  genre: row.genre || defaults.genre,
+  publishedDate: row.publishedDate,
+  coverImage: row.coverImage
+});
+
+const editionFields = (row) => ({
+  isbn13: row.isbn ? toIsbn13(row.isbn) : undefined,
+  format: row.format,
+  publisher: row.publisher,
+  pageCount: row.pageCount,
+  language: row.language,
+  publishedDate: row.publishedDate
+});
+
+const hasEditionDetails = (row) => Boolean(row.isbn || row.publisher || row.pageCount || row.format);
+
+const validationMessages = (document) => {
+  const error = document.validateSync();
+  return error ? Object.values(error.errors).map(e => e.message) : [];
+};
+
+// Check a row against bookSchema and editionSchema without writing anything.
+// Fields both share, like publishedDate, are reported once.
+const catalogRowErrors = (row, defaults) => {
+  const errors = validationMessages(new (Book())(bookFields(row, defaults)));
+
+  if (row.isbn && !isValidIsbn10(row.isbn) && !isValidIsbn13(row.isbn)) {
+    errors.push(`Invalid ISBN: ${row.isbn}`);
+  } else if (hasEditionDetails(row)) {
+    errors.push(...validationMessages(new (Edition())({
+      ...editionFields(row),
+      bookId: new mongoose.Types.ObjectId()
+    })));
+  }
+  return [...new Set(errors)];
+};
+
+// The catalog's copy of a row's book: an edition with the same ISBN, else a
+// book with the same title (ignoring case, accents and punctuation) and an
+// author in common
+const findExistingBook = async (row) => {
+  const isbn13 = row.isbn && toIsbn13(row.isbn);
+  if (isbn13) {
+    const edition = await Edition().findOne({ isbn13 }).select('bookId').lean();
+    if (edition) return edition.bookId;
+  }
+  if (!row.title || row.authors.length === 0) return null;
+
+  const keys = new Set(row.authors.map(normalizeAuthorName));
+  const candidates = await Book().find({ title: row.title })
+    .collation(TITLE_COLLATION)
+    .select('author authors')
+    .populate('authors', 'normalizedNames')
+    .limit(20)
+    .lean();
+
+  const match = candidates.find(book => (
+    book.authors.some(author => (author?.normalizedNames || []).some(name => keys.has(name)))
+    || splitAuthorNames(book.author || '').some(name => keys.has(normalizeAuthorName(name)))
+  ));
+  return match ? match._id : null;
+};
+
+// Record the row's edition on a book unless its ISBN is already known.
+// Returns whether an edition was added.
+const addEdition = async (bookId, row, isNewBook) => {
+  const isbn13 = row.isbn && toIsbn13(row.isbn);
+  if (isbn13 ? await Edition().exists({ isbn13 }) : !(isNewBook && hasEditionDetails(row))) {
+    return false;
+  }
+  await Edition().create({ ...editionFields(row), bookId });
+  return true;
+};
+
+// Catalog rows create a book, add a new edition to the book they duplicate,
+// or are skipped when the catalog already has them
+const importCatalogRow = async (row, job) => {
+  const errors = catalogRowErrors(row, job.defaults);
+  if (errors.length > 0) return { outcome: 'failed', errors };
+
+  const existingId = await findExistingBook(row);
+  if (existingId) {
+    return { outcome: await addEdition(existingId, row, false) ? 'updated' : 'skipped' };
+  }
+
+  const book = await Book().create({
+    ...bookFields(row, job.defaults),
+    ...await bookAuthorFields({ authors: row.authors })
+  });
+  await addEdition(book._id, row, true);
+  return { outcome: 'created' };
+};
+
+let reviewChecks;
+
+// Imported review text skips the rate-limit and duplicate checks, which
+// would reject any bulk import
+const checkImportedReview = (content, userId) => {
+  if (!reviewChecks) reviewChecks = createContentPipeline(['word-list', 'links']);
+  return reviewChecks({ kind: 'review', content, userId });
+};
+
+// Goodreads keeps line breaks as <br/>; anything else is reduced to our
+// Markdown subset like any other review
+const goodreadsReviewContent = (review) => (
+  review ? sanitizeMarkdown(review.replace(/<br\s*\/?>/gi, '\n')) : ''
+);
+
+const parseDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : undefined;
+};
+
+const findOrCreateShelf = async (userId, name) => {
+  const shelf = await Shelf().findOneAndUpdate(
+    { userId, name },
+    { $setOnInsert: { userId, name } },
+    { upsert: true, new: true, collation: { locale: 'en', strength: 2 } }
+  );
+  return shelf._id;
+};
+
+// A rating becomes a review unless the reader already reviewed the book
+const importRating = async (row, bookId, userId, errors) => {
+  if (!(row.rating >= 1 && row.rating <= 5)) return false;
+  if (await Review().exists({ bookId, userId, status: { $ne: 'deleted' } })) return false;
+
+  let content = goodreadsReviewContent(row.review);
+  let outcome = null;
+  if (content) {
+    outcome = await checkImportedReview(content, userId);
+    if (outcome.action === 'reject') {
+      errors.push(...outcome.results
+        .filter(result => result.action === 'reject')
+        .map(result => `Review text not imported: ${result.message}`));
+      content = '';
+      outcome = null;
+    }
+  }
+
+  const review = new (Review())({
+    bookId,
+    userId,
+    rating: row.rating,
+    content,
+    createdAt: parseDate(row.dateRead) || parseDate(row.dateAdded)
+  });
+
+  try {
+    await withTransaction(async (session) => {
+      await review.save({ session });
+      await applyRatingChange(bookId, { added: review.rating }, session);
+    });
+  } catch (error) {
+    // Reviewed concurrently, e.g. from the book page during the import
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  await flagForModeration('review', review._id, outcome);
+  return true;
+};
+
+// Library rows match a catalog book and add it to the reader's shelves,
+// with their rating as a review
+const importLibraryRow = async (row, job) => {
+  const bookId = await findExistingBook(row);
+  if (!bookId) {
+    return { outcome: 'failed', errors: ['No matching book in the catalog'] };
+  }
+
+  const { userId } = job;
+  const errors = [];
+  const shelfIds = [];
+  for (const name of row.shelves) {
+    shelfIds.push(await findOrCreateShelf(userId, name));
+  }
+
+  const addedAt = parseDate(row.dateAdded) || Date.now();
+  const finishedAt = row.status === 'read' ? parseDate(row.dateRead) : undefined;
+
+  // An existing entry keeps its status; the import only adds shelves
+  const entry = await ShelfEntry().updateOne(
+    { userId, bookId },
+    {
+      $setOnInsert: { status: row.status, finishedAt, createdAt: addedAt, updatedAt: addedAt },
+      $addToSet: { shelves: { $each: shelfIds } }
+    },
+    { upsert: true }
+  );
+  const reviewed = await importRating(row, bookId, userId, errors);
+
+  const outcome = entry.upsertedCount > 0 ? 'created'
+    : entry.modifiedCount > 0 || reviewed ? 'updated'
+      : 'skipped';
+  return { outcome, errors };
+};
+
+const processors = {
+  catalog: importCatalogRow,
+  library: importLibraryRow
+};
+
+// Problems with the row itself, as opposed to the database or the job
+const isRowError = (error) => error.name === 'ValidationError'
+  || error.name === 'CastError'
+  || error.status === 400;
+
+const recordRow = (job, rowNumber, { outcome, errors = [] }) => {
+  job.counts[outcome] += 1;
+  if (errors.length > 0 && job.rowErrors.length < MAX_ROW_ERRORS) {
+    job.rowErrors.push({ row: rowNumber, messages: errors });
+  }
+};
+
+// Atomically mark a job running so two workers never process it together.
+// Queued and failed jobs can start; a running one only once it is stale.
+const claimImportJob = async (jobId) => {
+  const job = await ImportJob().findOneAndUpdate(
+    {
+      _id: jobId,
+      $or: [
+        { status: { $in: ['queued', 'failed'] } },
+        { status: 'running', updatedAt: { $lt: new Date(Date.now() - STALE_AFTER_MS) } }
+      ]
+    },
+    { $set: { status: 'running', updatedAt: Date.now() }, $unset: { error: 1 } },
+    { new: true }
+  ).select('+source');
+
+  if (!job) {
+    throw new ConflictError('Import job is already running or has finished', 'import_running');
+  }
+  return job;
+};
+
+const createImportJob = ({ type, format, userId, fileName, source, defaults, origin = 'upload' }) => (
+  ImportJob().create({
+    type,
+    format,
+    userId,
+    fileName,
+    origin,
+    // CLI jobs read the file from disk, so only uploads keep a copy
+    source: origin === 'upload' ? source : undefined,
+    defaults
+  })
+);
+
+// Process a claimed job's rows from its cursor, checkpointing as it goes.
+// A failure leaves the job resumable from its last checkpoint; rows done
+// again after a crash are found as duplicates.
+const processImportJob = async (job, source) => {
+  try {
+    const rows = parseRows(job.format, source ?? job.source);
+    const processRow = processors[job.type];
+    job.totalRows = rows.length;
+    job.startedAt = job.startedAt || Date.now();
+    await job.save();
+
+    for (let i = job.cursor; i < rows.length; i++) {
+      const row = rows[i];
+      let result;
+      if (row.parseError) {
+        result = { outcome: 'failed', errors: [row.parseError] };
+      } else {
+        try {
+          result = await processRow(row, job);
+        } catch (error) {
+          if (!isRowError(error)) throw error;
+          result = { outcome: 'failed', errors: [error.message] };
+        }
+      }
+
+      recordRow(job, i + 1, result);
+      job.cursor = i + 1;
+      if (job.cursor % CHECKPOINT_EVERY === 0) await job.save();
+    }
+
+    job.status = 'completed';
+    job.finishedAt = Date.now();
+    job.source = undefined;
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  await job.save();
+  return job;
+};
+
+// Run a job to the end. CLI jobs pass their file's content; uploaded jobs
+// use their stored copy.
+const runImportJob = async (jobId, source) => processImportJob(await claimImportJob(jobId), source);
+
+// Claim a job and run it in the background; failures are recorded on the job
+const startImportJob = async (jobId) => {
+  const job = await claimImportJob(jobId);
+  processImportJob(job).catch(error => console.error(`Import job ${jobId} failed:`, error));
+};
+
+module.exports = {
+  FORMATS,
+  createImportJob,
+  runImportJob,
+  startImportJob
+};
@@ -0,0 +1,77 @@
+// services/mailer.js
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Every transport exposes the same send({ to, subject, text, html }) method,
+// selected through MAIL_TRANSPORT (smtp, file or console)
+
+const smtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587'),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+// Writes each message as JSON so local dev and tests can read links back
+const fileTransport = () => {
+  const dir = process.env.MAIL_DIR || path.join(__dirname, '..', 'tmp', 'mail');
+
+  return {
+    send: async (message) => {
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${message.to}.json`);
+      await fs.writeFile(file, JSON.stringify(message, null, 2));
+      return { file };
+    }
+  };
+};
+
+const consoleTransport = () => ({
+  send: async (message) => {
+    console.log(`[mail] to=${message.to} subject="${message.subject}"\n${message.text}`);
+    return {};
+  }
+});
+
+const transports = {
+  smtp: smtpTransport,
+  file: fileTransport,
+  console: consoleTransport
+};
+
+const createMailer = (type = process.env.MAIL_TRANSPORT || 'console') => {
+  const factory = transports[type];
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${type}`);
+  }
+
+  const transport = factory();
+  const from = process.env.MAIL_FROM || 'BookReview <no-reply@bookreview.local>';
+
+  return {
+    send: ({ to, subject, text, html }) => transport.send({ from, to, subject, text, html })
+  };
+};
+
+let mailer;
+
+// Shared mailer, so the SMTP transport and its connections are set up once,
+// when the first message is sent
+const getMailer = () => {
+  if (!mailer) mailer = createMailer();
+  return mailer;
+};
+
+module.exports = {
+  createMailer,
+  getMailer
+};
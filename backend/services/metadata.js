@@ -0,0 +1,233 @@
+// services/metadata.js
+const fs = require('fs/promises');
+const path = require('path');
+const { createCache } = require('../utils/cache');
+const { ApiError, BadRequestError } = require('../utils/errors');
+const { normalizeIsbn, isValidIsbn10, isValidIsbn13, toIsbn13, toIsbn10 } = require('../utils/isbn');
+
+// Every provider exposes lookup(isbn13) -> metadata or null, selected and
+// ordered through METADATA_PROVIDERS (comma separated: openlibrary, google,
+// fixture). Metadata uses book and edition field names:
+// { title, authors, description, genre, publishedDate, coverImage,
+//   publisher, pageCount, language }
+
+const FIELDS = [
+  'title', 'authors', 'description', 'genre', 'publishedDate',
+  'coverImage', 'publisher', 'pageCount', 'language'
+];
+
+const fetchJson = async (url) => {
+  const response = await fetch(url, {
+    headers: { 'Accept': 'application/json' },
+    signal: AbortSignal.timeout(parseInt(process.env.METADATA_TIMEOUT_MS || '5000'))
+  });
+  if (!response.ok) {
+    throw new Error(`${new URL(url).host} answered ${response.status}`);
+  }
+  return response.json();
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Providers write dates as "2008", "2008-09" or "September 14, 2008"
+const normalizeDate = (value) => {
+  if (!value) return undefined;
+  const text = String(value).trim();
+  if (/^\d{4}(-\d{2}(-\d{2})?)?$/.test(text)) return text;
+
+  const date = new Date(text);
+  return Number.isNaN(date.getTime())
+    ? undefined
+    : `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const withSubtitle = (title, subtitle) => (title && subtitle ? `${title}: ${subtitle}` : title);
+
+// Open Library's Books API; no key needed
+const openLibraryProvider = () => {
+  const baseUrl = (process.env.OPENLIBRARY_URL || 'https://openlibrary.org').replace(/\/$/, '');
+
+  return {
+    lookup: async (isbn) => {
+      const key = `ISBN:${isbn}`;
+      const data = await fetchJson(`${baseUrl}/api/books?bibkeys=${key}&format=json&jscmd=data`);
+      const book = data[key];
+      if (!book) return null;
+
+      return {
+        title: withSubtitle(book.title, book.subtitle),
+        authors: (book.authors || []).map(author => author.name),
+        // The data view has no blurb; excerpts are the closest thing
+        description: book.excerpts?.[0]?.text,
+        genre: book.subjects?.[0]?.name,
+        publishedDate: normalizeDate(book.publish_date),
+        coverImage: book.cover?.large || book.cover?.medium,
+        publisher: book.publishers?.[0]?.name,
+        pageCount: book.number_of_pages
+      };
+    }
+  };
+};
+
+// Google Books volumes search; GOOGLE_BOOKS_API_KEY raises the quota
+const googleBooksProvider = () => {
+  const baseUrl = (process.env.GOOGLE_BOOKS_URL || 'https://www.googleapis.com/books/v1').replace(/\/$/, '');
+  const apiKey = process.env.GOOGLE_BOOKS_API_KEY;
+
+  return {
+    lookup: async (isbn) => {
+      const keyParam = apiKey ? `&key=${encodeURIComponent(apiKey)}` : '';
+      const data = await fetchJson(`${baseUrl}/volumes?q=isbn:${isbn}${keyParam}`);
+      const info = data.items?.[0]?.volumeInfo;
+      if (!info) return null;
+
+      const image = info.imageLinks?.thumbnail || info.imageLinks?.smallThumbnail;
+      return {
+        title: withSubtitle(info.title, info.subtitle),
+        authors: info.authors,
+        description: info.description,
+        // Categories look like "Fiction / Dystopian"
+        genre: info.categories?.[0]?.split('/')[0].trim(),
+        publishedDate: normalizeDate(info.publishedDate),
+        coverImage: image && image.replace(/^http:/, 'https:'),
+        publisher: info.publisher,
+        pageCount: info.pageCount,
+        language: info.language
+      };
+    }
+  };
+};
+
+// Reads metadata keyed by ISBN-13 from a JSON file, for offline dev and tests
+const fixtureProvider = () => {
+  const file = process.env.METADATA_FIXTURES
+    || path.join(__dirname, '..', 'fixtures', 'isbn-metadata.json');
+  let fixtures;
+
+  return {
+    lookup: async (isbn) => {
+      if (!fixtures) fixtures = JSON.parse(await fs.readFile(file, 'utf8'));
+      return fixtures[isbn] || null;
+    }
+  };
+};
+
+const providers = {
+  openlibrary: openLibraryProvider,
+  google: googleBooksProvider,
+  fixture: fixtureProvider
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === ''
+  || (Array.isArray(value) && value.length === 0);
+
+const pickFields = (metadata) => FIELDS.reduce((fields, field) => {
+  if (!isEmpty(metadata[field])) fields[field] = metadata[field];
+  return fields;
+}, {});
+
+// Combine provider results field by field: the first provider (in
+// METADATA_PROVIDERS order) with a value wins, and `sources` says which one.
+// Every candidate is returned too, so an editor can pick another value.
+const mergeMetadata = (results) => {
+  const fields = {};
+  const sources = {};
+
+  results.forEach(({ provider, metadata }) => {
+    Object.entries(metadata).forEach(([field, value]) => {
+      if (!(field in fields)) {
+        fields[field] = value;
+        sources[field] = provider;
+      }
+    });
+  });
+
+  return { fields, sources };
+};
+
+const createMetadataLookup = ({
+  names = (process.env.METADATA_PROVIDERS || 'openlibrary,google').split(',').map(n => n.trim()).filter(Boolean),
+  ttlMs = parseInt(process.env.METADATA_CACHE_TTL_MS || String(24 * 60 * 60 * 1000))
+} = {}) => {
+  const selected = names.map(name => {
+    if (!providers[name]) {
+      throw new Error(`Unknown metadata provider: ${name}`);
+    }
+    return { name, lookup: providers[name]().lookup };
+  });
+
+  // Answers from every provider, including "not found". A lookup where a
+  // provider failed isn't cached, so that provider is asked again next time.
+  const cache = createCache({ ttlMs, maxEntries: 5000 });
+
+  // Resolves to { results, unavailable }, where unavailable lists the
+  // providers that failed as [{ provider, message }]
+  const fetchAll = async (isbn13) => {
+    const settled = await Promise.allSettled(selected.map(provider => provider.lookup(isbn13)));
+
+    const results = [];
+    const unavailable = [];
+    settled.forEach((outcome, i) => {
+      const provider = selected[i].name;
+      if (outcome.status === 'rejected') {
+        unavailable.push({ provider, message: outcome.reason.message });
+      } else if (outcome.value) {
+        results.push({ provider, metadata: pickFields(outcome.value) });
+      }
+    });
+
+    if (unavailable.length === 0) {
+      cache.set(isbn13, results);
+    } else if (results.length === 0) {
+      throw new ApiError('Metadata providers are unavailable', {
+        status: 502,
+        code: 'upstream_unavailable',
+        title: 'Bad Gateway',
+        extra: { unavailable }
+      });
+    }
+    return { results, unavailable };
+  };
+
+  // Look up an ISBN-10 or ISBN-13 (hyphens allowed). Resolves to
+  // { isbn13, isbn10, fields, sources, candidates, unavailable }, or null
+  // when no provider knows the book. Providers that failed are listed in
+  // `unavailable` while the others still answer; invalid ISBNs are rejected
+  // with status 400, and a 502 carries `unavailable` when every provider
+  // failed.
+  return async (value) => {
+    const isbn = normalizeIsbn(value);
+    if (!isValidIsbn10(isbn) && !isValidIsbn13(isbn)) {
+      throw new BadRequestError('ISBN is not valid', 'invalid_isbn');
+    }
+
+    const isbn13 = toIsbn13(isbn);
+    const cached = cache.get(isbn13);
+    const { results, unavailable } = cached
+      ? { results: cached, unavailable: [] }
+      : await fetchAll(isbn13);
+    if (results.length === 0) return null;
+
+    return {
+      isbn13,
+      isbn10: toIsbn10(isbn13),
+      ...mergeMetadata(results),
+      candidates: results,
+      unavailable
+    };
+  };
+};
+
+let metadataLookup;
+
+// Shared lookup, so every request reads and fills the same cache of
+// provider answers
+const getMetadataLookup = () => {
+  if (!metadataLookup) metadataLookup = createMetadataLookup();
+  return metadataLookup;
+};
+
+module.exports = {
+  createMetadataLookup,
+  getMetadataLookup
+};
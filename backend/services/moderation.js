@@ -0,0 +1,122 @@
+// services/moderation.js
+const mongoose = require('mongoose');
+const { VISIBLE, applyRatingChange } = require('./book-stats');
+
+const Review = () => mongoose.model('Review');
+const Comment = () => mongoose.model('Comment');
+const Report = () => mongoose.model('Report');
+const ModerationLog = () => mongoose.model('ModerationLog');
+
+// Documents without a status predate moderation and count as visible
+const isVisible = (doc) => !['hidden', 'deleted'].includes(doc.status);
+
+const statusUpdate = (status, actorId) => ({
+  status,
+  moderatedAt: Date.now(),
+  moderatedBy: actorId,
+  ...(status === 'deleted' ? { deletedAt: Date.now(), deletedBy: actorId } : {})
+});
+
+// Apply a status update to the review matching filter. Only visible reviews
+// count towards the book's rating, so stats follow the visibility change.
+// Returns the previous document, or null if none matched or it was already
+// in that status.
+const updateReviewStatus = async (filter, update, session) => {
+  const previous = await Review().findOneAndUpdate(
+    { ...filter, status: { $ne: update.status } },
+    update,
+    { session }
+  );
+  if (!previous) return null;
+
+  const nowVisible = update.status === 'visible';
+  if (isVisible(previous) && !nowVisible) {
+    await applyRatingChange(previous.bookId, { removed: previous.rating }, session);
+  } else if (!isVisible(previous) && nowVisible) {
+    await applyRatingChange(previous.bookId, { added: previous.rating }, session);
+  }
+  return previous;
+};
+
+// Move a review between visible, hidden and deleted as a moderator
+const setReviewStatus = (reviewId, status, actorId, session) => updateReviewStatus(
+  { _id: reviewId },
+  statusUpdate(status, actorId),
+  session
+);
+
+// An author deleting their own review. This isn't a moderation action, so
+// moderatedAt/moderatedBy keep describing the last moderator decision.
+const deleteOwnReview = (reviewId, userId, session) => updateReviewStatus(
+  { _id: reviewId, userId },
+  { status: 'deleted', deletedAt: Date.now(), deletedBy: userId },
+  session
+);
+
+// Same for comments, keeping the review's commentCount in step
+const setCommentStatus = async (commentId, status, actorId, session) => {
+  const previous = await Comment().findOneAndUpdate(
+    { _id: commentId, status: { $ne: status } },
+    statusUpdate(status, actorId),
+    { session }
+  );
+  if (!previous) return null;
+
+  const nowVisible = status === 'visible';
+  const delta = (nowVisible ? 1 : 0) - (isVisible(previous) ? 1 : 0);
+  if (delta !== 0 && !previous.deleted) {
+    await mongoose.model('Review').updateOne(
+      { _id: previous.reviewId },
+      { $inc: { commentCount: delta } },
+      { session }
+    );
+  }
+  return previous;
+};
+
+// Append to the audit trail
+const logAction = ({ actorId, action, targetType, targetId, reason, metadata }, session) =>
+  ModerationLog().create([{ actorId, action, targetType, targetId, reason, metadata }], { session });
+
+// Queue content the submission checks flagged. Keeps a single open system
+// report per target, refreshed with the latest reasons after each edit.
+// Pass the session that saves the content so both are written or neither.
+const flagForModeration = (targetType, targetId, outcome, session) => {
+  if (!outcome || outcome.action !== 'flag') return null;
+
+  const flags = outcome.results.filter(result => result.action === 'flag');
+  return Report().updateOne(
+    { targetType, targetId, source: 'system', status: 'open' },
+    {
+      $set: {
+        reason: flags[0].reportReason || 'other',
+        details: flags.map(flag => `${flag.check}: ${flag.message}`).join('\n')
+      },
+      $setOnInsert: { createdAt: Date.now() }
+    },
+    { upsert: true, session }
+  );
+};
+
+// Close every open report on a target with the action taken
+const resolveReports = (targetType, targetId, actorId, action, session) => Report().updateMany(
+  { targetType, targetId, status: 'open' },
+  {
+    status: action === 'dismiss' ? 'dismissed' : 'resolved',
+    action,
+    resolvedBy: actorId,
+    resolvedAt: Date.now()
+  },
+  { session }
+);
+
+module.exports = {
+  VISIBLE,
+  isVisible,
+  setReviewStatus,
+  deleteOwnReview,
+  setCommentStatus,
+  logAction,
+  flagForModeration,
+  resolveReports
+};
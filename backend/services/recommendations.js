@@ -0,0 +1,256 @@
+// services/recommendations.js
+const mongoose = require('mongoose');
+const { createCache } = require('../utils/cache');
+const { VISIBLE } = require('./book-stats');
+
+const Book = () => mongoose.model('Book');
+const Review = () => mongoose.model('Review');
+const ShelfEntry = () => mongoose.model('ShelfEntry');
+const BookSimilarity = () => mongoose.model('BookSimilarity');
+
+const NEIGHBOURS_PER_BOOK = 20;
+const MIN_CO_RATINGS = 2;
+// Caps the pairs generated per user so heavy reviewers don't dominate the job
+const MAX_REVIEWS_PER_USER = 200;
+// Below this many reviews collaborative filtering is too noisy to trust
+const MIN_REVIEWS_FOR_CF = 3;
+
+const cache = createCache({
+  ttlMs: parseInt(process.env.RECOMMENDATION_CACHE_TTL_MS || String(15 * 60 * 1000)),
+  maxEntries: 5000
+});
+
+const BOOK_CARD_FIELDS = 'title author genre coverImage coverThumbnail rating reviewCount';
+
+// Batch job: item-item adjusted cosine similarity over co-rated books.
+// Ratings are centred on each user's mean so harsh and generous reviewers
+// contribute equally. Keeps the top neighbours of every book.
+const computeItemSimilarities = async () => {
+  const users = await Review().aggregate([
+    { $match: VISIBLE },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: '$userId',
+        ratings: { $push: { bookId: '$bookId', rating: '$rating' } }
+      }
+    },
+    { $project: { ratings: { $slice: ['$ratings', MAX_REVIEWS_PER_USER] } } }
+  ]).allowDiskUse(true);
+
+  // pairKey -> { dot, normA, normB, count }
+  const pairs = new Map();
+
+  users.forEach(({ ratings }) => {
+    if (ratings.length < 2) return;
+
+    const mean = ratings.reduce((sum, r) => sum + r.rating, 0) / ratings.length;
+    const centred = ratings
+      .map(r => ({ bookId: String(r.bookId), value: r.rating - mean }))
+      .sort((a, b) => a.bookId.localeCompare(b.bookId));
+
+    for (let i = 0; i < centred.length; i++) {
+      for (let j = i + 1; j < centred.length; j++) {
+        const a = centred[i];
+        const b = centred[j];
+        const key = `${a.bookId}:${b.bookId}`;
+        const pair = pairs.get(key) || { dot: 0, normA: 0, normB: 0, count: 0 };
+        pair.dot += a.value * b.value;
+        pair.normA += a.value * a.value;
+        pair.normB += b.value * b.value;
+        pair.count += 1;
+        pairs.set(key, pair);
+      }
+    }
+  });
+
+  // bookId -> [{ bookId, score, coRatings }]
+  const neighbours = new Map();
+  const addNeighbour = (from, to, score, coRatings) => {
+    if (!neighbours.has(from)) neighbours.set(from, []);
+    neighbours.get(from).push({ bookId: to, score, coRatings });
+  };
+
+  pairs.forEach((pair, key) => {
+    if (pair.count < MIN_CO_RATINGS || pair.normA === 0 || pair.normB === 0) return;
+
+    const score = pair.dot / Math.sqrt(pair.normA * pair.normB);
+    if (score <= 0) return;
+
+    const [a, b] = key.split(':');
+    addNeighbour(a, b, score, pair.count);
+    addNeighbour(b, a, score, pair.count);
+  });
+
+  const computedAt = new Date();
+  const operations = [...neighbours].map(([bookId, list]) => ({
+    updateOne: {
+      filter: { bookId },
+      update: {
+        $set: {
+          similar: list
+            .sort((x, y) => y.score - x.score || y.coRatings - x.coRatings)
+            .slice(0, NEIGHBOURS_PER_BOOK),
+          computedAt
+        }
+      },
+      upsert: true
+    }
+  }));
+
+  if (operations.length > 0) {
+    await BookSimilarity().bulkWrite(operations, { ordered: false });
+  }
+  // Books that lost all their neighbours since the last run
+  await BookSimilarity().deleteMany({ computedAt: { $lt: computedAt } });
+  cache.clear();
+
+  return { users: users.length, pairs: pairs.size, books: operations.length };
+};
+
+// Highest weighted-rating books matching a query, skipping excluded ids
+const topBooks = (query, exclude, limit) => Book()
+  .find({ ...query, _id: { $nin: exclude } })
+  .select(BOOK_CARD_FIELDS)
+  .sort({ weightedRating: -1, reviewCount: -1 })
+  .limit(limit)
+  .lean();
+
+// Books similar to one book: precomputed neighbours, topped up with
+// same-author then same-genre books when co-rating data is thin
+const similarBooks = (bookId, limit = 6) => cache.wrap(`similar:${bookId}:${limit}`, async () => {
+  const book = await Book().findById(bookId).select('author authors genre').lean();
+  if (!book) return null;
+
+  const similarity = await BookSimilarity().findOne({ bookId }).lean();
+  const neighbourIds = (similarity?.similar || []).slice(0, limit).map(n => n.bookId);
+  const neighbours = await Book()
+    .find({ _id: { $in: neighbourIds } })
+    .select(BOOK_CARD_FIELDS)
+    .lean();
+
+  // Keep similarity order
+  const results = neighbourIds
+    .map(id => neighbours.find(n => String(n._id) === String(id)))
+    .filter(Boolean)
+    .map(n => ({ ...n, reason: 'readers-also-liked' }));
+
+  const seen = () => [book._id, ...results.map(r => r._id)];
+
+  if (results.length < limit) {
+    // Books not yet linked to Author records still match on the display name
+    const sameAuthor = book.authors?.length > 0
+      ? { authors: { $in: book.authors } }
+      : { author: book.author };
+    const byAuthor = await topBooks(sameAuthor, seen(), limit - results.length);
+    results.push(...byAuthor.map(b => ({ ...b, reason: 'same-author' })));
+  }
+  if (results.length < limit) {
+    const byGenre = await topBooks({ genre: book.genre }, seen(), limit - results.length);
+    results.push(...byGenre.map(b => ({ ...b, reason: 'same-genre' })));
+  }
+
+  return results;
+});
+
+// Weighted counts of the genres and authors a user rated well or shelved
+const userAffinity = (reviews, entries, books) => {
+  const genres = new Map();
+  const authors = new Map();
+  const bump = (map, key, weight) => map.set(key, (map.get(key) || 0) + weight);
+
+  const bookById = new Map(books.map(b => [String(b._id), b]));
+  const signals = [
+    ...reviews.map(r => ({ bookId: r.bookId, weight: r.rating - 2.5 })),
+    ...entries.map(e => ({ bookId: e.bookId, weight: e.status === 'read' ? 1 : 0.5 }))
+  ];
+
+  signals.forEach(({ bookId, weight }) => {
+    const book = bookById.get(String(bookId));
+    if (!book || weight <= 0) return;
+    bump(genres, book.genre, weight);
+    (book.authors || []).forEach(authorId => bump(authors, String(authorId), weight));
+  });
+
+  const top = (map, n) => [...map].sort((a, b) => b[1] - a[1]).slice(0, n).map(([key]) => key);
+  return { genres: top(genres, 3), authors: top(authors, 5) };
+};
+
+// Personal recommendations: item-item CF prediction over the user's ratings,
+// falling back to genre/author affinity and finally the overall top rated
+const recommendationsForUser = (userId, limit = 12) => cache.wrap(`user:${userId}:${limit}`, async () => {
+  const [reviews, entries] = await Promise.all([
+    Review().find({ userId, status: { $ne: 'deleted' } }).select('bookId rating').lean(),
+    ShelfEntry().find({ userId }).select('bookId status').lean()
+  ]);
+
+  const seenIds = [...new Set([...reviews, ...entries].map(r => String(r.bookId)))];
+  const seen = new Set(seenIds);
+  const results = [];
+
+  if (reviews.length >= MIN_REVIEWS_FOR_CF) {
+    const mean = reviews.reduce((sum, r) => sum + r.rating, 0) / reviews.length;
+    const similarities = await BookSimilarity()
+      .find({ bookId: { $in: reviews.map(r => r.bookId) } })
+      .lean();
+    const ratingOf = new Map(reviews.map(r => [String(r.bookId), r.rating]));
+
+    // candidateId -> { weighted, totalSim }
+    const candidates = new Map();
+    similarities.forEach(({ bookId, similar }) => {
+      const deviation = ratingOf.get(String(bookId)) - mean;
+      similar.forEach(({ bookId: candidateId, score }) => {
+        const key = String(candidateId);
+        if (seen.has(key)) return;
+        const candidate = candidates.get(key) || { weighted: 0, totalSim: 0 };
+        candidate.weighted += score * deviation;
+        candidate.totalSim += score;
+        candidates.set(key, candidate);
+      });
+    });
+
+    const ranked = [...candidates]
+      .map(([bookId, { weighted, totalSim }]) => ({ bookId, predicted: mean + weighted / totalSim }))
+      .filter(c => c.predicted > mean)
+      .sort((a, b) => b.predicted - a.predicted)
+      .slice(0, limit);
+
+    const books = await Book()
+      .find({ _id: { $in: ranked.map(c => c.bookId) } })
+      .select(BOOK_CARD_FIELDS)
+      .lean();
+    ranked.forEach(({ bookId, predicted }) => {
+      const book = books.find(b => String(b._id) === bookId);
+      if (book) results.push({ ...book, predictedRating: predicted, reason: 'similar-readers' });
+    });
+  }
+
+  const exclude = () => [...seenIds, ...results.map(r => String(r._id))];
+
+  if (results.length < limit && seenIds.length > 0) {
+    const books = await Book().find({ _id: { $in: seenIds } }).select('genre authors').lean();
+    const { genres, authors } = userAffinity(reviews, entries, books);
+
+    if (authors.length > 0) {
+      const byAuthor = await topBooks({ authors: { $in: authors } }, exclude(), limit - results.length);
+      results.push(...byAuthor.map(b => ({ ...b, reason: 'favourite-author' })));
+    }
+    if (results.length < limit && genres.length > 0) {
+      const byGenre = await topBooks({ genre: { $in: genres } }, exclude(), limit - results.length);
+      results.push(...byGenre.map(b => ({ ...b, reason: 'favourite-genre' })));
+    }
+  }
+
+  if (results.length < limit) {
+    const popular = await topBooks({}, exclude(), limit - results.length);
+    results.push(...popular.map(b => ({ ...b, reason: 'top-rated' })));
+  }
+
+  return results;
+});
+
+module.exports = {
+  computeItemSimilarities,
+  similarBooks,
+  recommendationsForUser
+};
@@ -0,0 +1,46 @@
+// services/series.js
+const mongoose = require('mongoose');
+
+const Series = () => mongoose.model('Series');
+const Book = () => mongoose.model('Book');
+
+const VOLUME_FIELDS = 'title author coverImage coverThumbnail rating reviewCount series';
+
+// A series' volumes in reading order
+const seriesVolumes = (seriesId) => Book()
+  .find({ 'series.seriesId': seriesId })
+  .select(VOLUME_FIELDS)
+  .sort({ 'series.position': 1, publishedDate: 1 })
+  .lean();
+
+// "Book 3 of 7" details for a book: its series, position, the series length
+// and the neighbouring volumes. Null when the book isn't part of a series.
+const seriesNavigation = async (book) => {
+  const seriesId = book.series?.seriesId;
+  if (!seriesId) return null;
+
+  const [series, volumes] = await Promise.all([
+    Series().findById(seriesId).select('name volumeCount').lean(),
+    seriesVolumes(seriesId)
+  ]);
+  if (!series) return null;
+
+  const index = volumes.findIndex(volume => volume._id.equals(book._id));
+  const summary = (volume) => (volume
+    ? { _id: volume._id, title: volume.title, position: volume.series.position }
+    : null);
+
+  return {
+    _id: series._id,
+    name: series.name,
+    position: book.series.position,
+    total: Math.max(series.volumeCount || 0, volumes.length),
+    previous: summary(volumes[index - 1]),
+    next: summary(volumes[index + 1])
+  };
+};
+
+module.exports = {
+  seriesVolumes,
+  seriesNavigation
+};
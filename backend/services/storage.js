@@ -0,0 +1,111 @@
+// services/storage.js
+const fs = require('fs/promises');
+const path = require('path');
+
+// Every adapter exposes save(key, buffer, contentType) -> public URL,
+// remove(key) and keyFromUrl(url) (null for URLs it doesn't own),
+// selected through STORAGE_DRIVER (local or s3)
+
+const localStorage = () => {
+  const root = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+  const baseUrl = (process.env.UPLOAD_BASE_URL || '/uploads').replace(/\/$/, '');
+
+  // Keys are generated server-side, but never let one escape the upload root
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    root,
+    save: async (key, buffer) => {
+      const file = resolve(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return `${baseUrl}/${key}`;
+    },
+    remove: async (key) => {
+      await fs.rm(resolve(key), { force: true });
+    },
+    keyFromUrl: (url) => (
+      url && url.startsWith(`${baseUrl}/`) ? url.slice(baseUrl.length + 1) : null
+    )
+  };
+};
+
+// The SDK is listed under optionalDependencies, so an install can leave it out
+const loadS3Sdk = () => {
+  try {
+    return require('@aws-sdk/client-s3');
+  } catch (error) {
+    if (error.code === 'MODULE_NOT_FOUND') {
+      throw new Error('STORAGE_DRIVER=s3 needs @aws-sdk/client-s3; run npm install in backend without --omit=optional');
+    }
+    throw error;
+  }
+};
+
+// S3-compatible adapter (AWS, MinIO, R2...). The SDK is only required when
+// this driver is selected.
+const s3Storage = () => {
+  const { S3Client, PutObjectCommand, DeleteObjectCommand } = loadS3Sdk();
+
+  const bucket = process.env.S3_BUCKET;
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT,
+    forcePathStyle: Boolean(process.env.S3_ENDPOINT)
+  });
+  const baseUrl = (
+    process.env.S3_PUBLIC_URL || `https://${bucket}.s3.amazonaws.com`
+  ).replace(/\/$/, '');
+
+  return {
+    save: async (key, buffer, contentType) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+        CacheControl: 'public, max-age=31536000, immutable'
+      }));
+      return `${baseUrl}/${key}`;
+    },
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+    keyFromUrl: (url) => (
+      url && url.startsWith(`${baseUrl}/`) ? url.slice(baseUrl.length + 1) : null
+    )
+  };
+};
+
+const drivers = {
+  local: localStorage,
+  s3: s3Storage
+};
+
+const createStorage = (driver = process.env.STORAGE_DRIVER || 'local') => {
+  const factory = drivers[driver];
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${driver}`);
+  }
+  return factory();
+};
+
+let storage;
+
+// Shared adapter, built on the first upload or removal; the s3 driver's
+// SDK is only required then
+const getStorage = () => {
+  if (!storage) storage = createStorage();
+  return storage;
+};
+
+module.exports = {
+  createStorage,
+  getStorage
+};
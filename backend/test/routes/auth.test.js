@@ -0,0 +1,96 @@
+// test/routes/auth.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const supertest = require('supertest');
+const { skipReason, startApp, stopApp, bearer } = require('../helpers/app');
+
+// Login and the password reset routes share a limit of five requests per
+// window, so this file stays under it
+describe('auth routes', { skip: skipReason }, () => {
+  let request;
+  const account = { username: 'ada', email: 'ada@example.com', password: 'analytical1' };
+
+  before(async () => {
+    request = supertest(await startApp('auth'));
+  });
+
+  after(stopApp);
+
+  it('registers a reader with a session', async () => {
+    const { body } = await request.post('/api/auth/register').send(account).expect(201);
+
+    assert.ok(body.token);
+    assert.ok(body.refreshToken);
+    assert.equal(body.user.username, 'ada');
+    assert.equal(body.user.role, 'reader');
+    assert.equal(body.user.emailVerified, false);
+  });
+
+  it('refuses a taken email or username', async () => {
+    const { body } = await request.post('/api/auth/register')
+      .send({ ...account, username: 'ada2' })
+      .expect(409);
+    assert.equal(body.code, 'conflict');
+  });
+
+  it('rejects a wrong password', async () => {
+    const { body } = await request.post('/api/auth/login')
+      .send({ email: account.email, password: 'analytical2' })
+      .expect(401);
+    assert.equal(body.code, 'invalid_credentials');
+  });
+
+  it('needs a token for the current user', async () => {
+    const { body } = await request.get('/api/auth/me').expect(401);
+    assert.equal(body.code, 'unauthorized');
+  });
+
+  describe('a session', () => {
+    let session;
+
+    before(async () => {
+      ({ body: session } = await request.post('/api/auth/login')
+        .send({ email: account.email, password: account.password })
+        .expect(200));
+    });
+
+    it('reads the current user without the password', async () => {
+      const { body } = await request.get('/api/auth/me').set(bearer(session)).expect(200);
+      assert.equal(body.email, account.email);
+      assert.equal(body.password, undefined);
+    });
+
+    it('rotates its refresh token and revokes the family when an old one is replayed', async () => {
+      const { body: rotated } = await request.post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(200);
+      assert.notEqual(rotated.refreshToken, session.refreshToken);
+      await request.get('/api/auth/me').set(bearer(rotated)).expect(200);
+
+      const { body: replayed } = await request.post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(401);
+      assert.equal(replayed.code, 'refresh_token_reused');
+
+      const { body: revoked } = await request.get('/api/auth/me').set(bearer(rotated)).expect(401);
+      assert.equal(revoked.code, 'token_revoked');
+    });
+  });
+
+  it('ends a session on logout', async () => {
+    const { body: session } = await request.post('/api/auth/register')
+      .send({ username: 'grace', email: 'grace@example.com', password: 'compiler1' })
+      .expect(201);
+
+    await request.post('/api/auth/logout').send({ refreshToken: session.refreshToken }).expect(200);
+
+    const { body } = await request.get('/api/auth/me').set(bearer(session)).expect(401);
+    assert.equal(body.code, 'token_revoked');
+  });
+
+  it('answers a password reset the same way for unknown addresses', async () => {
+    const known = await request.post('/api/auth/forgot-password').send({ email: account.email }).expect(200);
+    const unknown = await request.post('/api/auth/forgot-password').send({ email: 'nobody@example.com' }).expect(200);
+    assert.deepEqual(unknown.body, known.body);
+  });
+});
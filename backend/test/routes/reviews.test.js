@@ -0,0 +1,112 @@
+// test/routes/reviews.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const supertest = require('supertest');
+const mongoose = require('mongoose');
+const { skipReason, startApp, stopApp, bearer, signUp } = require('../helpers/app');
+
+describe('reviews routes', { skip: skipReason }, () => {
+  let request;
+  let author;
+  let other;
+  let moderator;
+  let bookId;
+  let reviewId;
+
+  const bookStats = async () => {
+    const { body } = await request.get(`/api/books/${bookId}`).expect(200);
+    return { ratingSum: body.ratingSum, reviewCount: body.reviewCount };
+  };
+
+  before(async () => {
+    request = supertest(await startApp('reviews'));
+    const editor = await signUp(request, { role: 'editor' });
+    author = await signUp(request);
+    other = await signUp(request);
+    moderator = await signUp(request, { role: 'moderator' });
+
+    const { body } = await request.post('/api/books').set(bearer(editor)).send({
+      title: 'The Hobbit',
+      author: 'J.R.R. Tolkien',
+      description: 'A hobbit, a wizard, thirteen dwarves and a dragon.',
+      genre: 'Fantasy'
+    }).expect(201);
+    bookId = body._id;
+  });
+
+  after(stopApp);
+
+  it('saves a review and counts it in the book rating', async () => {
+    const { body } = await request.post('/api/reviews').set(bearer(author)).send({
+      bookId,
+      rating: 4,
+      content: 'Slow to start, then impossible to put down.',
+      containsSpoilers: true
+    }).expect(201);
+    reviewId = body._id;
+
+    assert.equal(body.userId.username, author.user.username);
+    assert.deepEqual(await bookStats(), { ratingSum: 4, reviewCount: 1 });
+  });
+
+  it('allows one review per reader and book', async () => {
+    const { body } = await request.post('/api/reviews').set(bearer(author)).send({
+      bookId,
+      rating: 5,
+      content: 'Even better the second time around.'
+    }).expect(409);
+    assert.equal(body.code, 'conflict');
+  });
+
+  it('rejects a rating outside 1 to 5', async () => {
+    const { body } = await request.post('/api/reviews').set(bearer(other)).send({
+      bookId,
+      rating: 6,
+      content: 'Off the scale, in every way.'
+    }).expect(400);
+
+    assert.equal(body.code, 'validation_failed');
+    assert.deepEqual(body.errors.map(e => e.field), ['rating']);
+  });
+
+  it('keeps the spoiler flag when an edit leaves it out', async () => {
+    const { body } = await request.put(`/api/reviews/${reviewId}`).set(bearer(author)).send({
+      rating: 2,
+      content: 'On a reread, the dwarves wore thin.'
+    }).expect(200);
+
+    assert.equal(body.containsSpoilers, true);
+    assert.deepEqual(await bookStats(), { ratingSum: 2, reviewCount: 1 });
+
+    const { body: { revisions } } = await request.get(`/api/reviews/${reviewId}/revisions`)
+      .set(bearer(moderator))
+      .expect(200);
+    assert.deepEqual(revisions.map(r => r.rating), [4]);
+  });
+
+  it("doesn't let others edit or delete it", async () => {
+    const update = { rating: 1, content: 'Nobody asked me, but still.' };
+    await request.put(`/api/reviews/${reviewId}`).set(bearer(other)).send(update).expect(404);
+    await request.delete(`/api/reviews/${reviewId}`).set(bearer(other)).expect(404);
+  });
+
+  it('soft-deletes a review and takes it out of the rating', async () => {
+    await request.delete(`/api/reviews/${reviewId}`).set(bearer(author)).expect(200);
+
+    assert.deepEqual(await bookStats(), { ratingSum: 0, reviewCount: 0 });
+    const review = await mongoose.model('Review').findById(reviewId).lean();
+    assert.equal(review.status, 'deleted');
+    assert.equal(String(review.deletedBy), author.user.id);
+    // Only moderators' actions are recorded as moderation
+    assert.equal(review.moderatedBy, undefined);
+  });
+
+  it('lets the reader review the book again after deleting', async () => {
+    await request.post('/api/reviews').set(bearer(author)).send({
+      bookId,
+      rating: 3,
+      content: 'Third read: somewhere in between, honestly.'
+    }).expect(201);
+    assert.deepEqual(await bookStats(), { ratingSum: 3, reviewCount: 1 });
+  });
+});
@@ -0,0 +1,105 @@
+// test/routes/users.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const supertest = require('supertest');
+const sharp = require('sharp');
+const { skipReason, startApp, stopApp, bearer, signUp } = require('../helpers/app');
+
+// Where the local storage driver keeps an uploaded file
+const uploadedFile = (url) => path.join(process.env.UPLOAD_DIR, url.replace(/^\/uploads\//, ''));
+
+describe('users routes', { skip: skipReason }, () => {
+  let request;
+  let reader;
+
+  before(async () => {
+    request = supertest(await startApp('users'));
+    reader = await signUp(request);
+  });
+
+  after(stopApp);
+
+  it('updates the profile and shows it publicly without private fields', async () => {
+    const { body } = await request.patch('/api/users/me').set(bearer(reader))
+      .send({ bio: 'Mostly science fiction.', shelvesPublic: false })
+      .expect(200);
+    assert.equal(body.bio, 'Mostly science fiction.');
+    assert.equal(body.password, undefined);
+
+    const { body: profile } = await request.get(`/api/users/${reader.user.id}`).expect(200);
+    assert.equal(profile.bio, 'Mostly science fiction.');
+    assert.equal(profile.shelvesPublic, false);
+    assert.equal(profile.reviewCount, 0);
+    assert.equal(profile.email, undefined);
+  });
+
+  it('refuses a username someone else has', async () => {
+    const taken = await signUp(request);
+    const { body } = await request.patch('/api/users/me').set(bearer(reader))
+      .send({ username: taken.user.username })
+      .expect(409);
+    assert.equal(body.code, 'conflict');
+  });
+
+  it('rejects an avatar that is not a URL', async () => {
+    const { body } = await request.patch('/api/users/me').set(bearer(reader))
+      .send({ profilePicture: 'not a url' })
+      .expect(400);
+    assert.deepEqual(body.errors.map(e => e.field), ['profilePicture']);
+  });
+
+  describe('an uploaded avatar', () => {
+    let uploaded;
+
+    before(async () => {
+      const png = await sharp({
+        create: { width: 64, height: 64, channels: 3, background: '#336699' }
+      }).png().toBuffer();
+
+      ({ body: uploaded } = await request.post('/api/users/me/avatar').set(bearer(reader))
+        .attach('avatar', png, { filename: 'me.png', contentType: 'image/png' })
+        .expect(200));
+    });
+
+    it('is stored with a thumbnail', () => {
+      assert.ok(fs.existsSync(uploadedFile(uploaded.profilePicture)));
+      assert.ok(fs.existsSync(uploadedFile(uploaded.profileThumbnail)));
+    });
+
+    it('survives saving the profile form, which sends it back', async () => {
+      const { body } = await request.patch('/api/users/me').set(bearer(reader))
+        .send({ bio: 'Science fiction and the odd mystery.', profilePicture: uploaded.profilePicture })
+        .expect(200);
+
+      assert.equal(body.profilePicture, uploaded.profilePicture);
+      assert.equal(body.profileThumbnail, uploaded.profileThumbnail);
+      assert.ok(fs.existsSync(uploadedFile(uploaded.profilePicture)));
+    });
+
+    it('is removed when another avatar URL replaces it', async () => {
+      const { body } = await request.patch('/api/users/me').set(bearer(reader))
+        .send({ profilePicture: 'https://example.com/avatar.png' })
+        .expect(200);
+
+      assert.equal(body.profilePicture, 'https://example.com/avatar.png');
+      assert.equal(body.profileThumbnail, undefined);
+      assert.ok(!fs.existsSync(uploadedFile(uploaded.profilePicture)));
+      assert.ok(!fs.existsSync(uploadedFile(uploaded.profileThumbnail)));
+    });
+  });
+
+  it('changes the password after checking the current one', async () => {
+    const wrong = await request.post('/api/users/me/change-password').set(bearer(reader))
+      .send({ currentPassword: 'not my password 1', newPassword: 'battery staple 2' })
+      .expect(400);
+    assert.deepEqual(wrong.body.errors.map(e => e.field), ['currentPassword']);
+
+    await request.post('/api/users/me/change-password').set(bearer(reader))
+      .send({ currentPassword: reader.password, newPassword: 'battery staple 2' })
+      .expect(200);
+    // This session stays signed in
+    await request.get('/api/auth/me').set(bearer(reader)).expect(200);
+  });
+});
@@ -0,0 +1,36 @@
+// test/scripts/scripts.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const SCRIPTS_DIR = path.join(__dirname, '..', '..', 'scripts');
+
+// Nothing listens on the discard port, so each script loads its modules,
+// fails to connect and exits with its own error message
+const UNREACHABLE_DB = 'mongodb://127.0.0.1:9/bookreview?serverSelectionTimeoutMS=500';
+
+const run = (script, args = []) => spawnSync(process.execPath, [path.join(SCRIPTS_DIR, script), ...args], {
+  env: { ...process.env, MONGODB_URI: UNREACHABLE_DB },
+  encoding: 'utf8',
+  timeout: 30000
+});
+
+describe('scripts', () => {
+  const cases = [
+    ['reconcile-book-stats.js', [], 'Reconciliation failed:'],
+    ['compute-recommendations.js', [], 'Computing recommendations failed:'],
+    ['migrate-authors.js', ['--dry-run'], 'Author migration failed:'],
+    ['export-catalog.js', ['books'], 'Export failed:'],
+    ['import-catalog.js', [path.join(__dirname, 'missing.csv')], 'Catalog import failed:']
+  ];
+
+  for (const [script, args, failure] of cases) {
+    it(`${script} loads and reports a failed run`, () => {
+      const { status, stderr } = run(script, args);
+
+      assert.equal(status, 1, stderr);
+      assert.ok(stderr.startsWith(failure), stderr);
+    });
+  }
+});
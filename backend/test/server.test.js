@@ -0,0 +1,72 @@
+// test/server.test.js
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const supertest = require('supertest');
+
+// Requests that are answered before any database work, so these run
+// without MongoDB; the route tests under test/routes need one
+describe('app', () => {
+  let request;
+
+  before(() => {
+    process.env.NODE_ENV = 'test';
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'server-tests';
+    request = supertest(require('../server'));
+  });
+
+  it('answers unknown API routes with a problem', async () => {
+    const response = await request.get('/api/nowhere').expect(404);
+
+    assert.match(response.headers['content-type'], /^application\/problem\+json/);
+    assert.deepEqual(response.body, {
+      type: '/problems/route_not_found',
+      title: 'Not Found',
+      status: 404,
+      detail: 'No route for GET /api/nowhere',
+      code: 'route_not_found',
+      instance: '/api/nowhere'
+    });
+  });
+
+  it('rejects a query the spec does not allow', async () => {
+    const { body } = await request.get('/api/books').query({ minRating: 9 }).expect(400);
+
+    assert.equal(body.code, 'validation_failed');
+    assert.deepEqual(body.errors.map(({ field, location }) => [field, location]), [['minRating', 'query']]);
+  });
+
+  it('rejects a body that is not JSON', async () => {
+    const { body } = await request.post('/api/auth/login')
+      .set('Content-Type', 'application/json')
+      .send('{"email":')
+      .expect(400);
+    assert.equal(body.code, 'malformed_json');
+  });
+
+  it('lists invalid registration fields without echoing them', async () => {
+    const { body } = await request.post('/api/auth/register')
+      .send({ username: 'ada', email: 'ada@example.com', password: 'Zq1' })
+      .expect(400);
+
+    assert.equal(body.code, 'validation_failed');
+    assert.deepEqual(body.errors.map(e => e.field), ['password']);
+    assert.ok(!JSON.stringify(body).includes('Zq1'));
+  });
+
+  it('needs a bearer token for the current user', async () => {
+    const { body } = await request.get('/api/auth/me').expect(401);
+    assert.equal(body.code, 'unauthorized');
+  });
+
+  it('refuses a token it did not sign', async () => {
+    const { body } = await request.get('/api/auth/me')
+      .set('Authorization', 'Bearer not.a.token')
+      .expect(401);
+    assert.equal(body.code, 'invalid_token');
+  });
+
+  it('checks book ids before the database', async () => {
+    const { body } = await request.get('/api/books/not-an-id').expect(400);
+    assert.equal(body.code, 'validation_failed');
+  });
+});
@@ -0,0 +1,79 @@
+// test/services/authors.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeAuthorName, splitAuthorNames, authorDisplayName } = require('../../services/authors');
+
+describe('normalizeAuthorName', () => {
+  it('ignores case, accents and punctuation', () => {
+    assert.equal(normalizeAuthorName('Gabriel García Márquez'), 'gabriel garcia marquez');
+    assert.equal(normalizeAuthorName('  URSULA K. LE GUIN '), 'ursula k le guin');
+  });
+
+  it('joins runs of initials however they are spaced', () => {
+    assert.equal(normalizeAuthorName('J. R. R. Tolkien'), 'jrr tolkien');
+    assert.equal(normalizeAuthorName('J.R.R. Tolkien'), 'jrr tolkien');
+    assert.equal(normalizeAuthorName('JRR Tolkien'), 'jrr tolkien');
+  });
+
+  it('reads an inverted "Last, First" name in display order', () => {
+    assert.equal(normalizeAuthorName('Tolkien, J.R.R.'), 'jrr tolkien');
+    assert.equal(normalizeAuthorName('Le Guin, Ursula K.'), normalizeAuthorName('Ursula K. Le Guin'));
+  });
+
+  it('keeps names with more than one comma in their written order', () => {
+    assert.equal(normalizeAuthorName('King, Stephen, Jr.'), 'king stephen jr');
+  });
+
+  it('only inverts a value that holds a single name', () => {
+    assert.equal(normalizeAuthorName('Pratchett, Terry'), 'terry pratchett');
+    assert.equal(normalizeAuthorName('Neil Gaiman; Pratchett, Terry'), 'neil gaiman pratchett terry');
+  });
+
+  it('keeps letters and digits from other scripts', () => {
+    assert.equal(normalizeAuthorName('村上 春樹'), '村上 春樹');
+    assert.equal(normalizeAuthorName('Agent 47'), 'agent 47');
+  });
+});
+
+describe('splitAuthorNames', () => {
+  it('splits on ampersands, semicolons and "and"', () => {
+    assert.deepEqual(
+      splitAuthorNames('Neil Gaiman & Terry Pratchett'),
+      ['Neil Gaiman', 'Terry Pratchett']
+    );
+    assert.deepEqual(
+      splitAuthorNames('Douglas Preston; Lincoln Child AND Mary Roach'),
+      ['Douglas Preston', 'Lincoln Child', 'Mary Roach']
+    );
+  });
+
+  it('only splits on "and" as a whole word', () => {
+    assert.deepEqual(splitAuthorNames('Sandra Brandon'), ['Sandra Brandon']);
+  });
+
+  it('leaves commas alone so inverted names survive', () => {
+    assert.deepEqual(splitAuthorNames('Tolkien, J.R.R.'), ['Tolkien, J.R.R.']);
+  });
+
+  it('drops empty names', () => {
+    assert.deepEqual(splitAuthorNames(' & Terry Pratchett ;'), ['Terry Pratchett']);
+    assert.deepEqual(splitAuthorNames(''), []);
+  });
+});
+
+describe('authorDisplayName', () => {
+  it('lists names in order', () => {
+    assert.equal(
+      authorDisplayName([{ name: 'Neil Gaiman' }, { name: 'Terry Pratchett' }]),
+      'Neil Gaiman; Terry Pratchett'
+    );
+  });
+
+  it('splits back into the same authors', () => {
+    const authors = [{ name: 'Neil Gaiman' }, { name: 'Terry Pratchett' }, { name: 'Tolkien, J.R.R.' }];
+    const names = splitAuthorNames(authorDisplayName(authors));
+
+    assert.deepEqual(names, ['Neil Gaiman', 'Terry Pratchett', 'Tolkien, J.R.R.']);
+    assert.deepEqual(names.map(normalizeAuthorName), ['neil gaiman', 'terry pratchett', 'jrr tolkien']);
+  });
+});
@@ -0,0 +1,14 @@
+// test/services/content-checks.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createContentPipeline } = require('../../services/content-checks');
+
+describe('duplicates check', () => {
+  const check = createContentPipeline(['duplicates']);
+
+  // No models are registered here, so a lookup of earlier comments would throw
+  it('lets comments repeat without looking up earlier ones', async () => {
+    const result = await check({ kind: 'comment', content: 'Thanks!', userId: '507f1f77bcf86cd799439011' });
+    assert.deepEqual(result, { action: 'allow', results: [] });
+  });
+});
@@ -0,0 +1,80 @@
+// test/services/metadata.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetadataLookup } = require('../../services/metadata');
+const { ApiError } = require('../../utils/errors');
+
+// Nothing listens on the discard port, so Open Library fails without
+// leaving the machine
+const UNREACHABLE = 'http://127.0.0.1:9';
+
+describe('metadata lookup with the fixture provider', () => {
+  const lookup = createMetadataLookup({ names: ['fixture'] });
+
+  it('merges the fixture fields and names their source', async () => {
+    const metadata = await lookup('9780441013593');
+    assert.equal(metadata.isbn13, '9780441013593');
+    assert.equal(metadata.isbn10, '0441013597');
+    assert.equal(metadata.fields.title, 'Dune');
+    assert.deepEqual(metadata.fields.authors, ['Frank Herbert']);
+    assert.equal(metadata.sources.title, 'fixture');
+    assert.deepEqual(metadata.candidates.map(c => c.provider), ['fixture']);
+    assert.deepEqual(metadata.unavailable, []);
+  });
+
+  it('looks up an ISBN-10 with hyphens by its ISBN-13', async () => {
+    const metadata = await lookup('0-441-01359-7');
+    assert.equal(metadata.isbn13, '9780441013593');
+    assert.equal(metadata.fields.title, 'Dune');
+  });
+
+  it('resolves to null for an ISBN no provider knows', async () => {
+    assert.equal(await lookup('9780306406157'), null);
+  });
+
+  it('rejects an invalid ISBN with a 400', async () => {
+    await assert.rejects(lookup('9780441013594'), { status: 400, code: 'invalid_isbn' });
+  });
+});
+
+describe('metadata lookup when a provider fails', () => {
+  let openLibraryUrl;
+
+  before(() => {
+    openLibraryUrl = process.env.OPENLIBRARY_URL;
+    process.env.OPENLIBRARY_URL = UNREACHABLE;
+  });
+
+  after(() => {
+    if (openLibraryUrl === undefined) delete process.env.OPENLIBRARY_URL;
+    else process.env.OPENLIBRARY_URL = openLibraryUrl;
+  });
+
+  it('answers from the others and lists it as unavailable, without caching', async () => {
+    const lookup = createMetadataLookup({ names: ['openlibrary', 'fixture'] });
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const metadata = await lookup('9780547928227');
+      assert.equal(metadata.fields.title, 'The Hobbit');
+      assert.deepEqual(metadata.unavailable.map(u => u.provider), ['openlibrary']);
+    }
+  });
+
+  it('answers 502 with the failures when every provider fails', async () => {
+    const lookup = createMetadataLookup({ names: ['openlibrary'] });
+
+    await assert.rejects(lookup('9780547928227'), (error) => {
+      assert.ok(error instanceof ApiError);
+      assert.equal(error.status, 502);
+      assert.equal(error.code, 'upstream_unavailable');
+      assert.deepEqual(error.extra.unavailable.map(u => u.provider), ['openlibrary']);
+      return true;
+    });
+  });
+});
+
+describe('createMetadataLookup', () => {
+  it('refuses an unknown provider name', () => {
+    assert.throws(() => createMetadataLookup({ names: ['library-of-babel'] }), /Unknown metadata provider/);
+  });
+});
@@ -0,0 +1,23 @@
+// test/services/storage.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../../services/storage');
+
+const hasS3Sdk = (() => {
+  try {
+    require.resolve('@aws-sdk/client-s3');
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+describe('createStorage', () => {
+  it('rejects unknown drivers', () => {
+    assert.throws(() => createStorage('ftp'), /Unknown storage driver: ftp/);
+  });
+
+  it('explains how to install the SDK when the s3 driver is missing it', { skip: hasS3Sdk && 'SDK installed' }, () => {
+    assert.throws(() => createStorage('s3'), /STORAGE_DRIVER=s3 needs @aws-sdk\/client-s3/);
+  });
+});
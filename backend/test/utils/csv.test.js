@@ -0,0 +1,81 @@
+// test/utils/csv.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, parseCsvObjects, toCsvRow } = require('../../utils/csv');
+
+describe('parseCsv', () => {
+  it('splits records and fields', () => {
+    assert.deepEqual(parseCsv('a,b,c\n1,2,3\n'), [['a', 'b', 'c'], ['1', '2', '3']]);
+  });
+
+  it('reads a last record without a trailing line break', () => {
+    assert.deepEqual(parseCsv('a,b\n1,2'), [['a', 'b'], ['1', '2']]);
+  });
+
+  it('accepts CRLF, LF and lone CR line breaks', () => {
+    assert.deepEqual(parseCsv('a\r\nb\nc\rd'), [['a'], ['b'], ['c'], ['d']]);
+  });
+
+  it('keeps commas, escaped quotes and line breaks inside quoted fields', () => {
+    assert.deepEqual(
+      parseCsv('title,notes\r\n"Good Omens, Deluxe","She said ""hi""\r\nthen left"\r\n'),
+      [['title', 'notes'], ['Good Omens, Deluxe', 'She said "hi"\r\nthen left']]
+    );
+  });
+
+  it('keeps empty fields, including trailing ones', () => {
+    assert.deepEqual(parseCsv('a,,c,\n'), [['a', '', 'c', '']]);
+    assert.deepEqual(parseCsv('""\n,\n'), [['', '']]);
+  });
+
+  it('skips blank lines', () => {
+    assert.deepEqual(parseCsv('a\n\n\r\nb\n\n'), [['a'], ['b']]);
+  });
+
+  it('drops a UTF-8 byte order mark', () => {
+    assert.deepEqual(parseCsv('\uFEFFTitle,Author\n'), [['Title', 'Author']]);
+  });
+
+  it('returns no records for empty input', () => {
+    assert.deepEqual(parseCsv(''), []);
+  });
+});
+
+describe('parseCsvObjects', () => {
+  it('keys each row by the trimmed header', () => {
+    assert.deepEqual(
+      parseCsvObjects(' Title , Author\nDune,Frank Herbert\n'),
+      [{ Title: 'Dune', Author: 'Frank Herbert' }]
+    );
+  });
+
+  it('fills missing trailing fields with empty strings', () => {
+    assert.deepEqual(parseCsvObjects('Title,Author,ISBN\nDune\n'), [{ Title: 'Dune', Author: '', ISBN: '' }]);
+  });
+
+  it('returns no rows without a header', () => {
+    assert.deepEqual(parseCsvObjects(''), []);
+  });
+});
+
+describe('toCsvRow', () => {
+  it('ends the line with CRLF and leaves plain values unquoted', () => {
+    assert.equal(toCsvRow(['Dune', 1965, 4.5]), 'Dune,1965,4.5\r\n');
+  });
+
+  it('quotes values containing commas, quotes or line breaks', () => {
+    assert.equal(toCsvRow(['a,b', 'say "hi"', 'two\nlines']), '"a,b","say ""hi""","two\nlines"\r\n');
+  });
+
+  it('writes null and undefined as empty fields and dates as ISO strings', () => {
+    assert.equal(
+      toCsvRow([null, undefined, new Date('2020-01-02T03:04:05Z')]),
+      ',,2020-01-02T03:04:05.000Z\r\n'
+    );
+  });
+
+  it('round-trips through parseCsv', () => {
+    const values = ['Good Omens, Deluxe', 'She said "hi"\r\nthen left', '', 'plain'];
+    assert.deepEqual(parseCsv(toCsvRow(values)), [values]);
+  });
+});
@@ -0,0 +1,123 @@
+// test/utils/errors.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  ApiError,
+  NotFoundError,
+  ValidationError,
+  toApiError,
+  toProblem
+} = require('../../utils/errors');
+
+describe('toApiError', () => {
+  it('passes ApiErrors through unchanged', () => {
+    const error = new NotFoundError('Book not found');
+    assert.equal(toApiError(error), error);
+  });
+
+  it('turns a spec request violation into field errors', () => {
+    const error = toApiError({
+      status: 400,
+      message: 'request/body/rating must be <= 5',
+      errors: [
+        { path: '/body/rating', message: 'must be <= 5' },
+        { path: '/query/page', message: 'must be integer' },
+        { path: '/body/series/position', message: 'must be >= 0' }
+      ]
+    });
+
+    assert.ok(error instanceof ValidationError);
+    assert.equal(error.code, 'validation_failed');
+    assert.deepEqual(error.extra.errors, [
+      { field: 'rating', location: 'body', message: 'must be <= 5' },
+      { field: 'page', location: 'query', message: 'must be integer' },
+      { field: 'series.position', location: 'body', message: 'must be >= 0' }
+    ]);
+  });
+
+  it('names other spec violations by status and keeps their details', () => {
+    const errors = [{ path: '/response/title', message: 'must be string' }];
+
+    assert.deepEqual(
+      [405, 413, 415, 500].map(status => toApiError({ status, message: 'spec', errors }).code),
+      ['method_not_allowed', 'payload_too_large', 'unsupported_media_type', 'response_mismatch']
+    );
+    assert.deepEqual(toApiError({ status: 500, message: 'spec', errors }).extra.errors, errors);
+  });
+
+  it('lists the fields of a Mongoose validation error', () => {
+    const doc = new mongoose.Document({}, new mongoose.Schema({
+      title: { type: String, required: true },
+      rating: { type: Number, min: 1 }
+    }));
+    doc.rating = 0;
+    const error = toApiError(doc.validateSync());
+
+    assert.equal(error.status, 400);
+    assert.equal(error.code, 'validation_failed');
+    assert.deepEqual(error.extra.errors.map(({ field, location }) => [field, location]).sort(), [
+      ['rating', 'body'],
+      ['title', 'body']
+    ]);
+  });
+
+  it('reports a CastError as an invalid field', () => {
+    const cast = new mongoose.Error.CastError('ObjectId', 'nope', 'bookId');
+    const error = toApiError(cast);
+
+    assert.equal(error.status, 400);
+    assert.deepEqual(error.extra.errors, [{ field: 'bookId', message: 'Invalid bookId' }]);
+  });
+
+  it('answers 409 for a duplicate key', () => {
+    const error = toApiError(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+    assert.equal(error.status, 409);
+    assert.equal(error.code, 'duplicate');
+  });
+
+  it('answers 400 for a body that is not JSON', () => {
+    const error = toApiError(Object.assign(new SyntaxError('Unexpected token'), {
+      type: 'entity.parse.failed',
+      status: 400,
+      expose: true
+    }));
+    assert.equal(error.status, 400);
+    assert.equal(error.code, 'malformed_json');
+  });
+
+  it('keeps the message of other client errors from body parsing', () => {
+    const error = toApiError(Object.assign(new Error('request entity too large'), {
+      type: 'entity.too.large',
+      status: 413,
+      expose: true
+    }));
+    assert.equal(error.status, 413);
+    assert.equal(error.message, 'request entity too large');
+  });
+
+  it('hides anything unexpected behind a generic 500', () => {
+    const error = toApiError(new TypeError("Cannot read properties of undefined (reading 'secret')"));
+
+    assert.ok(error instanceof ApiError);
+    assert.equal(error.status, 500);
+    assert.equal(error.code, 'internal_error');
+    assert.equal(error.message, 'Something went wrong');
+  });
+});
+
+describe('toProblem', () => {
+  it('builds an RFC 7807 body with the extra members', () => {
+    const error = new ValidationError([{ field: 'rating', location: 'body', message: 'Too high' }]);
+
+    assert.deepEqual(toProblem(error, '/api/reviews'), {
+      type: '/problems/validation_failed',
+      title: 'Validation Failed',
+      status: 400,
+      detail: 'The request has invalid fields',
+      code: 'validation_failed',
+      instance: '/api/reviews',
+      errors: [{ field: 'rating', location: 'body', message: 'Too high' }]
+    });
+  });
+});
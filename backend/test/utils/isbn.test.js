@@ -0,0 +1,60 @@
+// test/utils/isbn.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeIsbn, isValidIsbn10, isValidIsbn13, toIsbn13, toIsbn10 } = require('../../utils/isbn');
+
+describe('normalizeIsbn', () => {
+  it('drops hyphens and spaces and upper-cases the check digit', () => {
+    assert.equal(normalizeIsbn('978-0-441 01359-3'), '9780441013593');
+    assert.equal(normalizeIsbn('0-8044-2957-x'), '080442957X');
+  });
+});
+
+describe('isValidIsbn10', () => {
+  it('accepts correct check digits, including X', () => {
+    assert.equal(isValidIsbn10('0441013597'), true);
+    assert.equal(isValidIsbn10('0-8044-2957-X'), true);
+  });
+
+  it('rejects a wrong check digit or length', () => {
+    assert.equal(isValidIsbn10('0441013598'), false);
+    assert.equal(isValidIsbn10('044101359'), false);
+    assert.equal(isValidIsbn10('X441013597'), false);
+  });
+});
+
+describe('isValidIsbn13', () => {
+  it('accepts 978 and 979 ISBNs with a correct check digit', () => {
+    assert.equal(isValidIsbn13('978-0-441-01359-3'), true);
+    assert.equal(isValidIsbn13('9791032305690'), true);
+  });
+
+  it('rejects a wrong check digit or another prefix', () => {
+    assert.equal(isValidIsbn13('9780441013594'), false);
+    assert.equal(isValidIsbn13('4006381333931'), false);
+  });
+});
+
+describe('toIsbn13', () => {
+  it('converts an ISBN-10 and keeps an ISBN-13', () => {
+    assert.equal(toIsbn13('0441013597'), '9780441013593');
+    assert.equal(toIsbn13('080442957X'), '9780804429573');
+    assert.equal(toIsbn13('978-0-441-01359-3'), '9780441013593');
+  });
+
+  it('returns null for invalid input', () => {
+    assert.equal(toIsbn13('0441013598'), null);
+    assert.equal(toIsbn13(''), null);
+  });
+});
+
+describe('toIsbn10', () => {
+  it('converts a 978 ISBN-13, with X as the check digit when due', () => {
+    assert.equal(toIsbn10('9780441013593'), '0441013597');
+    assert.equal(toIsbn10('9780804429573'), '080442957X');
+  });
+
+  it('returns null for 979 ISBNs, which have no ISBN-10', () => {
+    assert.equal(toIsbn10('9791032305690'), null);
+  });
+});
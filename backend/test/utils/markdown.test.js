@@ -0,0 +1,27 @@
+// test/utils/markdown.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeMarkdown } = require('../../utils/markdown');
+
+describe('sanitizeMarkdown', () => {
+  it('strips tags and keeps their text', () => {
+    assert.equal(sanitizeMarkdown('<p>A <b>great</b> read</p>'), 'A great read');
+    assert.equal(sanitizeMarkdown('<img src=x onerror=alert(1)>Loved it'), 'Loved it');
+    assert.equal(sanitizeMarkdown('<a href="/x" target="_blank">here</a>'), 'here');
+    assert.equal(sanitizeMarkdown('one<br/>two<br />three'), 'onetwothree');
+  });
+
+  it('strips comments and declarations', () => {
+    assert.equal(sanitizeMarkdown('<!DOCTYPE html><!-- hidden -->shown'), 'shown');
+  });
+
+  it('keeps angle brackets that are not tags', () => {
+    assert.equal(sanitizeMarkdown('a<b and c>d'), 'a<b and c>d');
+    assert.equal(sanitizeMarkdown('1 < 2 and 3 > 2'), '1 < 2 and 3 > 2');
+  });
+
+  it('keeps the supported Markdown subset', () => {
+    const text = '**Bold**, *italics* and ||spoilers||\n\n- one\n- two\n\n> quoted';
+    assert.equal(sanitizeMarkdown(text), text);
+  });
+});
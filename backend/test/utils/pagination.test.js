@@ -0,0 +1,140 @@
+// test/utils/pagination.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { parseLimit, paginateByCursor } = require('../../utils/pagination');
+
+const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+const decode = (cursor) => JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+// Stands in for a Mongoose find: records the query it was built with and
+// answers with the first `limit` of `items`, as if MongoDB had filtered them
+const fakeFind = (items) => {
+  const calls = [];
+  const find = (filter) => {
+    const call = { filter };
+    calls.push(call);
+    const query = {
+      sort: (sort) => { call.sort = sort; return query; },
+      skip: (offset) => { call.offset = offset; return query; },
+      limit: async (limit) => { call.limit = limit; return items.slice(0, limit); }
+    };
+    return query;
+  };
+  return { find, calls };
+};
+
+const books = [3, 2, 1].map(n => ({
+  _id: new mongoose.Types.ObjectId(),
+  title: `Book ${n}`,
+  createdAt: new Date(Date.UTC(2024, 0, n))
+}));
+
+const newest = { sortName: 'newest', sort: { createdAt: -1 } };
+
+describe('parseLimit', () => {
+  it('falls back to the default and keeps within 1 to 50', () => {
+    assert.equal(parseLimit(undefined), 10);
+    assert.equal(parseLimit('abc'), 10);
+    assert.equal(parseLimit('0'), 10);
+    assert.equal(parseLimit('-5'), 1);
+    assert.equal(parseLimit('500'), 50);
+    assert.equal(parseLimit('20'), 20);
+  });
+});
+
+describe('paginateByCursor', () => {
+  it('reads the first page with an id tiebreaker and one extra item', async () => {
+    const { find, calls } = fakeFind(books);
+    const page = await paginateByCursor(find, { genre: 'Fantasy' }, { ...newest, limit: '2' });
+
+    assert.deepEqual(calls[0], { filter: { genre: 'Fantasy' }, sort: { createdAt: -1, _id: -1 }, limit: 3 });
+    assert.deepEqual(page.items, books.slice(0, 2));
+    assert.equal(page.prevCursor, null);
+    assert.deepEqual(decode(page.nextCursor), {
+      sort: 'newest',
+      dir: 'next',
+      keys: [{ $date: books[1].createdAt.toISOString() }, { $oid: String(books[1]._id) }]
+    });
+  });
+
+  it('continues strictly after the cursor item', async () => {
+    const first = await paginateByCursor(fakeFind(books).find, {}, { ...newest, limit: 2 });
+    const { find, calls } = fakeFind(books.slice(2));
+    const page = await paginateByCursor(find, { genre: 'Fantasy' }, { ...newest, cursor: first.nextCursor, limit: 2 });
+
+    assert.deepEqual(calls[0].filter, {
+      genre: 'Fantasy',
+      $and: [{
+        $or: [
+          { createdAt: { $lt: books[1].createdAt } },
+          { createdAt: books[1].createdAt, _id: { $lt: books[1]._id } }
+        ]
+      }]
+    });
+    assert.deepEqual(page.items, books.slice(2));
+    assert.equal(page.nextCursor, null);
+    assert.equal(decode(page.prevCursor).dir, 'prev');
+  });
+
+  it('reads a previous page backwards and returns it in order', async () => {
+    const cursor = encode({
+      sort: 'newest',
+      dir: 'prev',
+      keys: [{ $date: books[2].createdAt.toISOString() }, { $oid: String(books[2]._id) }]
+    });
+    // Read in reverse order, nearest item first
+    const { find, calls } = fakeFind([books[1], books[0]]);
+    const page = await paginateByCursor(find, {}, { ...newest, cursor, limit: 2 });
+
+    assert.deepEqual(calls[0].sort, { createdAt: 1, _id: 1 });
+    assert.deepEqual(calls[0].filter.$and[0].$or[0], { createdAt: { $gt: books[2].createdAt } });
+    assert.deepEqual(page.items, [books[0], books[1]]);
+    assert.equal(page.prevCursor, null);
+    assert.deepEqual(decode(page.nextCursor).keys[1], { $oid: String(books[1]._id) });
+  });
+
+  it('pages sorts without a key by offset', async () => {
+    const relevance = { sortName: 'relevance', sort: { score: { $meta: 'textScore' } } };
+    const { find, calls } = fakeFind(books);
+    const page = await paginateByCursor(find, {}, {
+      ...relevance,
+      cursor: encode({ sort: 'relevance', offset: 4 }),
+      limit: 2
+    });
+
+    assert.equal(calls[0].offset, 4);
+    assert.deepEqual(decode(page.nextCursor), { sort: 'relevance', offset: 6 });
+    assert.deepEqual(decode(page.prevCursor), { sort: 'relevance', offset: 2 });
+  });
+
+  describe('rejects cursors it did not issue', () => {
+    const keys = [{ $date: '2024-01-01T00:00:00.000Z' }, { $oid: String(books[0]._id) }];
+    const keyed = (payload) => ({ ...newest, cursor: encode({ sort: 'newest', dir: 'next', keys, ...payload }) });
+    const invalid = {
+      'that is not base64 JSON': { ...newest, cursor: 'not a cursor!' },
+      'for another sort': keyed({ sort: 'title' }),
+      'with an unknown direction': keyed({ dir: 'sideways' }),
+      'with the wrong number of keys': keyed({ keys: keys.slice(0, 1) }),
+      'with an operator as a key': keyed({ keys: [{ $ne: null }, keys[1]] }),
+      'with a $where as a key': keyed({ keys: [keys[0], { $where: 'sleep(1000)' }] }),
+      'with a tag next to an operator': keyed({ keys: [{ ...keys[0], $gt: '' }, keys[1]] }),
+      'with an array as a key': keyed({ keys: [[1], keys[1]] }),
+      'with an invalid date': keyed({ keys: [{ $date: 'yesterday' }, keys[1]] }),
+      'with an invalid id': keyed({ keys: [keys[0], { $oid: 'nope' }] }),
+      'with a negative offset': {
+        sortName: 'relevance',
+        sort: { score: { $meta: 'textScore' } },
+        cursor: encode({ sort: 'relevance', offset: -10 })
+      }
+    };
+
+    for (const [name, options] of Object.entries(invalid)) {
+      it(name, async () => {
+        const { find, calls } = fakeFind(books);
+        await assert.rejects(paginateByCursor(find, {}, options), { status: 400, code: 'invalid_cursor' });
+        assert.equal(calls.length, 0);
+      });
+    }
+  });
+});
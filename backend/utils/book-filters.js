@@ -0,0 +1,112 @@
+// utils/book-filters.js
+
+const RATING_BOUNDARIES = [0, 1, 2, 3, 4, 5.01];
+
+const toList = (value) => {
+  if (value === undefined) return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(item => item && item !== 'All');
+};
+
+const toNumber = (value, { min, max, integer = false } = {}) => {
+  if (value === undefined || value === '') return undefined;
+  const number = integer ? parseInt(value) : parseFloat(value);
+  if (Number.isNaN(number) || number < min || number > max) return undefined;
+  return number;
+};
+
+const yearStart = (year) => new Date(Date.UTC(year, 0, 1));
+
+// Parse facet query params into one Mongo condition per dimension, so each
+// facet can be counted with every filter applied except its own
+const parseBookFilters = (query) => {
+  const genres = toList(query.genre);
+  const minRating = toNumber(query.minRating, { min: 0, max: 5 });
+  const yearFrom = toNumber(query.yearFrom, { min: 0, max: 9999, integer: true });
+  const yearTo = toNumber(query.yearTo, { min: 0, max: 9999, integer: true });
+  const minReviews = toNumber(query.minReviews, { min: 0, max: Number.MAX_SAFE_INTEGER, integer: true });
+
+  const conditions = {};
+
+  if (genres.length > 0) {
+    conditions.genre = { genre: { $in: genres } };
+  }
+  if (minRating !== undefined) {
+    conditions.rating = { rating: { $gte: minRating } };
+  }
+  if (yearFrom !== undefined || yearTo !== undefined) {
+    const publishedDate = {};
+    if (yearFrom !== undefined) publishedDate.$gte = yearStart(yearFrom);
+    if (yearTo !== undefined) publishedDate.$lt = yearStart(yearTo + 1);
+    conditions.year = { publishedDate };
+  }
+  if (minReviews !== undefined) {
+    conditions.reviews = { reviewCount: { $gte: minReviews } };
+  }
+
+  return {
+    conditions,
+    applied: { genres, minRating, yearFrom, yearTo, minReviews }
+  };
+};
+
+// Merge every dimension's condition, optionally leaving one out
+const mergeConditions = (conditions, except) => Object.entries(conditions)
+  .filter(([dimension]) => dimension !== except)
+  .reduce((query, [, condition]) => ({ ...query, ...condition }), {});
+
+// Aggregation pipeline returning books per genre, per rating bucket and per decade
+const buildFacetPipeline = (baseQuery, conditions) => [
+  { $match: baseQuery },
+  {
+    $facet: {
+      genres: [
+        { $match: mergeConditions(conditions, 'genre') },
+        { $group: { _id: '$genre', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } }
+      ],
+      ratings: [
+        { $match: mergeConditions(conditions, 'rating') },
+        {
+          $bucket: {
+            groupBy: '$rating',
+            boundaries: RATING_BOUNDARIES,
+            default: 'other',
+            output: { count: { $sum: 1 } }
+          }
+        }
+      ],
+      decades: [
+        { $match: { ...mergeConditions(conditions, 'year'), publishedDate: { $type: 'date' } } },
+        {
+          $group: {
+            _id: { $multiply: [{ $floor: { $divide: [{ $year: '$publishedDate' }, 10] } }, 10] },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]
+    }
+  }
+];
+
+const formatFacets = ([result]) => ({
+  genres: result.genres.map(({ _id, count }) => ({ value: _id, count })),
+  ratings: result.ratings
+    .filter(({ _id }) => _id !== 'other')
+    .map(({ _id, count }) => ({
+      min: _id,
+      max: Math.min(5, RATING_BOUNDARIES[RATING_BOUNDARIES.indexOf(_id) + 1]),
+      count
+    })),
+  decades: result.decades.map(({ _id, count }) => ({ decade: _id, count }))
+});
+
+module.exports = {
+  parseBookFilters,
+  mergeConditions,
+  buildFacetPipeline,
+  formatFacets
+};
@@ -0,0 +1,44 @@
+// utils/cache.js
+
+// Small in-process TTL cache; entries are evicted lazily on read
+// and the oldest entry is dropped once maxEntries is reached
+const createCache = ({ ttlMs, maxEntries = 1000 }) => {
+  const entries = new Map();
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  };
+
+  const set = (key, value) => {
+    if (entries.size >= maxEntries && !entries.has(key)) {
+      entries.delete(entries.keys().next().value);
+    }
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    return value;
+  };
+
+  // Return the cached value or compute, store and return it
+  const wrap = async (key, compute) => {
+    const cached = get(key);
+    if (cached !== undefined) return cached;
+    return set(key, await compute());
+  };
+
+  return {
+    get,
+    set,
+    wrap,
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear()
+  };
+};
+
+module.exports = {
+  createCache
+};
@@ -0,0 +1,75 @@
+// utils/csv.js
+
+// RFC 4180 parser: quoted fields may contain commas, quotes ("") and line
+// breaks. Returns an array of records, each an array of strings.
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  // A UTF-8 byte order mark would otherwise end up in the first header
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Blank lines are not records
+  return records.filter(r => r.length > 1 || r[0] !== '');
+};
+
+// Records as objects keyed by the (trimmed) header row
+const parseCsvObjects = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const keys = header.map(key => key.trim());
+
+  return rows.map(row => keys.reduce((object, key, i) => {
+    object[key] = row[i] ?? '';
+    return object;
+  }, {}));
+};
+
+const escapeCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line, including the trailing line break
+const toCsvRow = (values) => `${values.map(escapeCsvField).join(',')}\r\n`;
+
+module.exports = {
+  parseCsv,
+  parseCsvObjects,
+  toCsvRow
+};
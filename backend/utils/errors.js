@@ -0,0 +1,141 @@
+// utils/errors.js
+
+// Errors the API reports to clients. Each carries an HTTP status and a
+// stable `code` clients can switch on; routes and services throw them (or
+// pass them to next) and the handler in server.js answers with an RFC 7807
+// application/problem+json body:
+// { type, title, status, detail, code, instance, ...extra }
+
+class ApiError extends Error {
+  constructor(message, { status = 500, code = 'internal_error', title = 'Internal Server Error', extra = {} } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.title = title;
+    // Additional problem members, e.g. the field errors of a validation error
+    this.extra = extra;
+  }
+}
+
+class BadRequestError extends ApiError {
+  constructor(message, code = 'bad_request', extra) {
+    super(message, { status: 400, code, title: 'Bad Request', extra });
+  }
+}
+
+// `errors` lists the offending fields: [{ field, location, message }]
+class ValidationError extends ApiError {
+  constructor(errors, message = 'The request has invalid fields') {
+    super(message, { status: 400, code: 'validation_failed', title: 'Validation Failed', extra: { errors } });
+  }
+}
+
+class UnauthorizedError extends ApiError {
+  constructor(message = 'Authentication required', code = 'unauthorized') {
+    super(message, { status: 401, code, title: 'Unauthorized' });
+  }
+}
+
+class ForbiddenError extends ApiError {
+  constructor(message = 'Insufficient permissions', code = 'forbidden', extra) {
+    super(message, { status: 403, code, title: 'Forbidden', extra });
+  }
+}
+
+class NotFoundError extends ApiError {
+  constructor(message = 'Not found', code = 'not_found') {
+    super(message, { status: 404, code, title: 'Not Found' });
+  }
+}
+
+class ConflictError extends ApiError {
+  constructor(message, code = 'conflict') {
+    super(message, { status: 409, code, title: 'Conflict' });
+  }
+}
+
+class RateLimitedError extends ApiError {
+  constructor(message = 'Too many requests, please try again later') {
+    super(message, { status: 429, code: 'rate_limited', title: 'Too Many Requests' });
+  }
+}
+
+// Codes for the spec checks of middleware/openapi.js, by status
+const SPEC_VIOLATIONS = {
+  405: ['method_not_allowed', 'Method Not Allowed'],
+  413: ['payload_too_large', 'Payload Too Large'],
+  415: ['unsupported_media_type', 'Unsupported Media Type'],
+  500: ['response_mismatch', 'Internal Server Error']
+};
+
+// A request or response that doesn't match openapi.yaml. Items carry paths
+// such as /body/rating or /query/page.
+const fromSpecViolation = (error) => {
+  if (error.status === 400) {
+    return new ValidationError(error.errors.map(({ path, message }) => {
+      const [, location, ...field] = path.split('/');
+      return { field: field.join('.'), location, message };
+    }));
+  }
+
+  const [code, title] = SPEC_VIOLATIONS[error.status] || ['bad_request', 'Bad Request'];
+  return new ApiError(error.message, { status: error.status, code, title, extra: { errors: error.errors } });
+};
+
+// Errors from Mongoose, body parsing and the like, as ApiErrors. Anything
+// unexpected becomes a generic 500 so internal messages never reach clients.
+const toApiError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  // Spec checks only run under test, where a mismatch's details are wanted
+  if (Array.isArray(error.errors) && error.status) {
+    return fromSpecViolation(error);
+  }
+
+  if (error.name === 'ValidationError' && error.errors) {
+    return new ValidationError(Object.values(error.errors).map(({ path, message }) => ({
+      field: path,
+      location: 'body',
+      message
+    })));
+  }
+  if (error.name === 'CastError') {
+    return new ValidationError([{ field: error.path, message: `Invalid ${error.path}` }]);
+  }
+  if (error.code === 11000) {
+    return new ConflictError('A record with these details already exists', 'duplicate');
+  }
+  if (error.type === 'entity.parse.failed') {
+    return new BadRequestError('Request body is not valid JSON', 'malformed_json');
+  }
+  // Other body-parser errors (size, encoding) are safe to show as they are
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return new ApiError(error.message, { status: error.status, code: 'bad_request', title: 'Bad Request' });
+  }
+
+  return new ApiError('Something went wrong');
+};
+
+const toProblem = (error, instance) => ({
+  type: `/problems/${error.code}`,
+  title: error.title,
+  status: error.status,
+  detail: error.message,
+  code: error.code,
+  instance,
+  ...error.extra
+});
+
+module.exports = {
+  ApiError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RateLimitedError,
+  toApiError,
+  toProblem
+};
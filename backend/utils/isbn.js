@@ -0,0 +1,55 @@
+// utils/isbn.js
+
+// Drop hyphens and spaces; ISBN-10 check digits may be an upper-case X
+const normalizeIsbn = (value = '') => String(value).replace(/[\s-]/g, '').toUpperCase();
+
+const isValidIsbn10 = (value) => {
+  const isbn = normalizeIsbn(value);
+  if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+
+  const sum = [...isbn].reduce(
+    (acc, char, i) => acc + (char === 'X' ? 10 : Number(char)) * (10 - i),
+    0
+  );
+  return sum % 11 === 0;
+};
+
+const isbn13CheckDigit = (first12) => {
+  const sum = [...first12].reduce((acc, char, i) => acc + Number(char) * (i % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+const isValidIsbn13 = (value) => {
+  const isbn = normalizeIsbn(value);
+  return /^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn.slice(0, 12)) === isbn[12];
+};
+
+// ISBN-10s are a subset of 978 ISBN-13s; returns null for invalid input
+const toIsbn13 = (value) => {
+  const isbn = normalizeIsbn(value);
+  if (isValidIsbn13(isbn)) return isbn;
+  if (!isValidIsbn10(isbn)) return null;
+
+  const first12 = `978${isbn.slice(0, 9)}`;
+  return first12 + isbn13CheckDigit(first12);
+};
+
+// Only 978 ISBN-13s have an ISBN-10 form
+const toIsbn10 = (value) => {
+  const isbn = normalizeIsbn(value);
+  if (isValidIsbn10(isbn)) return isbn;
+  if (!isValidIsbn13(isbn) || !isbn.startsWith('978')) return null;
+
+  const first9 = isbn.slice(3, 12);
+  const sum = [...first9].reduce((acc, char, i) => acc + Number(char) * (10 - i), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return first9 + (check === 10 ? 'X' : String(check));
+};
+
+module.exports = {
+  normalizeIsbn,
+  isValidIsbn10,
+  isValidIsbn13,
+  toIsbn13,
+  toIsbn10
+};
@@ -0,0 +1,44 @@
+// utils/markdown.js
+
+// Reviews support a small Markdown subset: **bold**, *italics*, "- " and
+// "1. " lists, "> " quotes and ||spoiler|| spans. Clients render it to
+// elements rather than HTML, but stored content is still reduced to that
+// subset so nothing else (raw HTML, images, links, headings) survives.
+
+const MAX_BLANK_LINES = 1;
+
+// Strip tags, comments and doctype-style declarations; entities stay as text.
+// A tag is a name alone or followed by attributes with at least one "=", so
+// comparisons in prose such as "a<b and c>d" are kept.
+const stripHtml = (text) => text
+  .replace(/<!--[\s\S]*?(-->|$)/g, '')
+  .replace(/<![a-z[][^>]*>/gi, '')
+  .replace(/<\/?[a-z][a-z0-9-]*(\s[^<>]*=[^<>]*)?\s*\/?>/gi, '');
+
+const sanitizeMarkdown = (raw = '') => {
+  let text = String(raw)
+    .normalize('NFC')
+    .replace(/\r\n?/g, '\n')
+    // Control characters other than newline and tab
+    .replace(/[\u0000-\u0008\u000b-\u001f\u007f]/g, '');
+
+  text = stripHtml(text)
+    // Images keep their alt text, links their label and address as plain text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, '$1 ($2)')
+    // Headings, setext underlines and fenced code markers become plain lines
+    .replace(/^ {0,3}#{1,6}[ \t]+/gm, '')
+    .replace(/^ {0,3}(=+|-{3,})[ \t]*$/gm, '')
+    .replace(/^ {0,3}(```|~~~).*$/gm, '');
+
+  return text
+    .split('\n')
+    .map(line => line.replace(/[ \t]+$/, ''))
+    .join('\n')
+    .replace(new RegExp(`\\n{${MAX_BLANK_LINES + 2},}`, 'g'), '\n'.repeat(MAX_BLANK_LINES + 1))
+    .trim();
+};
+
+module.exports = {
+  sanitizeMarkdown
+};
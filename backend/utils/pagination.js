@@ -0,0 +1,151 @@
+// utils/pagination.js
+const mongoose = require('mongoose');
+const { BadRequestError } = require('./errors');
+
+// Opaque cursors for ?cursor=&limit= pagination. A cursor names the sort it
+// belongs to, the direction to read in and the sort key values of the item
+// it continues from, so pages stay stable while documents are inserted and
+// no page needs a skip or a count.
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+const invalidCursor = () => new BadRequestError('Invalid cursor', 'invalid_cursor');
+
+// Keys must be unique or items tied on every sort field could be skipped
+const withTiebreaker = (sort) => ('_id' in sort ? sort : { ...sort, _id: -1 });
+
+const reverseSort = (sort) => Object.fromEntries(
+  Object.entries(sort).map(([field, direction]) => [field, -direction])
+);
+
+// $meta sorts such as text score can't be resumed from a key
+const isKeysetSort = (sort) => Object.values(sort).every(direction => direction === 1 || direction === -1);
+
+// Dates and ids survive the JSON round trip tagged with their type
+const serialize = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: String(value) };
+  return value;
+};
+
+// Cursors come from clients, so a key is only ever a scalar or one of the
+// tagged types above; an object such as { $ne: null } would otherwise reach
+// the query as an operator
+const deserialize = (value) => {
+  if (value === null || ['string', 'boolean'].includes(typeof value)) return value;
+  if (Number.isFinite(value)) return value;
+
+  const tags = value && typeof value === 'object' && !Array.isArray(value) ? Object.keys(value) : [];
+  if (tags.length === 1 && typeof value[tags[0]] === 'string') {
+    if (tags[0] === '$date') {
+      const date = new Date(value.$date);
+      if (!Number.isNaN(date.getTime())) return date;
+    }
+    if (tags[0] === '$oid' && /^[a-f\d]{24}$/i.test(value.$oid)) {
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+  }
+  throw invalidCursor();
+};
+
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const decodeCursor = (cursor, sortName) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalidCursor();
+  }
+  if (!payload || payload.sort !== sortName) throw invalidCursor();
+  return payload;
+};
+
+const valueAt = (item, field) => (
+  typeof item.get === 'function' ? item.get(field) : field.split('.').reduce((v, key) => v?.[key], item)
+);
+
+// Items strictly after `values` in `sort` order:
+// (a after va) or (a = va and b after vb) or ...
+const afterCondition = (sort, values) => {
+  const fields = Object.keys(sort);
+  return {
+    $or: fields.map((field, i) => ({
+      ...Object.fromEntries(fields.slice(0, i).map((previous, j) => [previous, values[j]])),
+      [field]: { [sort[field] === -1 ? '$lt' : '$gt']: values[i] }
+    }))
+  };
+};
+
+// Keep $text and other top-level operators where MongoDB expects them
+const andCondition = (query, condition) => ({
+  ...query,
+  $and: [...(query.$and || []), condition]
+});
+
+const parseLimit = (limit, fallback = DEFAULT_LIMIT) => (
+  Math.min(Math.max(parseInt(limit) || fallback, 1), MAX_LIMIT)
+);
+
+// One page of `find(filter)` in `sort` order. `find` builds the query
+// (projection, populate, lean) and this adds the filter, sort and limit.
+// An empty cursor asks for the first page. Resolves to
+// { items, nextCursor, prevCursor }; a cursor is null when there is no page
+// that way.
+const paginateByCursor = async (find, query, { sortName, sort, cursor, limit }) => {
+  const size = parseLimit(limit);
+  const payload = cursor ? decodeCursor(cursor, sortName) : null;
+
+  if (!isKeysetSort(sort)) {
+    // These cursors hold an offset instead; still opaque to clients
+    const offset = payload ? payload.offset : 0;
+    if (!Number.isInteger(offset) || offset < 0) throw invalidCursor();
+
+    const items = await find(query).sort(sort).skip(offset).limit(size + 1);
+    return {
+      items: items.slice(0, size),
+      nextCursor: items.length > size ? encodeCursor({ sort: sortName, offset: offset + size }) : null,
+      prevCursor: offset > 0 ? encodeCursor({ sort: sortName, offset: Math.max(0, offset - size) }) : null
+    };
+  }
+
+  const order = withTiebreaker(sort);
+  const fields = Object.keys(order);
+  if (payload && (!['next', 'prev'].includes(payload.dir)
+    || !Array.isArray(payload.keys) || payload.keys.length !== fields.length)) {
+    throw invalidCursor();
+  }
+
+  // Previous pages are read backwards from the cursor, then flipped
+  const backwards = payload?.dir === 'prev';
+  const readOrder = backwards ? reverseSort(order) : order;
+  const filter = payload ? andCondition(query, afterCondition(readOrder, payload.keys.map(deserialize))) : query;
+
+  const items = await find(filter).sort(readOrder).limit(size + 1);
+  const hasMore = items.length > size;
+  const page = items.slice(0, size);
+  if (backwards) page.reverse();
+
+  const cursorFrom = (dir, item) => encodeCursor({
+    sort: sortName,
+    dir,
+    keys: fields.map(field => serialize(valueAt(item, field)))
+  });
+
+  // Reading forwards from a cursor means there was a page before it, and
+  // reading backwards means there is one after
+  const hasNext = backwards || hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(payload);
+
+  return {
+    items: page,
+    nextCursor: hasNext && page.length > 0 ? cursorFrom('next', page[page.length - 1]) : null,
+    prevCursor: hasPrev && page.length > 0 ? cursorFrom('prev', page[0]) : null
+  };
+};
+
+module.exports = {
+  parseLimit,
+  paginateByCursor
+};
@@ -0,0 +1,80 @@
+// utils/search.js
+
+const MAX_QUERY_LENGTH = 100;
+const SNIPPET_RADIUS = 80;
+
+// Compares titles ignoring case, accents, punctuation and spacing
+const TITLE_COLLATION = { locale: 'en', strength: 1, alternate: 'shifted' };
+
+// Escape user input before it is ever placed inside a RegExp
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Trim, drop control characters and $text operators (quotes, negation),
+// collapse whitespace and cap the length
+const normalizeSearchQuery = (raw = '') => String(raw)
+  .normalize('NFKC')
+  .replace(/[\u0000-\u001f\u007f"]/g, ' ')
+  .replace(/(^|\s)-+/g, '$1')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .slice(0, MAX_QUERY_LENGTH);
+
+const searchTerms = (query) => [...new Set(
+  query.toLowerCase().split(' ').filter(term => term.length > 1)
+)];
+
+// Split text into [{ text, match }] segments for every term occurrence
+const segment = (text, pattern) => {
+  const segments = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, match.index), match: false });
+    }
+    segments.push({ text: match[0], match: true });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), match: false });
+  }
+  return segments;
+};
+
+// Cut long text down to a window around the first match
+const snippet = (text, firstIndex) => {
+  const start = Math.max(0, firstIndex - SNIPPET_RADIUS);
+  const end = Math.min(text.length, firstIndex + SNIPPET_RADIUS);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+};
+
+// Build highlighted segments for the fields that contain a search term.
+// Matching is prefix-based so stemmed $text hits ("dragons" for "dragon") still highlight.
+const buildHighlights = (book, query, fields = ['title', 'author', 'description']) => {
+  const terms = searchTerms(query);
+  if (terms.length === 0) return {};
+
+  const pattern = new RegExp(`\\b(?:${terms.map(escapeRegExp).join('|')})\\w*`, 'gi');
+  const highlights = {};
+
+  fields.forEach(field => {
+    const value = book[field];
+    if (typeof value !== 'string') return;
+
+    const first = value.search(pattern);
+    if (first === -1) return;
+
+    const text = field === 'description' ? snippet(value, first) : value;
+    highlights[field] = segment(text, pattern);
+  });
+
+  return highlights;
+};
+
+module.exports = {
+  escapeRegExp,
+  normalizeSearchQuery,
+  buildHighlights,
+  TITLE_COLLATION
+};
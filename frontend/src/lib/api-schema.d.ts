@@ -0,0 +1,2176 @@
+/**
+ * This file was auto-generated by openapi-typescript.
+ * Do not make direct changes to the file.
+ */
+
+export interface paths {
+    "/books": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /**
+         * Search and list books
+         * @description Facets are only returned with the first page of a cursor listing.
+         */
+        get: {
+            parameters: {
+                query?: {
+                    search?: string;
+                    /** @description Defaults to relevance when searching and newest otherwise */
+                    sort?: "relevance" | "rating" | "newest" | "reviews";
+                    page?: components["parameters"]["Page"];
+                    /** @description Switches to cursor pagination; empty for the first page */
+                    cursor?: components["parameters"]["Cursor"];
+                    limit?: components["parameters"]["Limit"];
+                    /** @description One or more genres, repeated or comma separated */
+                    genre?: string[];
+                    minRating?: number;
+                    yearFrom?: number;
+                    yearTo?: number;
+                    minReviews?: number;
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description One page of books */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["BookPage"] | components["schemas"]["BookCursorPage"];
+                    };
+                };
+                default: components["responses"]["Problem"];
+            };
+        };
+        put?: never;
+        /**
+         * Create a book
+         * @description Editors and admins only. An `edition` is created with the book in one transaction; a taken ISBN answers 409 and creates neither.
+         */
+        post: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": components["schemas"]["NewBookInput"];
+                };
+            };
+            responses: {
+                /** @description The created book */
+                201: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Book"];
+                    };
+                };
+                default: components["responses"]["Problem"];
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/books/suggest": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Autocomplete titles, authors and genres */
+        get: {
+            parameters: {
+                query?: {
+                    /** @description Suggestions start from two characters */
+                    q?: string;
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Suggestions, titles first */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": {
+                            suggestions: components["schemas"]["Suggestion"][];
+                        };
+                    };
+                };
+                default: components["responses"]["Problem"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/books/stats/reconcile": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        /**
+         * Recompute rating stats from reviews
+         * @description Admins only. Reports books whose stored stats drifted.
+         */
+        post: {
+            parameters: {
+                query?: {
+                    /** @description Repair the drifted books as well */
+                    fix?: "true" | "false";
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Reconciliation report */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": {
+                            checked: number;
+                            drifted: Record<string, never>[];
+                            fixed: number;
+                        };
+                    };
+                };
+                default: components["responses"]["Problem"];
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/books/{id}": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path: {
+                id: components["parameters"]["Id"];
+            };
+            cookie?: never;
+        };
+        /** Get a book */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    id: components["parameters"]["Id"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description The book with its authors and place in its series */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["BookDetail"];
+                    };
+                };
+                default: components["responses"]["Problem"];
+            };
+        };
+        /**
+         * Replace a book
+         * @description Editors and admins only. Optional fields left out are cleared.
+         */
+        put: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    id: components["parameters"]["Id"];
+                };
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": components["schemas"]["BookInput"];
+                };
+            };
+            responses: {
+                /** @description The updated book */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Book"];
+                    };
+                };
+                default: components["responses"]["Problem"];
+            };
+        };
+        post?: never;
+        /**
+         * Delete a book with its reviews, editions and shelf entries
+         * @description Admins only.
+         */
+        delete: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    id: components["parameters"]["Id"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Deleted */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Message"] & {
+                            deletedReviews: number;
+                        };
+                    };
+                };
+                default: components["responses"]["Problem"];
+            };
+        };
+        options?: never;
+        head?: never;
+        /**
+         * Update some fields of a book
+         * @description Editors and admins only.
+         */
+        patch: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    id: components["parameters"]["Id"];
+                };
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": components["schemas"]["BookUpdate"];
+                };
+            };
+            responses: {
+                /** @description The updated book */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Book"];
+                    };
+                };
+                default: components["responses"]["Problem"];
+            };
+        };
+        trace?: never;
+    };
+    "/books/{id}/similar": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path: {
+                id: components["parameters"]["Id"];
+            };
+            cookie?: never;
+        };
+        /** Books similar to this one */
+        get: {
+            parameters: {
+                query?: {
+                    limit?: number;
+                };
+                header?: never;
+                path: {
+                    id: components["parameters"]["Id"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Similar books, most similar first */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["BookList"];
+                    };
+                };
+                default: components["responses"]["Problem"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/books/{id}/cover": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path: {
+                id: components["parameters"]["Id"];
+            };
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        /**
+         * Upload a cover image
+         * @description Editors and admins only. Stored as a thumbnail and full size.
+         */
+        post: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    id: components["parameters"]["Id"];
+                };
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "multipart/form-data": {
+                        /** Format: binary */
+                        cover?: string;
+                    };
+                };
+            };
+            responses: {
+                /** @description The book with its new cover */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Book"];
+                    };
+                };
+                default: components["responses"]["Problem"];
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/books/{id}/editions": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path: {
+                id: components["parameters"]["Id"];
+            };
+            cookie?: never;
+        };
+        /** Editions of a book, oldest first */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    id: components["parameters"]["Id"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description The editions */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": {
+                            editions: components["schemas"]["Edition"][];
+                        };
+                    };
+                };
+                default: components["responses"]["Problem"];
+            };
+        };
+        put?: never;
+        /**
+         * Add an edition
+         * @description Editors and admins only.
+         */
+        post: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    id: components["parameters"]["Id"];
+                };
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": components["schemas"]["EditionInput"];
+                };
+            };
+            responses: {
+                /** @description The created edition */
+                201: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Edition"];
+                    };
+                };
+                default: components["responses"]["Problem"];
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/books/{id}/editions/{editionId}": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path: {
+                id: components["parameters"]["Id"];
+                editionId: components["schemas"]["ObjectId"];
+            };
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        post?: never;
+        /**
+         * Remove an edition
+         * @description Editors and admins only.
+         */
+        delete: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    id: components["parameters"]["Id"];
+                    editionId: components["schemas"]["ObjectId"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                200: components["responses"]["Message"];
+                default: components["responses"]["Problem"];
+            };
+        };
+        options?: never;
+        head?: never;
+        /**
+         * Update an edition
+         * @description Editors and admins only. Changing one ISBN recomputes the other.
+         */
+        patch: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    id: components["parameters"]["Id"];
+                    editionId: components["schemas"]["ObjectId"];
+                };
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": components["schemas"]["EditionInput"];
+                };
+            };
+            responses: {
+                /** @description The updated edition */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Edition"];
+                    };
+                };
+                default: components["responses"]["Problem"];
+            };
+        };
+        trace?: never;
+    };
+    "/reviews": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Reviews of a book */
+        get: {
+            parameters: {
+                query: {
+                    bookId: components["schemas"]["ObjectId"];
+                    sort?: "helpful" | "newest" | "oldest" | "highest" | "lowest";
+                    page?: components["parameters"]["Page"];
+                    /** @description Switches to cursor pagination; empty for the first page */
+                    cursor?: components["parameters"]["Cursor"];
+                    limit?: components["parameters"]["Limit"];
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description One page of reviews */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["ReviewPage"] | components["schemas"]["ReviewCursorPage"];
+                    };
+                };
+                default: components["responses"]["Problem"];
+            };
+        };
+        put?: never;
+        /**
+         * Review a book
+         * @description One review per user and book.
+         */
+        post: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": components["schemas"]["ReviewInput"] & {
+                        bookId: components["schemas"]["ObjectId"];
+                    };
+                };
+            };
+            responses: {
+                /** @description The created review */
+                201: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Review"];
+                    };
+                };
+                default: components["responses"]["Problem"];
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/reviews/my-votes": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** The current user's votes on a book's reviews */
+        get: {
+            parameters: {
+                query: {
+                    bookId: components["parameters"]["BookIdQuery"];
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Vote value by review id */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": {
+                            [key: string]: components["schemas"]["VoteValue"];
+                        };
+                    };
+                };
+                default: components["responses"]["Problem"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/reviews/mine": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /**
+         * The current user's review of a book
+         * @description Includes a review hidden by moderators.
+         */
+        get: {
+            parameters: {
+                query: {
+                    bookId: components["parameters"]["BookIdQuery"];
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description The review */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Review"];
+                    };
+                };
+                default: components["responses"]["Problem"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/reviews/{id}": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path: {
+                id: components["parameters"]["Id"];
+            };
+            cookie?: never;
+        };
+        get?: never;
+        /**
+         * Edit your review
+         * @description The replaced version is kept for moderators. Leaving out containsSpoilers keeps its current value.
+         */
+        put: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    id: components["parameters"]["Id"];
+                };
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": components["schemas"]["ReviewInput"];
+                };
+            };
+            responses: {
+                /** @description The updated review */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Review"];
+                    };
+                };
+                default: components["responses"]["Problem"];
+            };
+        };
+        post?: never;
+        /** Delete your review */
+        delete: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    id: components["parameters"]["Id"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                200: components["responses"]["Message"];
+                default: components["responses"]["Problem"];
+            };
+        };
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/reviews/{id}/vote": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path: {
+                id: components["parameters"]["Id"];
+            };
+            cookie?: never;
+        };
+        get?: never;
+        /**
+         * Vote a review helpful or unhelpful
+         * @description Replaces any earlier vote. You cannot vote on your own review.
+         */
+        put: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    id: components["parameters"]["Id"];
+                };
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": {
+                        value: components["schemas"]["VoteValue"];
+                    };
+                };
+            };
+            responses: {
+                200: components["responses"]["VoteCounts"];
+                default: components["responses"]["Problem"];
+            };
+        };
+        post?: never;
+        /** Withdraw your vote */
+        delete: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    id: components["parameters"]["Id"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                200: components["responses"]["VoteCounts"];
+                default: components["responses"]["Problem"];
+            };
+        };
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/reviews/{id}/revisions": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path: {
+                id: components["parameters"]["Id"];
+            };
+            cookie?: never;
+        };
+        /**
+         * A review's earlier versions, newest first
+         * @description Moderators and admins only.
+         */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    id: components["parameters"]["Id"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description The review and its revisions */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": {
+                            review: components["schemas"]["Review"];
+                            revisions: components["schemas"]["ReviewRevision"][];
+                        };
+                    };
+                };
+                default: components["responses"]["Problem"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/auth/register": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        /**
+         * Create an account and sign in
+         * @description A verification link is emailed to the new address.
+         */
+        post: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": {
+                        username: string;
+                        email: string;
+                        password: components["schemas"]["Password"];
+                    };
+                };
+            };
+            responses: {
+                201: components["responses"]["Session"];
+                default: components["responses"]["Problem"];
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/auth/login": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        /** Sign in */
+        post: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": {
+                        email: string;
+                        password: string;
+                    };
+                };
+            };
+            responses: {
+                200: components["responses"]["Session"];
+                default: components["responses"]["Problem"];
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/auth/refresh": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        /**
+         * Trade a refresh token for new tokens
+         * @description Each refresh token works once. Replaying a used one signs the whole
+         *     session out.
+         */
+        post: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody: components["requestBodies"]["RefreshToken"];
+            responses: {
+                200: components["responses"]["Session"];
+                default: components["responses"]["Problem"];
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/auth/logout": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        /** Sign out the session of a refresh token */
+        post: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody: components["requestBodies"]["RefreshToken"];
+            responses: {
+                200: components["responses"]["Message"];
+                default: components["responses"]["Problem"];
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/auth/forgot-password": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        /**
+         * Email a password reset link
+         * @description Answers the same whether or not the address is registered.
+         */
+        post: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": {
+                        email: string;
+                    };
+                };
+            };
+            responses: {
+                200: components["responses"]["Message"];
+                default: components["responses"]["Problem"];
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/auth/reset-password": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        /**
+         * Set a new password with a reset token
+         * @description Signs out every session.
+         */
+        post: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": {
+                        token: string;
+                        password: components["schemas"]["Password"];
+                    };
+                };
+            };
+            responses: {
+                200: components["responses"]["Message"];
+                default: components["responses"]["Problem"];
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/auth/verify-email": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        /** Confirm an email address */
+        post: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": {
+                        token: string;
+                    };
+                };
+            };
+            responses: {
+                200: components["responses"]["Message"];
+                default: components["responses"]["Problem"];
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/auth/resend-verification": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        /** Email a new verification link */
+        post: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                200: components["responses"]["Message"];
+                default: components["responses"]["Problem"];
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/auth/me": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** The signed-in user */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                200: components["responses"]["Account"];
+                default: components["responses"]["Problem"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/users/me": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        /**
+         * Update your profile
+         * @description A profilePicture different from the current one replaces any uploaded avatar; sending the current one back leaves it as it is.
+         */
+        patch: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": {
+                        username?: string;
+                        bio?: string;
+                        /** @description An image URL, or empty to remove it */
+                        profilePicture?: string;
+                        shelvesPublic?: boolean;
+                    };
+                };
+            };
+            responses: {
+                200: components["responses"]["Account"];
+                default: components["responses"]["Problem"];
+            };
+        };
+        trace?: never;
+    };
+    "/users/me/avatar": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        /**
+         * Upload an avatar
+         * @description Stored as a thumbnail and full size.
+         */
+        post: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "multipart/form-data": {
+                        /** Format: binary */
+                        avatar?: string;
+                    };
+                };
+            };
+            responses: {
+                200: components["responses"]["Account"];
+                default: components["responses"]["Problem"];
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/users/me/recommendations": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Books recommended for you */
+        get: {
+            parameters: {
+                query?: {
+                    limit?: number;
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Recommended books, best match first */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["BookList"];
+                    };
+                };
+                default: components["responses"]["Problem"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/users/me/change-password": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        /**
+         * Change your password
+         * @description Signs out your other sessions.
+         */
+        post: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": {
+                        currentPassword: string;
+                        newPassword: components["schemas"]["Password"];
+                    };
+                };
+            };
+            responses: {
+                200: components["responses"]["Message"];
+                default: components["responses"]["Problem"];
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/users/me/shelves": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Your shelves */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Counts per status and your custom shelves */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["ShelfSummary"] & {
+                            shelvesPublic: boolean;
+                        };
+                    };
+                };
+                default: components["responses"]["Problem"];
+            };
+        };
+        put?: never;
+        /** Create a custom shelf */
+        post: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody: components["requestBodies"]["ShelfName"];
+            responses: {
+                201: components["responses"]["Shelf"];
+                default: components["responses"]["Problem"];
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/users/me/shelves/books": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Your books on a status or custom shelf */
+        get: {
+            parameters: {
+                query?: {
+                    status?: components["parameters"]["ShelfStatus"];
+                    /** @description A custom shelf id */
+                    shelf?: components["parameters"]["ShelfFilter"];
+                    page?: components["parameters"]["Page"];
+                    limit?: components["parameters"]["Limit"];
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                200: components["responses"]["ShelfEntryPage"];
+                default: components["responses"]["Problem"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/users/me/shelves/books/{bookId}": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path: {
+                bookId: components["schemas"]["ObjectId"];
+            };
+            cookie?: never;
+        };
+        /** Your shelf entry for a book */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    bookId: components["schemas"]["ObjectId"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                200: components["responses"]["ShelfEntry"];
+                default: components["responses"]["Problem"];
+            };
+        };
+        /**
+         * Shelve a book or update its status, shelves and progress
+         * @description Moving past want-to-read fills in startedAt; read fills in finishedAt
+         *     and full progress unless given.
+         */
+        put: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    bookId: components["schemas"]["ObjectId"];
+                };
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": components["schemas"]["ShelfEntryInput"];
+                };
+            };
+            responses: {
+                200: components["responses"]["ShelfEntry"];
+                201: components["responses"]["ShelfEntry"];
+                default: components["responses"]["Problem"];
+            };
+        };
+        post?: never;
+        /** Take a book off your shelves */
+        delete: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    bookId: components["schemas"]["ObjectId"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                200: components["responses"]["Message"];
+                default: components["responses"]["Problem"];
+            };
+        };
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/users/me/shelves/{shelfId}": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path: {
+                shelfId: components["schemas"]["ObjectId"];
+            };
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        post?: never;
+        /**
+         * Delete a custom shelf
+         * @description Its books keep their status and other shelves.
+         */
+        delete: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    shelfId: components["schemas"]["ObjectId"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                200: components["responses"]["Message"];
+                default: components["responses"]["Problem"];
+            };
+        };
+        options?: never;
+        head?: never;
+        /** Rename a custom shelf */
+        patch: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    shelfId: components["schemas"]["ObjectId"];
+                };
+                cookie?: never;
+            };
+            requestBody: components["requestBodies"]["ShelfName"];
+            responses: {
+                200: components["responses"]["Shelf"];
+                default: components["responses"]["Problem"];
+            };
+        };
+        trace?: never;
+    };
+    "/users/{id}": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path: {
+                id: components["parameters"]["Id"];
+            };
+            cookie?: never;
+        };
+        /** A public profile */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    id: components["parameters"]["Id"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description The profile */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["PublicProfile"];
+                    };
+                };
+                default: components["responses"]["Problem"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/users/{id}/reviews": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path: {
+                id: components["parameters"]["Id"];
+            };
+            cookie?: never;
+        };
+        /** A user's reviews, newest first */
+        get: {
+            parameters: {
+                query?: {
+                    page?: components["parameters"]["Page"];
+                    limit?: components["parameters"]["Limit"];
+                };
+                header?: never;
+                path: {
+                    id: components["parameters"]["Id"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description One page of reviews */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["ReviewPage"];
+                    };
+                };
+                default: components["responses"]["Problem"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/users/{id}/shelves": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path: {
+                id: components["parameters"]["Id"];
+            };
+            cookie?: never;
+        };
+        /**
+         * Another user's shelves
+         * @description Forbidden (shelves_private) when the user keeps them private.
+         */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    id: components["parameters"]["Id"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Counts per status and the user's custom shelves */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["ShelfSummary"];
+                    };
+                };
+                default: components["responses"]["Problem"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/users/{id}/shelves/books": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path: {
+                id: components["parameters"]["Id"];
+            };
+            cookie?: never;
+        };
+        /** Another user's books on a status or custom shelf */
+        get: {
+            parameters: {
+                query?: {
+                    status?: components["parameters"]["ShelfStatus"];
+                    /** @description A custom shelf id */
+                    shelf?: components["parameters"]["ShelfFilter"];
+                    page?: components["parameters"]["Page"];
+                    limit?: components["parameters"]["Limit"];
+                };
+                header?: never;
+                path: {
+                    id: components["parameters"]["Id"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                200: components["responses"]["ShelfEntryPage"];
+                default: components["responses"]["Problem"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+}
+export type webhooks = Record<string, never>;
+export interface components {
+    schemas: {
+        ObjectId: string;
+        /**
+         * @description An ISO 8601 date, e.g. 2024-05-01 or 2024
+         * @example 2024-05-01
+         */
+        DateInput: string | null;
+        /** @description At least 8 characters with both letters and numbers */
+        Password: string;
+        Message: {
+            message: string;
+        };
+        /** @description An RFC 7807 problem; extra members depend on the code */
+        Problem: {
+            type: string;
+            title: string;
+            status: number;
+            detail?: string;
+            /** @description Stable identifier such as validation_failed or not_found */
+            code: string;
+            instance?: string;
+            /** @description The offending fields of a validation_failed problem */
+            errors?: components["schemas"]["FieldError"][];
+            /**
+             * Format: date-time
+             * @description End of the ban for account_suspended; null when permanent
+             */
+            bannedUntil?: string | null;
+        };
+        FieldError: {
+            field: string;
+            location?: string;
+            message: string;
+        };
+        Pages: {
+            totalPages: number;
+            currentPage: number;
+        };
+        Cursors: {
+            nextCursor: string | null;
+            prevCursor: string | null;
+        };
+        Book: {
+            _id: components["schemas"]["ObjectId"];
+            title: string;
+            /** @description Author ids, or the authors themselves where populated */
+            authors?: (components["schemas"]["ObjectId"] | components["schemas"]["AuthorSummary"])[];
+            /** @description Display names of the authors */
+            author: string;
+            description?: string;
+            genre?: string;
+            /** Format: date-time */
+            publishedDate?: string | null;
+            series?: {
+                seriesId?: components["schemas"]["ObjectId"];
+                position?: number;
+            } | null;
+            coverImage?: string | null;
+            coverThumbnail?: string;
+            rating?: number;
+            ratingSum?: number;
+            reviewCount?: number;
+            ratingDistribution?: {
+                [key: string]: number;
+            };
+            weightedRating?: number;
+            /** Format: date-time */
+            createdAt?: string;
+            /** Format: date-time */
+            updatedAt?: string;
+        };
+        AuthorSummary: {
+            _id: components["schemas"]["ObjectId"];
+            name: string;
+            photo?: string;
+        };
+        BookDetail: components["schemas"]["Book"] & {
+            seriesNavigation: components["schemas"]["SeriesNavigation"];
+        };
+        SeriesNavigation: {
+            _id: components["schemas"]["ObjectId"];
+            name: string;
+            position?: number;
+            total: number;
+            previous?: components["schemas"]["SeriesVolume"];
+            next?: components["schemas"]["SeriesVolume"];
+        } | null;
+        SeriesVolume: {
+            _id: components["schemas"]["ObjectId"];
+            title: string;
+            position?: number;
+        } | null;
+        BookList: {
+            books: components["schemas"]["Book"][];
+        };
+        ListedBook: components["schemas"]["Book"] & {
+            /** @description Text search relevance */
+            score?: number;
+            /** @description Matched fields split into segments, when searching */
+            highlights?: {
+                [key: string]: {
+                    text: string;
+                    match: boolean;
+                }[];
+            };
+        };
+        BookListing: {
+            books: components["schemas"]["ListedBook"][];
+            sort: string;
+            /** @description The filters that were applied */
+            filters: {
+                genres?: string[];
+                minRating?: number;
+                yearFrom?: number;
+                yearTo?: number;
+                minReviews?: number;
+            };
+            facets?: components["schemas"]["BookFacets"];
+        };
+        BookPage: components["schemas"]["BookListing"] & components["schemas"]["Pages"] & Record<string, never>;
+        BookCursorPage: components["schemas"]["BookListing"] & components["schemas"]["Cursors"];
+        /** @description Counts with every filter applied except the facet's own */
+        BookFacets: {
+            genres: {
+                value: string;
+                count: number;
+            }[];
+            ratings: {
+                min: number;
+                max: number;
+                count: number;
+            }[];
+            decades: {
+                decade: number;
+                count: number;
+            }[];
+        };
+        Suggestion: {
+            /** @enum {string} */
+            type: "title" | "author" | "genre";
+            value: string;
+            bookId?: components["schemas"]["ObjectId"];
+            /** @description Matching books, for author and genre suggestions */
+            count?: number;
+        };
+        /** @description Give either `authors` (names or author ids) or `author` */
+        BookUpdate: {
+            title?: string;
+            authors?: string[];
+            author?: string;
+            description?: string;
+            genre?: string;
+            publishedDate?: components["schemas"]["DateInput"];
+            coverImage?: string | null;
+            series?: {
+                seriesId: components["schemas"]["ObjectId"];
+                position: number;
+            } | null;
+        };
+        BookInput: components["schemas"]["BookUpdate"] & Record<string, never>;
+        NewBookInput: components["schemas"]["BookInput"] & {
+            /** @description The book's first edition, which needs an ISBN-10 or ISBN-13 */
+            edition?: components["schemas"]["EditionInput"];
+        };
+        /** @enum {string} */
+        EditionFormat: "hardcover" | "paperback" | "ebook" | "audiobook" | "other";
+        Edition: {
+            _id: components["schemas"]["ObjectId"];
+            bookId: components["schemas"]["ObjectId"];
+            isbn10?: string | null;
+            isbn13?: string | null;
+            format?: components["schemas"]["EditionFormat"];
+            /** @description Only when it differs from the book's title */
+            title?: string | null;
+            publisher?: string | null;
+            /** Format: date-time */
+            publishedDate?: string | null;
+            pageCount?: number | null;
+            /** @description ISO 639-1 code */
+            language?: string | null;
+            coverImage?: string | null;
+            /** Format: date-time */
+            createdAt?: string;
+            /** Format: date-time */
+            updatedAt?: string;
+        };
+        EditionInput: {
+            isbn10?: string | null;
+            isbn13?: string | null;
+            format?: components["schemas"]["EditionFormat"];
+            title?: string | null;
+            publisher?: string | null;
+            publishedDate?: components["schemas"]["DateInput"];
+            pageCount?: number | null;
+            language?: string | null;
+            coverImage?: string | null;
+        };
+        /** @description Null when the account no longer exists */
+        UserSummary: {
+            _id: components["schemas"]["ObjectId"];
+            username: string;
+        } | null;
+        /** @description Null when the book no longer exists */
+        BookSummary: {
+            _id: components["schemas"]["ObjectId"];
+            title: string;
+            author?: string;
+            coverImage?: string;
+            coverThumbnail?: string;
+            rating?: number;
+            reviewCount?: number;
+        } | null;
+        Review: {
+            _id: components["schemas"]["ObjectId"];
+            /** @description The book id, or the book itself in a user's reviews */
+            bookId: components["schemas"]["ObjectId"] | components["schemas"]["BookSummary"];
+            /** @description The author, or their id where not populated */
+            userId: components["schemas"]["ObjectId"] | components["schemas"]["UserSummary"];
+            rating: number;
+            /** @description Markdown subset */
+            content: string;
+            containsSpoilers?: boolean;
+            helpfulCount?: number;
+            unhelpfulCount?: number;
+            commentCount?: number;
+            /** @enum {string} */
+            status?: "visible" | "hidden" | "deleted";
+            /** Format: date-time */
+            editedAt?: string;
+            /** Format: date-time */
+            createdAt?: string;
+            /** Format: date-time */
+            updatedAt?: string;
+        };
+        ReviewInput: {
+            rating: number;
+            /** @description Markdown subset, 10 to 1000 characters once cleaned */
+            content: string;
+            containsSpoilers?: boolean;
+        };
+        ReviewPage: components["schemas"]["Pages"] & {
+            reviews: components["schemas"]["Review"][];
+            sort?: string;
+        };
+        ReviewCursorPage: components["schemas"]["Cursors"] & {
+            reviews: components["schemas"]["Review"][];
+            sort: string;
+        };
+        ReviewRevision: {
+            _id: components["schemas"]["ObjectId"];
+            reviewId: components["schemas"]["ObjectId"];
+            userId?: components["schemas"]["ObjectId"];
+            rating: number;
+            content: string;
+            containsSpoilers?: boolean;
+            /** Format: date-time */
+            writtenAt: string;
+            /** Format: date-time */
+            replacedAt: string;
+        };
+        /** @enum {string} */
+        VoteValue: "helpful" | "unhelpful";
+        /** @enum {string} */
+        Role: "reader" | "moderator" | "editor" | "admin";
+        Session: {
+            token: string;
+            refreshToken: string;
+            user: {
+                id: components["schemas"]["ObjectId"];
+                username: string;
+                email: string;
+                role: components["schemas"]["Role"];
+                emailVerified: boolean;
+            };
+        };
+        /** @description A user as they see themselves */
+        Account: {
+            _id: components["schemas"]["ObjectId"];
+            username: string;
+            email: string;
+            profilePicture?: string;
+            profileThumbnail?: string;
+            bio?: string;
+            role: components["schemas"]["Role"];
+            emailVerified?: boolean;
+            shelvesPublic?: boolean;
+            warningCount?: number;
+            banned?: boolean;
+            /** Format: date-time */
+            bannedUntil?: string;
+            banReason?: string;
+            /** Format: date-time */
+            createdAt?: string;
+        };
+        PublicProfile: {
+            _id: components["schemas"]["ObjectId"];
+            username: string;
+            profilePicture?: string;
+            profileThumbnail?: string;
+            bio?: string;
+            shelvesPublic?: boolean;
+            /** Format: date-time */
+            createdAt?: string;
+            reviewCount: number;
+        };
+        /** @enum {string} */
+        ShelfStatus: "want-to-read" | "reading" | "read";
+        Shelf: {
+            _id: components["schemas"]["ObjectId"];
+            userId?: components["schemas"]["ObjectId"];
+            name: string;
+            /** Format: date-time */
+            createdAt?: string;
+        };
+        ShelfSummary: {
+            statuses: {
+                status: components["schemas"]["ShelfStatus"];
+                count: number;
+            }[];
+            shelves: (components["schemas"]["Shelf"] & {
+                count: number;
+            })[];
+        };
+        ShelfEntry: {
+            _id: components["schemas"]["ObjectId"];
+            userId?: components["schemas"]["ObjectId"];
+            /** @description The book id, or the book itself in shelf listings */
+            bookId: components["schemas"]["ObjectId"] | components["schemas"]["BookSummary"];
+            status: components["schemas"]["ShelfStatus"];
+            shelves?: components["schemas"]["ObjectId"][];
+            progress?: number;
+            /** Format: date-time */
+            startedAt?: string | null;
+            /** Format: date-time */
+            finishedAt?: string | null;
+            /** Format: date-time */
+            createdAt?: string;
+            /** Format: date-time */
+            updatedAt?: string;
+        };
+        ShelfEntryInput: {
+            status: components["schemas"]["ShelfStatus"];
+            shelves?: components["schemas"]["ObjectId"][];
+            progress?: number;
+            startedAt?: components["schemas"]["DateInput"];
+            finishedAt?: components["schemas"]["DateInput"];
+        };
+    };
+    responses: {
+        /** @description The request failed */
+        Problem: {
+            headers: {
+                [name: string]: unknown;
+            };
+            content: {
+                "application/problem+json": components["schemas"]["Problem"];
+            };
+        };
+        /** @description Done */
+        Message: {
+            headers: {
+                [name: string]: unknown;
+            };
+            content: {
+                "application/json": components["schemas"]["Message"];
+            };
+        };
+        /** @description Access and refresh tokens with the signed-in user */
+        Session: {
+            headers: {
+                [name: string]: unknown;
+            };
+            content: {
+                "application/json": components["schemas"]["Session"];
+            };
+        };
+        /** @description The signed-in user */
+        Account: {
+            headers: {
+                [name: string]: unknown;
+            };
+            content: {
+                "application/json": components["schemas"]["Account"];
+            };
+        };
+        /** @description The review's vote counts and your vote */
+        VoteCounts: {
+            headers: {
+                [name: string]: unknown;
+            };
+            content: {
+                "application/json": {
+                    _id: components["schemas"]["ObjectId"];
+                    helpfulCount: number;
+                    unhelpfulCount: number;
+                    /** @enum {string|null} */
+                    vote: "helpful" | "unhelpful" | null;
+                };
+            };
+        };
+        /** @description The shelf */
+        Shelf: {
+            headers: {
+                [name: string]: unknown;
+            };
+            content: {
+                "application/json": components["schemas"]["Shelf"];
+            };
+        };
+        /** @description The shelf entry */
+        ShelfEntry: {
+            headers: {
+                [name: string]: unknown;
+            };
+            content: {
+                "application/json": components["schemas"]["ShelfEntry"];
+            };
+        };
+        /** @description One page of shelf entries, recently updated first */
+        ShelfEntryPage: {
+            headers: {
+                [name: string]: unknown;
+            };
+            content: {
+                "application/json": components["schemas"]["Pages"] & {
+                    entries: components["schemas"]["ShelfEntry"][];
+                };
+            };
+        };
+    };
+    parameters: {
+        Id: components["schemas"]["ObjectId"];
+        BookIdQuery: components["schemas"]["ObjectId"];
+        Page: number;
+        /** @description Switches to cursor pagination; empty for the first page */
+        Cursor: string;
+        Limit: number;
+        ShelfStatus: components["schemas"]["ShelfStatus"];
+        /** @description A custom shelf id */
+        ShelfFilter: components["schemas"]["ObjectId"];
+    };
+    requestBodies: {
+        RefreshToken: {
+            content: {
+                "application/json": {
+                    refreshToken: string;
+                };
+            };
+        };
+        ShelfName: {
+            content: {
+                "application/json": {
+                    name: string;
+                };
+            };
+        };
+    };
+    headers: never;
+    pathItems: never;
+}
+export type $defs = Record<string, never>;
+export type operations = Record<string, never>;
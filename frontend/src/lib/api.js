@@ -0,0 +1,154 @@
+// Fetch wrapper for the JSON API. Failed requests answer with
+// application/problem+json ({ status, code, detail, errors }); apiFetch
+// throws those as an ApiError whose message is ready to show to readers.
+
+import createClient from 'openapi-fetch';
+
+const SESSION_ENDED = 'Your session has ended, please log in again';
+const SOMETHING_WENT_WRONG = 'Something went wrong, please try again';
+
+// Wording for codes whose server detail isn't written for readers. Other
+// codes show the server's detail as it is.
+const MESSAGES = {
+  unauthorized: 'Please log in to continue',
+  invalid_token: SESSION_ENDED,
+  token_expired: SESSION_ENDED,
+  token_revoked: SESSION_ENDED,
+  invalid_credentials: 'Incorrect email or password',
+  account_suspended: ({ bannedUntil }) => (bannedUntil
+    ? `Your account is suspended until ${new Date(bannedUntil).toLocaleDateString()}`
+    : 'Your account has been suspended'),
+  forbidden: "You don't have permission to do that",
+  rate_limited: 'Too many attempts, please wait a few minutes and try again',
+  upstream_unavailable: 'Book details are unavailable right now, please try again later',
+  malformed_json: SOMETHING_WENT_WRONG,
+  internal_error: SOMETHING_WENT_WRONG,
+  network_error: 'Could not reach the server, please check your connection'
+};
+
+export const messageFor = (problem) => {
+  // The first field problem says more than "The request has invalid fields"
+  if (problem.code === 'validation_failed' && problem.errors?.length > 0) {
+    return problem.errors[0].message;
+  }
+
+  const message = MESSAGES[problem.code];
+  if (typeof message === 'function') return message(problem);
+  return message || problem.detail || SOMETHING_WENT_WRONG;
+};
+
+export class ApiError extends Error {
+  constructor(problem) {
+    super(messageFor(problem));
+    this.name = 'ApiError';
+    this.status = problem.status;
+    this.code = problem.code;
+    this.errors = problem.errors || [];
+    this.problem = problem;
+  }
+}
+
+const parseBody = async (response) => {
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+};
+
+// The signed-in session, kept up to date by AuthProvider: the access token
+// every request carries, and `renew`, which trades the refresh token for a
+// new pair and resolves to the new access token (null once signed out)
+const session = { token: null, renew: null };
+let renewal = null;
+
+export const setSession = (token, renew) => {
+  session.token = token;
+  session.renew = renew;
+};
+
+// Refresh tokens are single use, so requests expiring together share one
+// renewal; presenting the same refresh token twice revokes the session
+const renewSession = () => {
+  if (!renewal) {
+    renewal = Promise.resolve(session.renew ? session.renew() : null)
+      .then((token) => {
+        session.token = token;
+        return token;
+      })
+      .finally(() => {
+        renewal = null;
+      });
+  }
+  return renewal;
+};
+
+const hasExpired = async (response) => (
+  response.status === 401 && (await parseBody(response.clone()))?.code === 'token_expired'
+);
+
+// fetch for API requests: signs the request with the session's access token
+// and, when that has expired, renews the session and sends it once more
+const sendWithSession = async (request) => {
+  const token = session.token;
+  if (!token) return fetch(request);
+
+  const retry = request.clone();
+  request.headers.set('Authorization', `Bearer ${token}`);
+  const response = await fetch(request);
+  if (!(await hasExpired(response))) return response;
+
+  // Another request may have renewed the session while this one was out
+  const renewed = session.token !== token ? session.token : await renewSession();
+  if (!renewed) return response;
+
+  retry.headers.set('Authorization', `Bearer ${renewed}`);
+  return fetch(retry);
+};
+
+// Takes the same arguments as fetch and resolves to the parsed JSON body
+// (null when empty). Aborted requests still reject with the AbortError.
+export const apiFetch = async (url, options) => {
+  let response;
+  try {
+    response = await sendWithSession(new Request(url, options));
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    throw new ApiError({ status: 0, code: 'network_error' });
+  }
+
+  const body = await parseBody(response);
+  if (!response.ok) {
+    // A proxy or crash may answer without a problem body
+    throw new ApiError(body?.code ? body : { status: response.status, code: 'internal_error' });
+  }
+  return body;
+};
+
+// Typed client for the endpoints described in backend/openapi.yaml; run
+// `npm run generate:api` after changing the spec. It encodes path and query
+// parameters, and editors check paths, parameters and bodies against the
+// spec. Endpoints the spec doesn't cover yet still use apiFetch. Both sign
+// requests for the signed-in user, so callers don't pass Authorization.
+/** @type {import('openapi-fetch').Client<import('./api-schema').paths>} */
+export const api = createClient({ baseUrl: '/api', fetch: sendWithSession });
+
+// Resolves a client call to its response data, or throws the same errors as
+// apiFetch: `await unwrap(api.GET('/books/{id}', { params: { path: { id } } }))`
+export const unwrap = async (pending) => {
+  let result;
+  try {
+    result = await pending;
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    throw new ApiError({ status: 0, code: 'network_error' });
+  }
+
+  const { data, error, response } = result;
+  if (!response.ok) {
+    throw new ApiError(error?.code ? error : { status: response.status, code: 'internal_error' });
+  }
+  return data ?? null;
+};